@@ -0,0 +1,12 @@
+import { defineConfig, minimal2023Preset } from '@vite-pwa/assets-generator/config'
+
+// Generates the PWA icons in public/ from the favicon:
+// npm run generate-pwa-assets
+export default defineConfig({
+  preset: {
+    ...minimal2023Preset,
+    maskable: { ...minimal2023Preset.maskable, resizeOptions: { background: '#111827' } },
+    apple: { ...minimal2023Preset.apple, resizeOptions: { background: '#111827' } }
+  },
+  images: ['public/favicon.svg']
+})
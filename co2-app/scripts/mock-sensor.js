@@ -0,0 +1,60 @@
+// Mock CO2 sensor for testing the "Live Source" mode without hardware.
+// Serves a Server-Sent Events stream of {"timestamp", "ppm"} messages that
+// follow an exponential ventilation decay with a little sensor noise.
+//
+//   npm run mock-sensor
+//   then connect the app to http://localhost:3001/events
+//
+// Environment variables:
+//   PORT         port to listen on (default 3001)
+//   INTERVAL_MS  real time between messages (default 2000)
+//   STEP_MINUTES simulated minutes between messages (default 1), so a
+//                whole session plays back in under a minute
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 3001;
+const INTERVAL_MS = Number(process.env.INTERVAL_MS) || 2000;
+const STEP_MINUTES = Number(process.env.STEP_MINUTES) || 1;
+
+const START_PPM = 1400;
+const OUTDOOR_PPM = 420;
+const DECAY_PER_MINUTE = 0.08;
+
+const server = http.createServer((req, res) => {
+  if (req.url !== '/events') {
+    res.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+    res.end('Stream is served at /events\n');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+
+  // Each client gets its own session, starting now
+  const startedAt = Date.now();
+  let step = 0;
+
+  const emit = () => {
+    const minutes = step * STEP_MINUTES;
+    const noise = (Math.random() - 0.5) * 30;
+    const ppm = Math.round(OUTDOOR_PPM + (START_PPM - OUTDOOR_PPM) * Math.exp(-DECAY_PER_MINUTE * minutes) + noise);
+    const timestamp = new Date(startedAt + minutes * 60000).toISOString();
+
+    res.write(`data: ${JSON.stringify({ timestamp, ppm })}\n\n`);
+    console.log(`${timestamp}  ${ppm} ppm`);
+    step++;
+  };
+
+  emit();
+  const timer = setInterval(emit, INTERVAL_MS);
+  req.on('close', () => clearInterval(timer));
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock CO2 sensor streaming at http://localhost:${PORT}/events`);
+});
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Bell } from 'lucide-react';
+import { ALERT_RULES, notificationPermission, requestNotificationPermission } from './alerts';
+import { useI18n } from './i18n';
+
+const inputClass = 'px-2 py-1 bg-gray-700 border border-gray-600 text-gray-100 rounded-md';
+
+const AlertsPanel = ({ settings, onChange, onTest }) => {
+  const { t } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [permission, setPermission] = useState(notificationPermission);
+
+  // Notifications need the user's permission, asked for when they opt in
+  const enableNotifications = async (enabled) => {
+    onChange({ alertNotification: enabled });
+    if (enabled && permission === 'default') {
+      setPermission(await requestNotificationPermission());
+    }
+  };
+
+  const setAlertsEnabled = async (enabled) => {
+    onChange({ alertsEnabled: enabled });
+    if (enabled && settings.alertNotification && permission === 'default') {
+      setPermission(await requestNotificationPermission());
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800/80 rounded-lg border border-gray-700">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-lg font-semibold text-gray-100"
+      >
+        <span className="flex items-center gap-2">
+          <Bell size={18} className="text-blue-400" />
+          {t('alerts.title')}
+        </span>
+        <span className="text-sm font-normal text-gray-400">
+          {settings.alertsEnabled ? t('common.on') : t('common.off')} {isOpen ? '▲' : '▼'}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 grid gap-6 md:grid-cols-2 text-sm text-gray-300">
+          <div className="space-y-3">
+            <label className="flex items-center gap-2 font-semibold text-gray-100">
+              <input
+                type="checkbox"
+                checked={settings.alertsEnabled}
+                onChange={(e) => setAlertsEnabled(e.target.checked)}
+              />
+              {t('alerts.enable')}
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.alertNotification}
+                onChange={(e) => enableNotifications(e.target.checked)}
+              />
+              {t('alerts.notification')}
+            </label>
+            <p className="text-xs text-gray-500">{t(`alerts.permission.${permission}`)}</p>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.alertSound}
+                onChange={(e) => onChange({ alertSound: e.target.checked })}
+              />
+              {t('alerts.sound')}
+            </label>
+            <button
+              type="button"
+              onClick={onTest}
+              className="px-3 py-1 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600"
+            >
+              {t('alerts.test')}
+            </button>
+          </div>
+
+          <div className="space-y-3">
+            <h4 className="font-semibold text-gray-100">{t('alerts.rulesTitle')}</h4>
+            {ALERT_RULES.map(rule => (
+              <label key={rule} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={Boolean(settings.alertRules[rule])}
+                  onChange={(e) => onChange({ alertRules: { ...settings.alertRules, [rule]: e.target.checked } })}
+                />
+                {t(`alerts.rules.${rule}`)}
+                {rule === 'aboveLevel' && (
+                  <span className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      value={settings.alertAboveLevel}
+                      onChange={(e) => onChange({ alertAboveLevel: Math.max(1, Number(e.target.value) || 1) })}
+                      className={`w-24 ${inputClass}`}
+                    />
+                    {t('units.ppmUnit')}
+                  </span>
+                )}
+              </label>
+            ))}
+            <p className="text-xs text-gray-500">
+              {t('alerts.timerNote')}
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Gauge } from 'lucide-react';
+import { ZONES } from './zones';
+import { useI18n } from './i18n';
+
+const Metric = ({ label, value, detail }) => (
+  <div className="p-3 bg-gray-800 rounded-lg border border-gray-700">
+    <p className="text-xs text-gray-400">{label}</p>
+    <p className="text-xl font-bold text-gray-100">{value}</p>
+    {detail && <p className="text-xs text-gray-500">{detail}</p>}
+  </div>
+);
+
+const cellClass = 'px-3 py-1 border-b border-gray-700';
+
+// Ventilation effectiveness of the session: the fitted decay constant, the
+// equivalent air changes per hour, the time spent in each zone and, once
+// events are logged, the same figures for each phase between them.
+// `metrics` comes from sessionMetrics in CO2Monitor.
+const AnalyticsPanel = ({ metrics }) => {
+  const { t, formatNumber, formatDuration, formatTimestamp, formatEvent } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const { ventilation, zoneMinutes, phases, outdoorCO2, volume } = metrics;
+  const hasEvents = phases.some(phase => phase.event);
+  const totalMinutes = Object.values(zoneMinutes).reduce((sum, minutes) => sum + minutes, 0);
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800/80 rounded-lg border border-gray-700">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-lg font-semibold text-gray-100"
+      >
+        <span className="flex items-center gap-2">
+          <Gauge size={18} className="text-blue-400" />
+          {t('analytics.title')}
+        </span>
+        <span className="text-sm font-normal text-gray-400">
+          {ventilation && `${t('analytics.achValue', { value: formatNumber(ventilation.airChangesPerHour, 1) })} `}{isOpen ? '▲' : '▼'}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 space-y-4 text-sm text-gray-300">
+          {ventilation ? (
+            <div className="grid gap-3 sm:grid-cols-3">
+              <Metric
+                label={t('analytics.achTitle')}
+                value={t('analytics.achValue', { value: formatNumber(ventilation.airChangesPerHour, 1) })}
+                detail={ventilation.airflow !== null
+                  ? t('analytics.airflow', { airflow: formatNumber(Math.round(ventilation.airflow)), volume: formatNumber(volume) })
+                  : t('analytics.noVolume')}
+              />
+              <Metric
+                label={t('analytics.decayConstant')}
+                value={t('analytics.perHour', { value: formatNumber(ventilation.decayConstant, 2) })}
+                detail={ventilation.decayConstantMargin > 0 ? t('analytics.margin', { value: formatNumber(ventilation.decayConstantMargin, 2) }) : null}
+              />
+              <Metric
+                label={t('analytics.halfLife')}
+                value={formatDuration(Math.round(ventilation.halfLifeMinutes))}
+                detail={t('analytics.excess', { outdoor: formatNumber(outdoorCO2) })}
+              />
+            </div>
+          ) : (
+            <p className="text-gray-400">
+              {t('analytics.notYet', { outdoor: formatNumber(outdoorCO2) })}
+            </p>
+          )}
+
+          <div>
+            <h4 className="font-semibold text-gray-100 mb-2">{t('analytics.timeInZones')}</h4>
+            {totalMinutes > 0 ? (
+              <>
+                <div className="flex h-3 overflow-hidden rounded-full bg-gray-700">
+                  {Object.entries(zoneMinutes).map(([zone, minutes]) => (
+                    <div
+                      key={zone}
+                      style={{ width: `${minutes / totalMinutes * 100}%`, backgroundColor: ZONES[zone].fill }}
+                      title={t(`zones.${zone}`)}
+                    />
+                  ))}
+                </div>
+                <div className="mt-2 flex flex-wrap gap-x-6 gap-y-1">
+                  {Object.entries(zoneMinutes).map(([zone, minutes]) => (
+                    <span key={zone}>
+                      <span className={ZONES[zone].color}>{t(`zones.${zone}`)}</span>{' '}
+                      {formatDuration(Math.round(minutes))} ({formatNumber(Math.round(minutes / totalMinutes * 100))}%)
+                    </span>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <p className="text-gray-400">{t('analytics.needsTwoTimes')}</p>
+            )}
+          </div>
+
+          {hasEvents && (
+            <div>
+              <h4 className="font-semibold text-gray-100 mb-2">{t('analytics.phases')}</h4>
+              <div className="overflow-x-auto">
+                <table className="min-w-full">
+                  <thead>
+                    <tr className="text-left text-gray-400">
+                      <th className={`${cellClass} font-medium`}>{t('analytics.from')}</th>
+                      <th className={`${cellClass} font-medium`}>{t('history.duration')}</th>
+                      <th className={`${cellClass} font-medium`}>{t('analytics.rate')}</th>
+                      <th className={`${cellClass} font-medium`}>{t('analytics.ach')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {phases.map(({ event, from, to, averageRate, ventilation: phaseVentilation }, index) => (
+                      <tr key={index}>
+                        <td className={cellClass}>
+                          {event ? `${formatTimestamp(event.timestamp, false)} ${formatEvent(event)}` : t('analytics.start')}
+                        </td>
+                        <td className={cellClass}>{formatDuration(Math.max(0, to - from))}</td>
+                        <td className={cellClass}>
+                          {averageRate === null ? '—' : t('units.rate', { value: `${averageRate > 0 ? '+' : ''}${formatNumber(Math.round(averageRate))}` })}
+                        </td>
+                        <td className={cellClass}>{phaseVentilation ? formatNumber(phaseVentilation.airChangesPerHour, 1) : '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            {t('analytics.explanation')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsPanel;
@@ -0,0 +1,379 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer, ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ReferenceArea } from 'recharts';
+import { TrendingDown, ZoomOut, ChevronLeft, ChevronRight } from 'lucide-react';
+import { ZONES } from './zones';
+import { spansSeveralDays } from './co2-core';
+import { useI18n } from './i18n';
+
+// Custom dark theme for chart
+const chartTheme = {
+  backgroundColor: '#1f2937',
+  textColor: '#9ca3af',
+  gridColor: '#374151',
+};
+
+// Units shown in the tooltip, by series
+const SERIES_UNITS = { co2: 'ppm', temperature: '°C', humidity: '%' };
+
+const TEMPERATURE_COLOR = '#fb923c';
+const HUMIDITY_COLOR = '#22d3ee';
+const EVENT_COLOR = '#f472b6';
+const MEASURED_COLOR = '#60a5fa';
+const SIMULATED_COLOR = '#a3e635';
+
+// Readings left out of the projection are drawn hollow
+const renderMeasuredDot = ({ cx, cy, index, payload }) => (
+  <circle
+    key={`measured-${index}`}
+    cx={cx}
+    cy={cy}
+    r={6}
+    fill={payload.excluded ? chartTheme.backgroundColor : MEASURED_COLOR}
+    stroke={MEASURED_COLOR}
+    strokeWidth={2}
+  />
+);
+
+const buttonClass = 'px-2 py-1 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1';
+
+// Past a day the chart axis counts hours, ticking every 6, 12 or 24 hours
+const DAY_MINUTES = 24 * 60;
+const hourTicks = (spanMinutes) => {
+  const stepHours = spanMinutes > 4 * DAY_MINUTES ? 24 : spanMinutes > 2 * DAY_MINUTES ? 12 : 6;
+  const step = stepHours * 60;
+  return Array.from({ length: Math.floor(spanMinutes / step) + 1 }, (_, index) => index * step);
+};
+
+// The measured line, the current projection with its uncertainty band and
+// the earlier projections. Temperature and humidity, where recorded, get a
+// second Y axis on the right, and logged events a labelled vertical line.
+// Dragging across the chart, with the mouse or a finger, zooms into that
+// range.
+const CO2Chart = ({ measuredPoints, events, projectedPoints, simulatedPoints, ghostProjections, bandProjection, thresholds, targetCO2, settings, onSettingsChange }) => {
+  const { t, formatNumber, formatTime } = useI18n();
+  // [from, to] in minutes, or null to show everything
+  const [zoom, setZoom] = useState(null);
+  // Range being dragged out, highlighted until the mouse or finger is lifted
+  const [selection, setSelection] = useState(null);
+
+  const chartSpan = Math.max(
+    measuredPoints.length > 0 ? measuredPoints[measuredPoints.length - 1].minutes : 0,
+    projectedPoints.length > 0 ? projectedPoints[projectedPoints.length - 1].minutes : 0,
+    simulatedPoints.length > 0 ? simulatedPoints[simulatedPoints.length - 1].minutes : 0
+  );
+  const isMultiDayChart = chartSpan > DAY_MINUTES || spansSeveralDays(measuredPoints);
+  const { showGhostProjections, showTemperature, showHumidity } = settings;
+  // Clock times come from the first reading, so a simulation drawn before
+  // any reading stays on the minutes axis
+  const chartClockAxis = settings.chartClockAxis && measuredPoints.length > 0;
+
+  const temperaturePoints = measuredPoints.filter(point => point.temperature !== undefined);
+  const humidityPoints = measuredPoints.filter(point => point.humidity !== undefined);
+  const plotTemperature = showTemperature && temperaturePoints.length > 0;
+  const plotHumidity = showHumidity && humidityPoints.length > 0;
+
+  const clockTimeAt = (minutes) => formatTime({ measuredPoints }, Math.round(minutes));
+
+  const ticks = isMultiDayChart
+    ? hourTicks(chartSpan).filter(tick => !zoom || (tick >= zoom[0] && tick <= zoom[1]))
+    : undefined;
+  const hourFormatter = isMultiDayChart ? (value) => t('chart.hourTick', { hours: formatNumber(value / 60) }) : undefined;
+  const hoursOrMinutes = isMultiDayChart ? t('chart.hoursFromStart') : t('chart.minutesFromStart');
+
+  // The chart reports the minutes of the nearest point under the pointer
+  const minutesOf = (state) => {
+    const label = state?.activeLabel;
+    return label === undefined || label === null ? null : Number(label);
+  };
+
+  const startSelection = (state) => {
+    const minutes = minutesOf(state);
+    if (minutes !== null) setSelection({ from: minutes, to: minutes });
+  };
+
+  const extendSelection = (state) => {
+    const minutes = minutesOf(state);
+    if (selection && minutes !== null) setSelection({ ...selection, to: minutes });
+  };
+
+  // The chart only learns which point is under a finger once it moves, so
+  // a touch selection starts at the first move
+  const extendTouchSelection = (state) => {
+    const minutes = minutesOf(state);
+    if (minutes === null) return;
+    setSelection(selection ? { ...selection, to: minutes } : { from: minutes, to: minutes });
+  };
+
+  const finishSelection = () => {
+    if (selection && selection.from !== selection.to) {
+      setZoom([Math.min(selection.from, selection.to), Math.max(selection.from, selection.to)]);
+    }
+    setSelection(null);
+  };
+
+  // Shifts the zoomed range by half its width, staying within the data
+  const pan = (direction) => {
+    const width = zoom[1] - zoom[0];
+    const from = Math.min(Math.max(zoom[0] + direction * width / 2, 0), Math.max(chartSpan - width, 0));
+    setZoom([from, from + width]);
+  };
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-semibold mb-3 flex items-center gap-2 text-gray-100">
+        <TrendingDown className="text-green-400" />
+        {t('chart.title')}
+      </h3>
+      <div className="mb-3 flex flex-wrap items-center gap-4 text-sm text-gray-300">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={showGhostProjections}
+            onChange={(e) => onSettingsChange({ showGhostProjections: e.target.checked })}
+            className="accent-purple-400"
+          />
+          {t('chart.ghosts')}
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.chartClockAxis}
+            onChange={(e) => onSettingsChange({ chartClockAxis: e.target.checked })}
+          />
+          {t('chart.clockAxis')}
+        </label>
+        {temperaturePoints.length > 0 && (
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={showTemperature}
+              onChange={(e) => onSettingsChange({ showTemperature: e.target.checked })}
+              style={{ accentColor: TEMPERATURE_COLOR }}
+            />
+            {t('chart.temperature')}
+          </label>
+        )}
+        {humidityPoints.length > 0 && (
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={showHumidity}
+              onChange={(e) => onSettingsChange({ showHumidity: e.target.checked })}
+              style={{ accentColor: HUMIDITY_COLOR }}
+            />
+            {t('chart.humidity')}
+          </label>
+        )}
+        {zoom ? (
+          <span className="flex items-center gap-2">
+            <button type="button" onClick={() => pan(-1)} disabled={zoom[0] <= 0} className={`${buttonClass} disabled:opacity-40`} title={t('chart.panLeft')}>
+              <ChevronLeft size={16} />
+            </button>
+            <button type="button" onClick={() => pan(1)} disabled={zoom[1] >= chartSpan} className={`${buttonClass} disabled:opacity-40`} title={t('chart.panRight')}>
+              <ChevronRight size={16} />
+            </button>
+            <button type="button" onClick={() => setZoom(null)} className={buttonClass}>
+              <ZoomOut size={16} />
+              {t('chart.resetZoom')}
+            </button>
+          </span>
+        ) : (
+          <span className="text-xs text-gray-500">{t('chart.zoomHint')}</span>
+        )}
+      </div>
+      {/* Vertical swipes still scroll the page; horizontal ones select a range */}
+      <div className="bg-gray-800 p-4 rounded-lg border border-gray-700 select-none touch-pan-y">
+        <ResponsiveContainer width="100%" height={400}>
+          <ComposedChart
+            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+            onMouseDown={startSelection}
+            onMouseMove={extendSelection}
+            onMouseUp={finishSelection}
+            onMouseLeave={() => setSelection(null)}
+            onTouchStart={() => setSelection(null)}
+            onTouchMove={extendTouchSelection}
+            onTouchEnd={finishSelection}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke={chartTheme.gridColor} />
+            <XAxis
+              type="number"
+              dataKey="minutes"
+              domain={zoom ?? ['dataMin', 'dataMax']}
+              allowDataOverflow={Boolean(zoom)}
+              allowDecimals={false}
+              ticks={ticks}
+              tickFormatter={chartClockAxis ? clockTimeAt : hourFormatter}
+              label={{
+                value: chartClockAxis ? t('chart.timeOfDay') : hoursOrMinutes,
+                position: 'insideBottom',
+                offset: -5,
+                fill: chartTheme.textColor
+              }}
+              stroke={chartTheme.textColor}
+              tick={{ fill: chartTheme.textColor }}
+            />
+            <YAxis
+              label={{ value: t('readings.co2'), angle: -90, position: 'insideLeft', fill: chartTheme.textColor }}
+              domain={[300, 'dataMax + 100']}
+              stroke={chartTheme.textColor}
+              tick={{ fill: chartTheme.textColor }}
+            />
+            {(plotTemperature || plotHumidity) && (
+              <YAxis
+                yAxisId="climate"
+                orientation="right"
+                label={{ value: t('chart.climateAxis'), angle: 90, position: 'insideRight', fill: chartTheme.textColor }}
+                domain={[0, 'dataMax + 10']}
+                allowDecimals={false}
+                stroke={chartTheme.textColor}
+                tick={{ fill: chartTheme.textColor }}
+              />
+            )}
+            <Tooltip
+              formatter={(value, name, item) => `${formatNumber(value)} ${SERIES_UNITS[item.dataKey] ?? 'ppm'}`}
+              labelFormatter={(value) => [clockTimeAt(value), t('chart.minutesIn', { minutes: formatNumber(Math.round(value)) })].filter(Boolean).join(' · ')}
+              contentStyle={{ backgroundColor: '#374151', border: '1px solid #4b5563', borderRadius: '6px' }}
+              itemStyle={{ color: '#e5e7eb' }}
+              labelStyle={{ color: '#9ca3af' }}
+            />
+            <Legend wrapperStyle={{ color: chartTheme.textColor }} />
+
+            {/* Reference areas for CO2 levels */}
+            <ReferenceArea y1={0} y2={thresholds.ideal} strokeOpacity={0} fill={ZONES.ideal.fill} fillOpacity={0.15} />
+            <ReferenceArea y1={thresholds.ideal} y2={thresholds.good} strokeOpacity={0} fill={ZONES.good.fill} fillOpacity={0.15} />
+            <ReferenceArea y1={thresholds.good} y2={thresholds.concerning} strokeOpacity={0} fill={ZONES.concerning.fill} fillOpacity={0.15} />
+            <ReferenceArea y1={thresholds.concerning} y2={thresholds.concerning + 1000} strokeOpacity={0} fill={ZONES.poor.fill} fillOpacity={0.15} />
+
+            {/* Reference lines */}
+            <ReferenceLine y={thresholds.ideal} stroke={ZONES.ideal.fill} strokeDasharray="5 5" label={{ value: t('zones.ideal'), fill: chartTheme.textColor }} />
+            <ReferenceLine y={thresholds.good} stroke={ZONES.good.fill} strokeDasharray="5 5" label={{ value: t('zones.good'), fill: chartTheme.textColor }} />
+            <ReferenceLine y={thresholds.concerning} stroke={ZONES.poor.fill} strokeDasharray="5 5" label={{ value: t('zones.poor'), fill: chartTheme.textColor }} />
+            {![thresholds.ideal, thresholds.good, thresholds.concerning].includes(targetCO2) && (
+              <ReferenceLine y={targetCO2} stroke="#a78bfa" strokeDasharray="2 4" label={{ value: t('chart.target'), fill: chartTheme.textColor }} />
+            )}
+
+            {/* Logged events, labelled with their note */}
+            {events.map((event, index) => (
+              <ReferenceLine
+                key={`event-${index}`}
+                x={event.minutes}
+                stroke={EVENT_COLOR}
+                strokeDasharray="4 2"
+                label={{ value: event.note || t(`events.${event.type}`), position: 'insideTopLeft', fill: EVENT_COLOR, fontSize: 11 }}
+              />
+            ))}
+
+            {/* 95% uncertainty band around the current projection */}
+            {bandProjection && bandProjection.band.length > 0 && (
+              <Area
+                type={bandProjection.band.length > 2 ? 'monotone' : 'linear'}
+                dataKey="band"
+                data={bandProjection.band}
+                stroke="none"
+                fill="#a78bfa"
+                fillOpacity={0.2}
+                name={t('chart.uncertainty')}
+                legendType="none"
+                tooltipType="none"
+                isAnimationActive={false}
+              />
+            )}
+
+            {/* Earlier projections as ghost lines, fading with age */}
+            {showGhostProjections && ghostProjections.map((entry, index) => (
+              <Line
+                key={`ghost-${entry.readingIndex}`}
+                type={entry.points.length > 2 ? 'monotone' : 'linear'}
+                dataKey="co2"
+                data={entry.points}
+                stroke="#a78bfa"
+                strokeOpacity={0.15 + 0.4 * (index + 1) / ghostProjections.length}
+                strokeWidth={1.5}
+                strokeDasharray="3 3"
+                dot={false}
+                activeDot={false}
+                legendType="none"
+                tooltipType="none"
+                isAnimationActive={false}
+              />
+            ))}
+
+            {/* Measured data */}
+            <Line
+              type="monotone"
+              dataKey="co2"
+              data={measuredPoints}
+              stroke={MEASURED_COLOR}
+              strokeWidth={3}
+              dot={renderMeasuredDot}
+              name={t('chart.measured')}
+            />
+
+            {/* Projected data - a straight line or a sampled decay curve */}
+            {projectedPoints.length > 0 && (
+              <Line
+                type={projectedPoints.length > 2 ? 'monotone' : 'linear'}
+                dataKey="co2"
+                data={projectedPoints}
+                stroke="#a78bfa"
+                strokeWidth={2}
+                strokeDasharray="5 5"
+                dot={projectedPoints.length > 2 ? false : { fill: "#a78bfa", r: 4 }}
+                name={t('chart.projected')}
+                isAnimationActive={false}
+              />
+            )}
+
+            {/* What-if simulation, kept to compare the readings against */}
+            {simulatedPoints.length > 0 && (
+              <Line
+                type="monotone"
+                dataKey="co2"
+                data={simulatedPoints}
+                stroke={SIMULATED_COLOR}
+                strokeWidth={2}
+                strokeDasharray="8 4"
+                dot={false}
+                name={t('chart.simulated')}
+                isAnimationActive={false}
+              />
+            )}
+
+            {plotTemperature && (
+              <Line
+                yAxisId="climate"
+                type="monotone"
+                dataKey="temperature"
+                data={temperaturePoints}
+                stroke={TEMPERATURE_COLOR}
+                strokeWidth={2}
+                dot={{ fill: TEMPERATURE_COLOR, r: 3 }}
+                name={t('chart.temperature')}
+                isAnimationActive={false}
+              />
+            )}
+            {plotHumidity && (
+              <Line
+                yAxisId="climate"
+                type="monotone"
+                dataKey="humidity"
+                data={humidityPoints}
+                stroke={HUMIDITY_COLOR}
+                strokeWidth={2}
+                dot={{ fill: HUMIDITY_COLOR, r: 3 }}
+                name={t('chart.humidity')}
+                isAnimationActive={false}
+              />
+            )}
+
+            {selection && (
+              <ReferenceArea x1={selection.from} x2={selection.to} fill="#60a5fa" fillOpacity={0.15} stroke="#60a5fa" strokeOpacity={0.4} />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default CO2Chart;
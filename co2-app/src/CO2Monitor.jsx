@@ -1,500 +1,1326 @@
-import React, { useState } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ReferenceArea } from 'recharts';
-import { AlertCircle, Wind, TrendingDown } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { AlertCircle, Wind, TrendingDown, Eye, Play, X, Upload, Download, DoorOpen, Bell, Timer, FileText, Thermometer, Share2, Undo2, Redo2 } from 'lucide-react';
+import SessionHistory from './SessionHistory';
+import RoomManager from './RoomManager';
+import RoomComparison from './RoomComparison';
+import SettingsPanel from './SettingsPanel';
+import ImportDialog from './ImportDialog';
+import SessionReport from './SessionReport';
+import ShareDialog from './ShareDialog';
+import LiveSourcePanel from './LiveSourcePanel';
+import AlertsPanel from './AlertsPanel';
+import SimulatorPanel from './SimulatorPanel';
+import MeasurementsTable from './MeasurementsTable';
+import AnalyticsPanel from './AnalyticsPanel';
+import EventForm from './EventForm';
+import CO2Chart from './CO2Chart';
+import UpdatePrompt from './UpdatePrompt';
+import { useLiveSource } from './liveSource';
+import { useAlerts, playTone, sendNotification, CHIME_TONE } from './alerts';
+import { useReminder } from './reminder';
+import { useShareLink, clearShareLink } from './shareLink';
+import { useUndoHistory, useUndoShortcuts } from './undoHistory';
+import { loadSettings, saveSettings } from './settingsStore';
+import { I18nContext, createI18n } from './i18n';
+import {
+  addReading as addCoreReading,
+  updateReading,
+  removeReading,
+  excludeReading,
+  findOutliers,
+  checkReadingTime,
+  addEvent,
+  removeEvent,
+  placeEvents,
+  splitIntoPhases,
+  project,
+  projectBuildUp,
+  timeInZones,
+  averageRate,
+  ventilationMetrics,
+  validateClimate,
+  climateWarnings,
+  validateReading,
+  validateCO2,
+  validateDateTime,
+  combineDateTime,
+  readClockTime,
+  toTimestamp,
+  toClockTime,
+  toDateString,
+  spansSeveralDays,
+  minutesIntoSession,
+  simulateVentilation,
+  sampleCurve,
+  PLAUSIBLE_CO2
+} from './co2-core';
+import { ZONES, getCO2Status } from './zones';
+import { downloadFile, exportFileName, sessionToCSV, sessionToJSON } from './sessionTransfer';
+import {
+  createSession,
+  listSessions,
+  loadSession,
+  saveSession,
+  renameSession,
+  deleteSession,
+  setActiveSessionId,
+  restoreActiveSession
+} from './sessionStore';
+import { listRooms, loadRoom, addRoom, updateRoom, deleteRoom, setActiveRoomId, restoreActiveRoom } from './roomStore';
+
+// How long Undo stays offered after Clear
+const UNDO_TOAST_MS = 6000;
+
+const trendWindowOf = (settings) => ({
+  mode: settings.trendWindowMode,
+  size: settings.trendWindowMode === 'minutes' ? settings.trendWindowMinutes : settings.trendWindowReadings
+});
+
+const getProjection = (measuredData, settings) =>
+  project({ measuredPoints: measuredData }, {
+    model: settings.projectionModel,
+    target: settings.targetCO2,
+    outdoorCO2: settings.outdoorCO2,
+    window: trendWindowOf(settings)
+  });
+
+// While CO2 is rising: when the room will become Concerning and Poor
+const getBuildUpProjection = (measuredData, settings) =>
+  projectBuildUp({ measuredPoints: measuredData }, {
+    thresholds: settings.thresholds,
+    window: trendWindowOf(settings)
+  });
+
+// Fit of the projected line from the latest measured reading down to the
+// target level, or up through the zone boundaries while CO2 is rising;
+// null when there is no line
+const buildProjectionCurve = (measuredData, settings) =>
+  getProjection(measuredData, settings)?.curve ??
+  getBuildUpProjection(measuredData, settings)?.curve ??
+  null;
+
+// The projection made when the reading at `readingIndex` was added. Every
+// entry is kept so earlier forecasts can be drawn as "ghost" lines; only
+// the fit is stored, as a session can hold thousands of readings.
+const buildProjectionEntry = (measuredData, settings) => ({
+  readingIndex: measuredData.length - 1,
+  curve: buildProjectionCurve(measuredData, settings)
+});
+
+// At most this many ghost lines are drawn; longer histories are thinned
+// evenly, keeping the most recent forecast
+const MAX_GHOST_LINES = 20;
+
+const thinGhosts = (entries) => {
+  const step = Math.ceil(entries.length / MAX_GHOST_LINES);
+  return entries.filter((_, index) => (entries.length - 1 - index) % step === 0);
+};
+
+// Reconstruct the projection history of a session saved without one, or
+// after its readings were edited
+const replayProjectionHistory = (measuredData, settings) =>
+  measuredData.slice(1).map((_, index) => buildProjectionEntry(measuredData.slice(0, index + 2), settings));
+
+const restoreProjectionHistory = (session, settings) =>
+  session.projectionHistory ?? replayProjectionHistory(session.measuredPoints, settings);
+
+// The saved simulation's curve on the readings' minutes axis, starting at
+// the reading it was run from, or at the first reading when it was run
+// before any came in. It follows the zones and target currently shown.
+const buildSimulatedPoints = (simulation, measuredData, settings) => {
+  if (!simulation) return [];
+  const offset = simulation.startedAt ? minutesIntoSession({ measuredPoints: measuredData }, simulation.startedAt) ?? 0 : 0;
+  const { points } = simulateVentilation({ ...simulation, thresholds: settings.thresholds, target: settings.targetCO2 });
+  return points.map(point => ({ ...point, minutes: point.minutes + offset }));
+};
+
+// Effectiveness figures saved with the session, together with the outdoor
+// baseline and room volume they were computed from. Each phase between
+// logged events gets its own rate and ventilation figures.
+const sessionMetrics = (current, settings, room) => {
+  const options = { outdoorCO2: settings.outdoorCO2, volume: room.volume };
+  return {
+    ...options,
+    ventilation: ventilationMetrics(current, options),
+    zoneMinutes: timeInZones(current, settings.thresholds),
+    phases: splitIntoPhases(current).map(({ event, from, to, measuredPoints }) => ({
+      event,
+      from,
+      to,
+      averageRate: averageRate({ measuredPoints }),
+      ventilation: ventilationMetrics({ measuredPoints }, options)
+    }))
+  };
+};
+
+// Entry fields get a red border while their value is rejected
+const entryFieldClass = (hasError) =>
+  `px-3 py-2 bg-gray-700 border ${hasError ? 'border-red-500' : 'border-gray-600'} text-gray-100 rounded-md focus:ring-blue-500 focus:border-blue-500`;
+
+// Tidies the time field while typing: "1825" becomes "18:25" and hours and
+// minutes are capped. On a 12-hour clock hours stop at 12 and an AM/PM
+// suffix is kept.
+const tidyTimeInput = (input, hour12) => {
+  const suffixStart = hour12 ? input.search(/[ap]/i) : -1;
+  const suffix = suffixStart >= 0 ? ` ${input.slice(suffixStart).replace(/[^apm.]/gi, '')}` : '';
+  let value = (suffixStart >= 0 ? input.slice(0, suffixStart) : input).replace(/[^0-9:]/g, '');
+
+  // Handle direct input of 3 or 4 digits without colon (e.g., 1825, or 230
+  // for 2:30 on a 12-hour clock)
+  if (/^\d{3,4}$/.test(value)) {
+    const hoursLength = hour12 && Number(value.substring(0, 2)) > 12 ? 1 : 2;
+    value = `${value.substring(0, hoursLength)}:${value.substring(hoursLength)}`;
+  }
+
+  if (value.includes(':')) {
+    const [hours, minutes] = value.split(':');
+    const validHours = Math.min(parseInt(hours) || 0, hour12 ? 12 : 23);
+    let validMinutes = minutes.substring(0, 2);
+    if (parseInt(validMinutes) > 59) validMinutes = '59';
+    value = `${hour12 ? validHours : String(validHours).padStart(2, '0')}:${validMinutes}`;
+  }
+  return value + suffix;
+};
 
 const CO2Monitor = () => {
-  const [measuredPoints, setMeasuredPoints] = useState([]);
-  const [projectedPoints, setProjectedPoints] = useState([]);
+  const [settings, setSettings] = useState(loadSettings);
+  const i18n = useMemo(() => createI18n(settings.language), [settings.language]);
+  const {
+    t,
+    translateMessage,
+    hour12,
+    timeFormat,
+    timeError,
+    formatNumber,
+    formatClock,
+    formatTime,
+    formatDuration,
+    formatDurationRange,
+    formatSessionDate,
+    formatCountdown,
+    formatTimestamp
+  } = i18n;
+  // restoreActiveRoom creates the default room on first use, so it runs first
+  const [room, setRoom] = useState(() => restoreActiveRoom(t('rooms.defaultName')));
+  const [rooms, setRooms] = useState(listRooms);
+  const [session, setSession] = useState(() => restoreActiveSession(room.id));
+  // Sessions of every room; the history lists the current room's, the
+  // comparison view draws from all of them
+  const [sessions, setSessions] = useState(listSessions);
+  const [isRoomManagerOpen, setIsRoomManagerOpen] = useState(false);
+  const [isReadOnly, setIsReadOnly] = useState(false);
+  const [measuredPoints, setMeasuredPoints] = useState(session.measuredPoints);
+  const [projectionHistory, setProjectionHistory] = useState(() => restoreProjectionHistory(session, settings));
+  const [events, setEvents] = useState(session.events);
+  // What-if ventilation run kept on the chart for comparison, or null
+  const [simulation, setSimulation] = useState(session.simulation ?? null);
+  const [currentDate, setCurrentDate] = useState(() => toDateString(new Date()));
   const [currentTime, setCurrentTime] = useState('');
   const [currentCO2, setCurrentCO2] = useState('');
-  
-  // Function to set the current time
-  const setCurrentTimeToNow = () => {
-    const now = new Date();
-    const hours = now.getHours().toString().padStart(2, '0');
-    const minutes = now.getMinutes().toString().padStart(2, '0');
-    setCurrentTime(`${hours}:${minutes}`);
+  // Optional, for meters that also show temperature and humidity
+  const [currentTemperature, setCurrentTemperature] = useState('');
+  const [currentHumidity, setCurrentHumidity] = useState('');
+  // Rejected entry fields, by field, with the message shown under each
+  const [entryErrors, setEntryErrors] = useState({});
+  // A time before the latest reading is often a typo, so it is only added
+  // when Add is pressed a second time: { timestamp, latest }
+  const [earlierWarning, setEarlierWarning] = useState(null);
+  const co2InputRef = useRef(null);
+  // When the next-reading reminder goes off (ms), or null when it isn't running
+  const [reminderDueAt, setReminderDueAt] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isReportOpen, setIsReportOpen] = useState(false);
+  // What the Share dialog links to, captured when it was opened
+  const [shareSnapshot, setShareSnapshot] = useState(null);
+  // While a shared link is open: the sender's room, zones and target
+  const [shared, setShared] = useState(null);
+  const [shareError, setShareError] = useState('');
+  // Set when the browser refused to store the session being recorded
+  const [isStorageFull, setIsStorageFull] = useState(false);
+  // Bumped when deleting a session frees storage, to retry a failed save
+  const [saveRetries, setSaveRetries] = useState(0);
+  const [isLive, setIsLive] = useState(false);
+  const { canUndo, canRedo, record: recordUndo, undo, redo, reset: resetUndo } = useUndoHistory();
+  const [isUndoToastOpen, setIsUndoToastOpen] = useState(false);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.language;
+  }, [i18n.language]);
+
+  useEffect(() => {
+    if (!isUndoToastOpen) return;
+    const timer = setTimeout(() => setIsUndoToastOpen(false), UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [isUndoToastOpen]);
+
+  // The latest projection is the current forecast; earlier ones are ghosts.
+  // The projected table lists the same points as the line.
+  const currentCurve = projectionHistory.length > 0 ? projectionHistory[projectionHistory.length - 1].curve : null;
+  const projectedPoints = currentCurve ? sampleCurve(currentCurve) : [];
+  const ghostProjections = thinGhosts(projectionHistory.slice(0, -1).filter(entry => entry.curve))
+    .map(entry => ({ readingIndex: entry.readingIndex, points: sampleCurve(entry.curve) }));
+
+  // Save the session being recorded whenever its measurements or events
+  // change. Loaded sessions share their arrays, so merely opening one
+  // doesn't bump its "last updated" date. When storage is full the changes
+  // stay on screen, and saving is tried again with the next change or once
+  // a session has been deleted.
+  useEffect(() => {
+    if (
+      isReadOnly ||
+      (measuredPoints === session.measuredPoints &&
+        projectionHistory === session.projectionHistory &&
+        events === session.events &&
+        simulation === (session.simulation ?? null))
+    ) return;
+
+    const saved = saveSession({
+      ...session,
+      measuredPoints,
+      projectionHistory,
+      events,
+      simulation,
+      metrics: sessionMetrics({ measuredPoints, events }, settings, room)
+    });
+    setIsStorageFull(!saved);
+    if (!saved) return;
+    setActiveSessionId(saved.roomId, saved.id);
+    setSession(saved);
+    setSessions(listSessions());
+  }, [session, measuredPoints, projectionHistory, events, simulation, isReadOnly, settings, room, saveRetries]);
+
+  // Showing any other session leaves a shared link, so it's also taken out
+  // of the address bar
+  const showSession = (target, readOnly, sharedView = null) => {
+    setSession(target);
+    setMeasuredPoints(target.measuredPoints);
+    setProjectionHistory(restoreProjectionHistory(target, settings));
+    setEvents(target.events);
+    setSimulation(target.simulation ?? null);
+    setIsReadOnly(readOnly);
+    setShared(sharedView);
+    if (!sharedView) clearShareLink();
   };
 
-  const addDataPoint = () => {
-    if (!currentTime || !currentCO2) return;
-    
-    // Validate time format
-    const timePattern = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
-    if (!timePattern.test(currentTime)) {
-      alert('Please enter time in HH:MM format');
+  // Start recording a fresh session; the previous one stays in the history
+  const startNewSession = () => {
+    const fresh = createSession(room.id);
+    setActiveSessionId(room.id, fresh.id);
+    showSession(fresh, false);
+  };
+
+  // What an undo step puts back. Only the session being recorded is
+  // undoable, not one viewed read-only.
+  const undoableState = () => ({ session, measuredPoints, projectionHistory, events, simulation, settings });
+
+  // Call before each change; `kind` merges quick repeats into one step
+  const recordChange = (kind) => {
+    if (isReadOnly) return;
+    recordUndo(undoableState(), kind);
+    setIsUndoToastOpen(false);
+  };
+
+  const forgetChanges = () => {
+    resetUndo();
+    setIsUndoToastOpen(false);
+  };
+
+  const restoreState = (state) => {
+    // Undoing Clear returns to the previous session, as it is stored now
+    // (it may have been renamed since)
+    if (state.session.id !== session.id) {
+      setActiveSessionId(room.id, state.session.id);
+      setSession(loadSession(state.session.id) ?? state.session);
+    }
+    setMeasuredPoints(state.measuredPoints);
+    setProjectionHistory(state.projectionHistory);
+    setEvents(state.events);
+    setSimulation(state.simulation);
+    if (state.settings !== settings) {
+      setSettings(state.settings);
+      saveSettings(state.settings);
+    }
+  };
+
+  const undoChange = () => {
+    if (isReadOnly) return;
+    const previous = undo(undoableState());
+    if (previous) restoreState(previous);
+    setIsUndoToastOpen(false);
+  };
+
+  const redoChange = () => {
+    if (isReadOnly) return;
+    const next = redo(undoableState());
+    if (next) restoreState(next);
+    setIsUndoToastOpen(false);
+  };
+
+  useUndoShortcuts({ onUndo: undoChange, onRedo: redoChange });
+
+  // Clear starts a new session right away; Undo is offered for a few
+  // seconds instead of asking first
+  const clearSession = () => {
+    if (measuredPoints.length === 0 && events.length === 0) {
+      startNewSession();
+      return;
+    }
+    recordChange();
+    startNewSession();
+    setIsUndoToastOpen(true);
+  };
+
+  const openSession = (id) => {
+    const target = loadSession(id);
+    if (target) showSession(target, true);
+  };
+
+  const resumeSession = (id) => {
+    const target = loadSession(id);
+    if (!target) return;
+    setActiveSessionId(target.roomId, target.id);
+    showSession(target, false);
+    forgetChanges();
+  };
+
+  // Leave the read-only view and return to the session being recorded
+  const closeReadOnlyView = () => {
+    showSession(restoreActiveSession(room.id), false);
+  };
+
+  // Imported readings become a new session; its projection history and
+  // metrics are always rebuilt from the readings
+  const importSession = (imported) => {
+    const saved = saveSession({
+      ...createSession(room.id),
+      ...imported,
+      roomId: room.id,
+      projectionHistory: replayProjectionHistory(imported.measuredPoints, settings),
+      metrics: sessionMetrics(imported, settings, room)
+    });
+    if (!saved) {
+      setIsStorageFull(true);
+      setIsImportOpen(false);
+      return;
+    }
+    setActiveSessionId(room.id, saved.id);
+    setSessions(listSessions());
+    showSession(saved, false);
+    forgetChanges();
+    setIsImportOpen(false);
+  };
+
+  // A shared link opens read-only, projected with the sender's zones and
+  // target, until it is imported or closed
+  useShareLink((result) => {
+    if (result.error) {
+      setShareError(translateMessage(result.error));
+      clearShareLink();
       return;
     }
+    const { session: sharedSession, thresholds: sharedThresholds, targetCO2: sharedTarget } = result.shared;
+    const senderSettings = { ...settings, thresholds: sharedThresholds, targetCO2: sharedTarget };
+    setIsLive(false);
+    setShareError('');
+    showSession(
+      { ...sharedSession, projectionHistory: replayProjectionHistory(sharedSession.measuredPoints, senderSettings) },
+      true,
+      result.shared
+    );
+  });
+
+  const exportCSV = () => {
+    downloadFile(`${exportFileName(session)}.csv`, sessionToCSV(measuredPoints, settings.thresholds), 'text/csv');
+  };
+
+  const exportJSON = () => {
+    const current = { ...session, measuredPoints, projectionHistory, events, simulation };
+    downloadFile(`${exportFileName(session)}.json`, sessionToJSON(current, settings), 'application/json');
+  };
+
+  const handleRenameSession = (id, name) => {
+    renameSession(id, name);
+    setSession(prev => (prev.id === id ? { ...prev, name } : prev));
+    setSessions(listSessions());
+  };
+
+  const updateSettings = (changes) => {
+    recordChange(`settings:${Object.keys(changes).sort().join()}`);
+    const updated = { ...settings, ...changes };
+    setSettings(updated);
+    saveSettings(updated);
+
+    // Only the current forecast follows the new settings; ghosts keep
+    // showing what was projected at the time
+    if (projectionHistory.length > 0) {
+      setProjectionHistory([...projectionHistory.slice(0, -1), buildProjectionEntry(measuredPoints, updated)]);
+    }
+  };
 
-    const [hours, minutes] = currentTime.split(':').map(Number);
-    const totalMinutes = hours * 60 + minutes;
-    
-    // Calculate elapsed minutes from first measurement
-    let elapsedMinutes;
-    if (measuredPoints.length === 0) {
-      elapsedMinutes = 0;
+  const handleDeleteSession = (id) => {
+    deleteSession(id);
+    setSessions(listSessions());
+    if (isStorageFull) setSaveRetries(saveRetries + 1);
+    // Undo could bring the deleted session back
+    forgetChanges();
+    if (id !== session.id) return;
+    // Deleting a session opened from the history goes back to the one
+    // being recorded; only deleting that one starts a fresh session
+    if (isReadOnly) {
+      closeReadOnlyView();
     } else {
-      const firstPointTime = measuredPoints[0].time.split(':').map(Number);
-      const firstPointMinutes = firstPointTime[0] * 60 + firstPointTime[1];
-      elapsedMinutes = totalMinutes - firstPointMinutes;
-      
-      // Handle crossing midnight
-      if (elapsedMinutes < 0) {
-        elapsedMinutes += 24 * 60;
+      startNewSession();
+    }
+  };
+
+  // Each room keeps its own session in progress, which switching back to
+  // the room picks up again
+  const switchRoom = (id) => {
+    const target = loadRoom(id);
+    if (!target) return;
+    setIsLive(false);
+    setActiveRoomId(target.id);
+    setRoom(target);
+    showSession(restoreActiveSession(target.id), false);
+    forgetChanges();
+  };
+
+  const handleAddRoom = (values) => {
+    const added = addRoom(values);
+    setRooms(listRooms());
+    switchRoom(added.id);
+  };
+
+  const handleUpdateRoom = (id, changes) => {
+    updateRoom(id, changes);
+    setRooms(listRooms());
+    if (id === room.id) setRoom(loadRoom(id));
+  };
+
+  const handleDeleteRoom = (id) => {
+    deleteRoom(id);
+    setRooms(listRooms());
+    setSessions(listSessions());
+    if (id === room.id) switchRoom(restoreActiveRoom().id);
+  };
+
+  // Function to set the current date and time
+  const setCurrentTimeToNow = () => {
+    const now = new Date();
+    setCurrentDate(toDateString(now));
+    setCurrentTime(formatClock(toClockTime(now)));
+    clearEntryError('date');
+    clearEntryError('time');
+  };
+
+  // Editing a field clears its error; a changed date or time is checked
+  // against the latest reading again
+  const clearEntryError = (field) => {
+    setEntryErrors(errors => {
+      const { [field]: _cleared, ...rest } = errors;
+      return rest;
+    });
+    if (field === 'date' || field === 'time') setEarlierWarning(null);
+  };
+
+  // Adds a validated reading and records the projection it triggers. A
+  // reading dated before the latest one changes earlier projections, so
+  // those are rebuilt instead.
+  const addReading = (timestamp, co2, climate) => {
+    recordChange();
+    const { measuredPoints: updatedMeasured } = addCoreReading({ measuredPoints }, timestamp, co2, climate);
+    setMeasuredPoints(updatedMeasured);
+
+    if (updatedMeasured[updatedMeasured.length - 1].timestamp !== timestamp) {
+      setProjectionHistory(replayProjectionHistory(updatedMeasured, settings));
+    } else if (updatedMeasured.length >= 2) {
+      setProjectionHistory([...projectionHistory, buildProjectionEntry(updatedMeasured, settings)]);
+    }
+  };
+
+  const liveStatus = useLiveSource({
+    enabled: isLive && !isReadOnly,
+    url: settings.liveSourceUrl,
+    minIntervalMinutes: settings.liveMinIntervalMinutes,
+    onReading: ({ timestamp, ppm, temperature, humidity }) => {
+      const readingTimestamp = toTimestamp(new Date(timestamp));
+      // Implausible climate values are dropped rather than the whole reading
+      const climate = validateClimate({ temperature, humidity }) ? undefined : { temperature, humidity };
+      if (!validateReading(readingTimestamp, ppm) && checkReadingTime({ measuredPoints }, readingTimestamp) !== 'duplicate') {
+        addReading(readingTimestamp, ppm, climate);
       }
-      // Remove all previous projection points; we will rebuild the projection
-      setProjectedPoints([]);
     }
-    
-    const newPoint = {
-      time: currentTime,
-      minutes: elapsedMinutes,
-      co2: parseInt(currentCO2),
-      type: 'measured'
+  });
+
+  const addDataPoint = () => {
+    if (!currentDate || !currentTime || !currentCO2) return;
+
+    const clockTime = readClockTime(currentTime);
+    const climate = { temperature: currentTemperature, humidity: currentHumidity };
+    const errors = {
+      date: clockTime && validateDateTime(currentDate, clockTime),
+      time: !clockTime && timeError,
+      co2: validateCO2(currentCO2),
+      temperature: validateClimate({ temperature: currentTemperature }),
+      humidity: validateClimate({ humidity: currentHumidity })
     };
+    const timestamp = errors.date || errors.time ? null : combineDateTime(currentDate, clockTime);
+    const timeCheck = timestamp && checkReadingTime({ measuredPoints }, timestamp);
+    if (timeCheck === 'duplicate') {
+      errors.time = t('monitor.duplicateTime', { time: formatClock(clockTime) });
+    }
 
-    // Add new measured point
-    const updatedMeasured = [...measuredPoints, newPoint];
-    setMeasuredPoints(updatedMeasured);
+    const rejected = Object.fromEntries(
+      Object.entries(errors).filter(([, error]) => error).map(([field, error]) => [field, translateMessage(error)])
+    );
+    setEntryErrors(rejected);
+    if (Object.keys(rejected).length > 0) return;
 
-    // Update projections
-    if (updatedMeasured.length >= 2) {
-      const newSegment = buildProjectionSegment(updatedMeasured);
-      
-      // Replace any existing projections with the freshly calculated segment
-      setProjectedPoints(newSegment);
+    if (timeCheck === 'earlier' && earlierWarning?.timestamp !== timestamp) {
+      setEarlierWarning({ timestamp, latest: measuredPoints[measuredPoints.length - 1].timestamp });
+      return;
     }
+    setEarlierWarning(null);
+
+    addReading(timestamp, currentCO2, climate);
 
-    // Clear inputs
+    // Clear inputs; the date stays for the next reading
     setCurrentTime('');
     setCurrentCO2('');
-  };
+    setCurrentTemperature('');
+    setCurrentHumidity('');
 
-  // Build a straight-line projection that connects the latest measured
-  // reading directly to the ideal buffer level (550 ppm)
-  // The table shows exactly the values that appear in the projected line
-  const buildProjectionSegment = (measuredData) => {
-    if (measuredData.length < 2) return [];
-
-    const [prevPoint, currentPoint] = measuredData.slice(-2);
-
-    const timeDiff = currentPoint.minutes - prevPoint.minutes;
-    if (timeDiff === 0) return [];
-
-    const co2Diff = currentPoint.co2 - prevPoint.co2;
-    const rate = co2Diff / timeDiff; // ppm per minute (negative if decreasing)
-
-    // Only project if CO2 is decreasing
-    if (rate >= 0) return [];
-
-    // Use the current point's minutes as the first data point
-    const currentCO2 = currentPoint.co2;
-
-    // Minutes required to hit 550 ppm (rate is negative)
-    const minutesToIdeal = Math.round((550 - currentCO2) / rate);
-
-    // If the ideal level is already reached, no projection needed
-    if (minutesToIdeal <= 0) return [];
-    
-    // Calculate the end minute (when CO2 reaches 550)
-    const endMinute = currentPoint.minutes + minutesToIdeal;
-    
-    // Create exactly two points for the projection line that will match the table
-    return [
-      {
-        minutes: currentPoint.minutes,
-        co2: currentCO2,
-        type: 'projected'
-      },
-      {
-        minutes: endMinute,
-        co2: 550,
-        type: 'projected'
-      }
-    ];
+    if (settings.reminderEnabled) {
+      setReminderDueAt(Date.now() + settings.reminderMinutes * 60000);
+    }
   };
 
-  const mergeProjectionSegments = (allProjected) => {
-    // Sort by time and remove duplicates, keeping the most recent projection for each time
-    const timeMap = new Map();
-    
-    allProjected.forEach(point => {
-      if (!timeMap.has(point.minutes) || point.type === 'projected') {
-        timeMap.set(point.minutes, point);
-      }
-    });
-    
-    return Array.from(timeMap.values()).sort((a, b) => a.minutes - b.minutes);
-  };
+  // Time for the next reading: fill in the time like "Now" does, so only
+  // the ppm value and Enter are left to type
+  const reminderSecondsLeft = useReminder({
+    dueAt: reminderDueAt,
+    onFire: () => {
+      setReminderDueAt(null);
+      setCurrentTimeToNow();
+      co2InputRef.current?.focus();
+      if (settings.reminderChime) playTone(CHIME_TONE);
+      if (settings.reminderNotification) sendNotification(t('monitor.reminderTitle'), t('monitor.reminderBody'));
+    }
+  });
 
-  const formatTime = (minutes) => {
-    if (measuredPoints.length === 0) return '';
-    
-    const firstPointTime = measuredPoints[0].time.split(':').map(Number);
-    const firstPointMinutes = firstPointTime[0] * 60 + firstPointTime[1];
-    const totalMinutes = firstPointMinutes + minutes;
-    
-    const hours = Math.floor(totalMinutes / 60) % 24;
-    const mins = totalMinutes % 60;
-    
-    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+  const updateReminder = (changes) => {
+    updateSettings(changes);
+    if (changes.reminderEnabled === false) setReminderDueAt(null);
   };
 
-  const clearData = () => {
-    setMeasuredPoints([]);
-    setProjectedPoints([]);
+  // Edits can reorder readings or move the time origin, so every earlier
+  // projection is rebuilt from the corrected readings
+  const applyEditedReadings = ({ measuredPoints: updatedMeasured }) => {
+    recordChange();
+    setMeasuredPoints(updatedMeasured);
+    setProjectionHistory(replayProjectionHistory(updatedMeasured, settings));
   };
 
-  const removeLastPoint = () => {
-    if (measuredPoints.length === 0) return;
-    
-    const updatedMeasured = measuredPoints.slice(0, -1);
-    setMeasuredPoints(updatedMeasured);
-    
-    // Rebuild projections from scratch
-    if (updatedMeasured.length >= 2) {
-      const newSegment = buildProjectionSegment(updatedMeasured);
-      setProjectedPoints(newSegment);
-    } else {
-      setProjectedPoints([]);
-    }
+  const applyEditedEvents = ({ events: updatedEvents }) => {
+    recordChange();
+    setEvents(updatedEvents);
   };
 
-  // Combine measured and projected data for the chart
-  // Filter out any projected points that aren't part of our final two-point projection
-  const validProjections = projectedPoints.length === 2 ? projectedPoints : [];
-  const chartData = [...measuredPoints, ...validProjections].sort((a, b) => a.minutes - b.minutes);
+  // The simulation starts at the latest reading, so the readings that come
+  // in while ventilating line up with its curve
+  const showSimulation = ({ startCO2, outdoorCO2, airChangesPerHour, ventilation, volume }) => {
+    recordChange();
+    setSimulation({
+      startCO2,
+      outdoorCO2,
+      airChangesPerHour,
+      ventilation,
+      volume,
+      startedAt: measuredPoints.length > 0 ? measuredPoints[measuredPoints.length - 1].timestamp : null
+    });
+  };
 
-  const getCO2Status = (co2) => {
-    if (co2 <= 550) return { text: 'Ideal', color: 'text-green-400', bg: 'bg-green-900/50' };
-    if (co2 <= 800) return { text: 'Good', color: 'text-blue-400', bg: 'bg-blue-900/50' };
-    if (co2 <= 1000) return { text: 'Concerning', color: 'text-yellow-400', bg: 'bg-yellow-900/50' };
-    return { text: 'Poor', color: 'text-red-400', bg: 'bg-red-900/50' };
+  const removeSimulation = () => {
+    recordChange();
+    setSimulation(null);
   };
 
+  // A shared link is shown with the sender's room, zones and target
+  const viewSettings = shared ? { ...settings, thresholds: shared.thresholds, targetCO2: shared.targetCO2 } : settings;
+  const viewRoom = shared ? shared.room : room;
+
   // Calculate current status and time to ideal
   const latestMeasured = measuredPoints.length > 0 ? measuredPoints[measuredPoints.length - 1] : null;
-  const status = latestMeasured ? getCO2Status(latestMeasured.co2) : null;
-  
-  let timeToIdeal = null;
-  let currentRate = null;
+  const status = latestMeasured ? getCO2Status(latestMeasured.co2, viewSettings.thresholds) : null;
   
-  if (measuredPoints.length >= 2 && latestMeasured.co2 > 550) {
-    const secondLast = measuredPoints[measuredPoints.length - 2];
-    const slope = (latestMeasured.co2 - secondLast.co2) / (latestMeasured.minutes - secondLast.minutes);
-    
-    if (slope < 0) {
-      timeToIdeal = Math.round((550 - latestMeasured.co2) / slope);
-      currentRate = -slope * 60; // ppm per hour
-    }
-  }
+  const { thresholds, targetCO2 } = viewSettings;
 
-  // Use separate data arrays for measured and projected points
-  // so each line draws exactly the points we want
+  // Status panel estimates come from the same model as the projected line
+  const projection = latestMeasured && latestMeasured.co2 > targetCO2
+    ? getProjection(measuredPoints, viewSettings)
+    : null;
+  const timeToIdeal = projection ? projection.minutesToTarget : null;
+  const currentRate = projection ? -projection.ratePerHour : null; // ppm per hour
 
-  // Custom dark theme for chart
-  const chartTheme = {
-    backgroundColor: '#1f2937',
-    textColor: '#9ca3af',
-    gridColor: '#374151',
-  };
+  // Build-up mode: a rising level is projected toward the next zones instead
+  const buildUp = latestMeasured && !projection ? getBuildUpProjection(measuredPoints, viewSettings) : null;
+  const bandProjection = projection ?? buildUp;
 
-  return (
-    <div className="max-w-4xl mx-auto p-6 bg-gray-900 text-gray-100 rounded-lg shadow-xl">
-      <div className="mb-6">
-        <h1 className="text-2xl font-bold text-gray-100 mb-2 flex items-center gap-2">
-          <Wind className="text-blue-400" />
-          CO2 Ventilation Monitor
-        </h1>
-        <p className="text-gray-400">Track CO2 levels while ventilating your space</p>
-      </div>
+  const metrics = sessionMetrics({ measuredPoints, events }, viewSettings, viewRoom);
+  const placedEvents = placeEvents({ measuredPoints, events });
+  const simulatedPoints = buildSimulatedPoints(simulation, measuredPoints, viewSettings);
 
-      {/* Current Status */}
-      {latestMeasured && (
-        <div className="mb-6 p-4 rounded-lg bg-blue-900/30 border border-blue-800">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm text-gray-300">Current CO2 Level</p>
-              <p className="text-2xl font-bold text-blue-400">{latestMeasured.co2} ppm</p>
-              <p className="text-sm text-blue-400">{status.text}</p>
-            </div>
-            {measuredPoints.length === 1 && latestMeasured.co2 > 550 && (
-              <div className="text-right">
-                <p className="text-sm text-gray-300">Est. time to ideal level</p>
-                <p className="text-sm text-gray-400">Need 2+ measurements</p>
-              </div>
-            )}
-            {measuredPoints.length >= 2 && latestMeasured.co2 > 550 && (
-              <div className="text-right">
-                <p className="text-sm text-gray-300">Est. time to ideal level</p>
-                {timeToIdeal ? (
-                  <>
-                    {timeToIdeal > 120 ? (
-                      <p className="text-xl font-semibold text-gray-100">{(timeToIdeal / 60).toFixed(1)} hrs</p>
-                    ) : (
-                      <p className="text-xl font-semibold text-gray-100">{timeToIdeal} min</p>
-                    )}
-                    <p className="text-sm text-gray-400">(&lt; 550 ppm buffer)</p>
-                    <p className="text-xs text-gray-500">-{currentRate.toFixed(0)} ppm/hr</p>
-                  </>
-                ) : (
-                  <>
-                    <p className="text-sm text-gray-400">CO2 not decreasing</p>
-                    <p className="text-xs text-gray-500">Check ventilation</p>
-                  </>
-                )}
-              </div>
-            )}
-          </div>
-        </div>
-      )}
+  const climateLimits = { minTemperature: settings.minTemperature, minHumidity: settings.minHumidity };
+  const comfortWarnings = latestMeasured ? climateWarnings(latestMeasured, climateLimits) : [];
 
-      {/* Input Form */}
-      <div className="mb-6 p-4 bg-gray-800/80 rounded-lg border border-gray-700">
-        <h3 className="text-lg font-semibold mb-3 text-gray-100">Add Measurement</h3>
-        <div className="flex gap-4 items-end">
-          <div className="flex-1">
-            <label className="block text-sm font-medium text-gray-300 mb-1">Time</label>
-            <div className="flex gap-2">
-              <input
-                type="text"
-                value={currentTime}
-                onChange={(e) => {
-                  let value = e.target.value;
-                  
-                  // Remove all non-digits except colon
-                  value = value.replace(/[^0-9:]/g, '');
-                  
-                  // Handle direct input of 3 or 4 digits without colon (e.g., 1825)
-                  if (/^\d{3,4}$/.test(value)) {
-                    const hours = value.substring(0, 2);
-                    const minutes = value.substring(2);
-                    value = `${hours}:${minutes}`;
-                  }
-                  
-                  // If the user already typed a colon, ensure proper format
-                  if (value.includes(':')) {
-                    const [hours, minutes] = value.split(':');
-                    
-                    // Validate and limit hours to 23
-                    const validHours = hours ? Math.min(parseInt(hours) || 0, 23).toString().padStart(2, '0') : '00';
-                    
-                    // Validate and limit minutes to 59
-                    let validMinutes = '';
-                    if (minutes) {
-                      validMinutes = minutes.length > 2 ? minutes.substring(0, 2) : minutes;
-                      if (parseInt(validMinutes) > 59) validMinutes = '59';
-                    }
-                    
-                    value = validHours + (value.includes(':') ? ':' + validMinutes : '');
-                  }
-                  
-                  // Update state with the formatted value
-                  setCurrentTime(value);
-                }}
-                className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-md focus:ring-blue-500 focus:border-blue-500"
-                placeholder="HH:MM"
-                maxLength="5"
-              />
+  const { lastAlert, dismissAlert, testAlert } = useAlerts({
+    enabled: settings.alertsEnabled && !isReadOnly,
+    settings,
+    i18n,
+    sessionId: session.id,
+    measuredPoints,
+    targetAt: projection ? Date.parse(latestMeasured.timestamp) + projection.minutesToTarget * 60000 : null
+  });
+
+  // Readings far off the curve around them, which the table flags
+  const outliers = findOutliers({ measuredPoints });
+
+  const renderEntryError = (field) =>
+    entryErrors[field] && <p className="mt-1 text-sm text-red-400">{entryErrors[field]}</p>;
+
+  // Curved projections hold many points; keep the table to a readable length
+  const tableStep = Math.ceil(projectedPoints.length / 12);
+  const projectedTableRows = projectedPoints.filter(
+    (point, index) => index % tableStep === 0 || index === projectedPoints.length - 1
+  );
+
+  const sessionLabel = session.name
+    ? t('monitor.namedSession', { name: session.name })
+    : t('monitor.sessionFrom', { date: formatSessionDate(session.createdAt) });
+  let bannerText = t('monitor.viewing', { session: sessionLabel });
+  if (shared) {
+    bannerText = shared.room.name
+      ? t('monitor.sharedInRoom', { session: sessionLabel, room: shared.room.name })
+      : t('monitor.shared', { session: sessionLabel });
+  }
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <div className="max-w-4xl mx-auto p-6 bg-gray-900 text-gray-100 rounded-lg shadow-xl">
+        <div className="mb-6 flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-100 mb-2 flex items-center gap-2">
+              <Wind className="text-blue-400" />
+              {t('monitor.title')}
+            </h1>
+            <p className="text-gray-400">{t('monitor.subtitle')}</p>
+          </div>
+          <div className="text-right">
+            <div className="flex items-center gap-2">
+              <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ backgroundColor: room.color }} />
+              <select
+                value={room.id}
+                onChange={(e) => switchRoom(e.target.value)}
+                className="px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-md"
+                aria-label={t('monitor.room')}
+              >
+                {rooms.map(r => (
+                  <option key={r.id} value={r.id}>{r.name}</option>
+                ))}
+              </select>
               <button
-                type="button"
-                onClick={setCurrentTimeToNow}
-                className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                onClick={() => setIsRoomManagerOpen(true)}
+                className="px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm"
               >
-                Now
+                <DoorOpen size={16} />
+                {t('monitor.rooms')}
               </button>
             </div>
+            {(room.volume || room.notes) && (
+              <p className="mt-1 text-xs text-gray-500">
+                {[room.volume && t('units.volume', { value: formatNumber(room.volume) }), room.notes].filter(Boolean).join(' · ')}
+              </p>
+            )}
           </div>
-          <div className="flex-1">
-            <label className="block text-sm font-medium text-gray-300 mb-1">CO2 Level (ppm)</label>
-            <input
-              type="number"
-              value={currentCO2}
-              onChange={(e) => setCurrentCO2(e.target.value)}
-              className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-md focus:ring-blue-500 focus:border-blue-500"
-              placeholder="e.g., 1000"
-            />
-          </div>
+        </div>
+
+        {isRoomManagerOpen && (
+          <RoomManager
+            rooms={rooms}
+            currentRoomId={room.id}
+            sessionCounts={sessions.reduce((counts, s) => ({ ...counts, [s.roomId]: (counts[s.roomId] ?? 0) + 1 }), {})}
+            onAdd={handleAddRoom}
+            onUpdate={handleUpdateRoom}
+            onDelete={handleDeleteRoom}
+            onClose={() => setIsRoomManagerOpen(false)}
+          />
+        )}
+
+        <SettingsPanel settings={settings} onChange={updateSettings} />
+
+        <AlertsPanel settings={settings} onChange={updateSettings} onTest={testAlert} />
+
+        {/* Undo / redo, import / export */}
+        <div className="mb-6 flex flex-wrap justify-end gap-2">
+          <button
+            onClick={undoChange}
+            disabled={!canUndo || isReadOnly}
+            className="px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            title={t('monitor.undoShortcut')}
+          >
+            <Undo2 size={16} />
+            {t('monitor.undo')}
+          </button>
+          <button
+            onClick={redoChange}
+            disabled={!canRedo || isReadOnly}
+            className="mr-auto px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            title={t('monitor.redoShortcut')}
+          >
+            <Redo2 size={16} />
+            {t('monitor.redo')}
+          </button>
+          <button
+            onClick={() => setIsImportOpen(true)}
+            className="px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm"
+          >
+            <Upload size={16} />
+            {t('monitor.import')}
+          </button>
+          <button
+            onClick={exportCSV}
+            disabled={measuredPoints.length === 0}
+            className="px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download size={16} />
+            {t('monitor.exportCSV')}
+          </button>
+          <button
+            onClick={exportJSON}
+            disabled={measuredPoints.length === 0}
+            className="px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download size={16} />
+            {t('monitor.exportJSON')}
+          </button>
           <button
-            onClick={addDataPoint}
-            disabled={!currentTime || !currentCO2}
-            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed"
+            onClick={() => setIsReportOpen(true)}
+            disabled={measuredPoints.length === 0}
+            className="px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            Add
+            <FileText size={16} />
+            {t('monitor.report')}
           </button>
           <button
-            onClick={clearData}
-            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+            onClick={() => setShareSnapshot({ session, measuredPoints, events, room: viewRoom, thresholds, targetCO2 })}
+            disabled={measuredPoints.length === 0}
+            className="px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            Clear
+            <Share2 size={16} />
+            {t('monitor.share')}
           </button>
         </div>
-      </div>
 
-      {/* Chart Section */}
-      {measuredPoints.length > 0 && (
-        <div className="mb-6">
-          <h3 className="text-lg font-semibold mb-3 flex items-center gap-2 text-gray-100">
-            <TrendingDown className="text-green-400" />
-            CO2 Trend & Projection
-          </h3>
-          <div className="bg-gray-800 p-4 rounded-lg border border-gray-700">
-            <LineChart width={700} height={400} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-              <CartesianGrid strokeDasharray="3 3" stroke={chartTheme.gridColor} />
-              <XAxis 
-                type="number"
-                dataKey="minutes" 
-                domain={['dataMin', 'dataMax']}
-                allowDecimals={false}
-                label={{ value: 'Minutes from start', position: 'insideBottom', offset: -5, fill: chartTheme.textColor }}
-                stroke={chartTheme.textColor}
-                tick={{ fill: chartTheme.textColor }}
-              />
-              <YAxis 
-                label={{ value: 'CO2 (ppm)', angle: -90, position: 'insideLeft', fill: chartTheme.textColor }}
-                domain={[300, 'dataMax + 100']}
-                stroke={chartTheme.textColor}
-                tick={{ fill: chartTheme.textColor }}
-              />
-              <Tooltip 
-                formatter={(value) => `${value} ppm`}
-                labelFormatter={(value) => `${value} min`}
-                contentStyle={{ backgroundColor: '#374151', border: '1px solid #4b5563', borderRadius: '6px' }}
-                itemStyle={{ color: '#e5e7eb' }}
-                labelStyle={{ color: '#9ca3af' }}
-              />
-              <Legend wrapperStyle={{ color: chartTheme.textColor }} />
-              
-              {/* Reference areas for CO2 levels */}
-              <ReferenceArea y1={0} y2={550} strokeOpacity={0} fill="#10b981" fillOpacity={0.15} />
-              <ReferenceArea y1={550} y2={800} strokeOpacity={0} fill="#3b82f6" fillOpacity={0.15} />
-              <ReferenceArea y1={800} y2={1000} strokeOpacity={0} fill="#eab308" fillOpacity={0.15} />
-              <ReferenceArea y1={1000} y2={2000} strokeOpacity={0} fill="#ef4444" fillOpacity={0.15} />
-              
-              {/* Reference lines */}
-              <ReferenceLine y={550} stroke="#10b981" strokeDasharray="5 5" label={{ value: "Ideal (Buffer)", fill: chartTheme.textColor }} />
-              <ReferenceLine y={800} stroke="#3b82f6" strokeDasharray="5 5" label={{ value: "Good", fill: chartTheme.textColor }} />
-              <ReferenceLine y={1000} stroke="#ef4444" strokeDasharray="5 5" label={{ value: "Poor", fill: chartTheme.textColor }} />
-              
-              {/* Measured data */}
-              <Line 
-                type="monotone" 
-                dataKey="co2" 
-                data={measuredPoints}
-                stroke="#60a5fa" 
-                strokeWidth={3}
-                dot={{ fill: '#60a5fa', r: 6 }}
-                name="Measured"
-              />
-              
-              {/* Projected data - using a direct line between exact table values */}
-              {projectedPoints.length > 0 && (
-                <Line 
-                  type="linear" 
-                  dataKey="co2" 
-                  data={projectedPoints}
-                  stroke="#a78bfa" 
-                  strokeWidth={2}
-                  strokeDasharray="5 5"
-                  dot={{ fill: "#a78bfa", r: 4 }}
-                  name="Projected"
-                  isAnimationActive={false}
+        {shareSnapshot && (
+          <ShareDialog shared={shareSnapshot} onClose={() => setShareSnapshot(null)} />
+        )}
+
+        {isImportOpen && (
+          <ImportDialog onImport={importSession} onClose={() => setIsImportOpen(false)} />
+        )}
+
+        {isReportOpen && measuredPoints.length > 0 && (
+          <SessionReport
+            room={viewRoom}
+            session={session}
+            measuredPoints={measuredPoints}
+            events={placedEvents}
+            projectedPoints={projectedPoints}
+            projectedTablePoints={projectedTableRows}
+            projection={projection}
+            ventilation={metrics.ventilation}
+            thresholds={thresholds}
+            targetCO2={targetCO2}
+            onClose={() => setIsReportOpen(false)}
+          />
+        )}
+
+        <SessionHistory
+          sessions={sessions.filter(s => s.roomId === room.id)}
+          currentSessionId={session.id}
+          onOpen={openSession}
+          onResume={resumeSession}
+          onRename={handleRenameSession}
+          onDelete={handleDeleteSession}
+        />
+
+        <RoomComparison rooms={rooms} sessions={sessions} thresholds={thresholds} />
+
+        {isStorageFull && (
+          <div className="mb-6 p-4 rounded-lg bg-red-900/30 border border-red-800 flex items-center justify-between gap-4">
+            <p className="text-sm text-red-300 flex items-center gap-2">
+              <AlertCircle size={16} />
+              {t('monitor.storageFull')}
+            </p>
+            <button type="button" onClick={() => setIsStorageFull(false)} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.dismiss')}>
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        {shareError && (
+          <div className="mb-6 p-4 rounded-lg bg-red-900/30 border border-red-800 flex items-center justify-between gap-4">
+            <p className="text-sm text-red-300">{shareError}</p>
+            <button type="button" onClick={() => setShareError('')} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.dismiss')}>
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        {/* Read-only banner */}
+        {isReadOnly && (
+          <div className="mb-6 p-4 rounded-lg bg-gray-800/80 border border-gray-700 flex items-center justify-between gap-4">
+            <p className="text-sm text-gray-300 flex items-center gap-2">
+              <Eye size={16} className="text-blue-400" />
+              {bannerText}
+            </p>
+            <div className="flex gap-2">
+              {shared ? (
+                <button
+                  onClick={() => importSession(shared.session)}
+                  className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-1"
+                  title={t('monitor.importCopy', { room: room.name })}
+                >
+                  <Download size={16} />
+                  {t('monitor.import')}
+                </button>
+              ) : (
+                <button
+                  onClick={() => resumeSession(session.id)}
+                  className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-1"
+                >
+                  <Play size={16} />
+                  {t('monitor.resume')}
+                </button>
+              )}
+              <button
+                onClick={closeReadOnlyView}
+                className="px-3 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 flex items-center gap-1"
+              >
+                <X size={16} />
+                {t('common.close')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Latest alert, also shown when notifications are off */}
+        {lastAlert && (
+          <div className="mb-6 p-4 rounded-lg bg-yellow-900/30 border border-yellow-700 flex items-start justify-between gap-4">
+            <div className="flex items-start gap-2">
+              <Bell size={18} className="mt-0.5 text-yellow-400" />
+              <div>
+                <p className="font-semibold text-yellow-300">{lastAlert.title}</p>
+                <p className="text-sm text-gray-300">{lastAlert.body}</p>
+              </div>
+            </div>
+            <button type="button" onClick={dismissAlert} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.dismiss')}>
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        {/* Current Status */}
+        {latestMeasured && (
+          <div className="mb-6 p-4 rounded-lg bg-blue-900/30 border border-blue-800">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-300">{t('monitor.currentLevel')}</p>
+                <p className="text-2xl font-bold text-blue-400">{t('units.ppm', { value: formatNumber(latestMeasured.co2) })}</p>
+                <p className={`text-sm ${status.color}`}>{t(`zones.${status.zone}`)}</p>
+                {(latestMeasured.temperature !== undefined || latestMeasured.humidity !== undefined) && (
+                  <p className="text-sm text-gray-400">
+                    {[
+                      latestMeasured.temperature !== undefined && t('units.celsius', { value: formatNumber(latestMeasured.temperature) }),
+                      latestMeasured.humidity !== undefined && t('units.relativeHumidity', { value: formatNumber(latestMeasured.humidity) })
+                    ].filter(Boolean).join(' · ')}
+                  </p>
+                )}
+              </div>
+              {measuredPoints.length === 1 && latestMeasured.co2 > targetCO2 && (
+                <div className="text-right">
+                  <p className="text-sm text-gray-300">{t('monitor.timeToTarget')}</p>
+                  <p className="text-sm text-gray-400">{t('monitor.needTwoReadings')}</p>
+                </div>
+              )}
+              {buildUp && (
+                <div className="text-right">
+                  <p className="text-sm text-gray-300">{t('monitor.rising')}</p>
+                  {buildUp.crossings.length > 0 ? (
+                    <>
+                      <p className="text-xl font-semibold text-yellow-400">
+                        {t('monitor.ventilateIn', { duration: formatDuration(buildUp.crossings[0].minutes) })}
+                      </p>
+                      {buildUp.crossings.map(crossing => (
+                        <p key={crossing.zone} className="text-xs text-gray-400">
+                          <span className={ZONES[crossing.zone].color}>{t(`zones.${crossing.zone}`)}</span>
+                          {' '}{t('monitor.crossing', { level: formatNumber(crossing.level), range: formatDurationRange(crossing.minutesRange) })}
+                        </p>
+                      ))}
+                    </>
+                  ) : (
+                    <p className="text-xl font-semibold text-red-400">{t('monitor.ventilateNow')}</p>
+                  )}
+                  <p className="text-xs text-gray-500">{t('units.rate', { value: `+${formatNumber(buildUp.ratePerHour, 0)}` })}</p>
+                </div>
+              )}
+              {measuredPoints.length >= 2 && latestMeasured.co2 > targetCO2 && !buildUp && (
+                <div className="text-right">
+                  <p className="text-sm text-gray-300">{t('monitor.timeToTarget')}</p>
+                  {timeToIdeal ? (
+                    <>
+                      <p className="text-xl font-semibold text-gray-100">{formatDurationRange(projection.minutesRange)}</p>
+                      {projection.minutesRange[0] !== projection.minutesRange[1] && (
+                        <p className="text-xs text-gray-500">{t('monitor.bestEstimate', { duration: formatDuration(timeToIdeal) })}</p>
+                      )}
+                      <p className="text-sm text-gray-400">{t('monitor.belowTarget', { target: formatNumber(targetCO2) })}</p>
+                      <p className="text-xs text-gray-500">{t('units.rate', { value: `-${formatNumber(currentRate, 0)}` })}</p>
+                    </>
+                  ) : (
+                    <>
+                      <p className="text-sm text-gray-400">{t('monitor.notDecreasing')}</p>
+                      <p className="text-xs text-gray-500">{t('monitor.checkVentilation')}</p>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+            {comfortWarnings.length > 0 && (
+              <div className="mt-3 pt-3 border-t border-blue-800 space-y-1 text-sm">
+                {comfortWarnings.includes('cold') && (
+                  <p className="flex items-center gap-2 text-cyan-300">
+                    <Thermometer size={16} />
+                    {t('monitor.tooCold', { temperature: formatNumber(latestMeasured.temperature), limit: formatNumber(settings.minTemperature) })}
+                  </p>
+                )}
+                {comfortWarnings.includes('dry') && (
+                  <p className="flex items-center gap-2 text-orange-300">
+                    <Thermometer size={16} />
+                    {t('monitor.tooDry', { humidity: formatNumber(latestMeasured.humidity), limit: formatNumber(settings.minHumidity) })}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Live sensor feed */}
+        {!isReadOnly && (
+          <LiveSourcePanel
+            settings={settings}
+            onSettingsChange={updateSettings}
+            isLive={isLive}
+            onToggle={() => setIsLive(!isLive)}
+            status={liveStatus}
+          />
+        )}
+
+        {/* What-if ventilation simulator */}
+        {!isReadOnly && (
+          <SimulatorPanel
+            key={session.id}
+            latestCO2={latestMeasured ? latestMeasured.co2 : null}
+            room={room}
+            settings={settings}
+            thresholds={thresholds}
+            targetCO2={targetCO2}
+            measuredAirChanges={metrics.ventilation?.airChangesPerHour ?? null}
+            simulation={simulation}
+            onShow={showSimulation}
+            onRemove={removeSimulation}
+          />
+        )}
+
+        {/* Input Form */}
+        {!isReadOnly && (
+          <div className="mb-6 p-4 bg-gray-800/80 rounded-lg border border-gray-700">
+            <h3 className="text-lg font-semibold mb-3 text-gray-100">{t('monitor.addMeasurement')}</h3>
+            <div className="flex flex-wrap gap-4 items-start">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">{t('common.date')}</label>
+                <input
+                  type="date"
+                  value={currentDate}
+                  onChange={(e) => {
+                    setCurrentDate(e.target.value);
+                    clearEntryError('date');
+                  }}
+                  className={entryFieldClass(entryErrors.date)}
+                />
+                {renderEntryError('date')}
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-300 mb-1">{t('common.time')}</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={currentTime}
+                    onChange={(e) => {
+                      setCurrentTime(tidyTimeInput(e.target.value, hour12));
+                      clearEntryError('time');
+                    }}
+                    className={`flex-1 ${entryFieldClass(entryErrors.time)}`}
+                    placeholder={timeFormat}
+                    maxLength={hour12 ? 10 : 5}
+                  />
+                  <button
+                    type="button"
+                    onClick={setCurrentTimeToNow}
+                    className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                  >
+                    {t('monitor.now')}
+                  </button>
+                </div>
+                {renderEntryError('time')}
+                {earlierWarning && (
+                  <p className="mt-1 text-sm text-yellow-400">
+                    {t('monitor.earlierTime', { latest: formatTimestamp(earlierWarning.latest, spansSeveralDays(measuredPoints)) })}
+                  </p>
+                )}
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-300 mb-1">{t('monitor.co2Level')}</label>
+                <input
+                  ref={co2InputRef}
+                  type="number"
+                  min={PLAUSIBLE_CO2.min}
+                  max={PLAUSIBLE_CO2.max}
+                  value={currentCO2}
+                  onChange={(e) => {
+                    setCurrentCO2(e.target.value);
+                    clearEntryError('co2');
+                  }}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') addDataPoint();
+                  }}
+                  className={`w-full ${entryFieldClass(entryErrors.co2)}`}
+                  placeholder={t('monitor.co2Example')}
+                />
+                {renderEntryError('co2')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">{t('readings.temperature')}</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={currentTemperature}
+                  onChange={(e) => {
+                    setCurrentTemperature(e.target.value);
+                    clearEntryError('temperature');
+                  }}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') addDataPoint();
+                  }}
+                  className={`w-24 ${entryFieldClass(entryErrors.temperature)}`}
+                  placeholder={t('common.optional')}
                 />
+                {renderEntryError('temperature')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">{t('readings.humidity')}</label>
+                <input
+                  type="number"
+                  value={currentHumidity}
+                  onChange={(e) => {
+                    setCurrentHumidity(e.target.value);
+                    clearEntryError('humidity');
+                  }}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') addDataPoint();
+                  }}
+                  className={`w-24 ${entryFieldClass(entryErrors.humidity)}`}
+                  placeholder={t('common.optional')}
+                />
+                {renderEntryError('humidity')}
+              </div>
+              {/* Level with the inputs, below their labels */}
+              <div className="mt-6 flex gap-4">
+                <button
+                  onClick={addDataPoint}
+                  disabled={!currentDate || !currentTime || !currentCO2}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed"
+                >
+                  {t('monitor.add')}
+                </button>
+                <button
+                  onClick={clearSession}
+                  className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+                >
+                  {t('monitor.clear')}
+                </button>
+              </div>
+            </div>
+            <div className="mt-3 flex flex-wrap items-center gap-4 text-sm text-gray-300">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={settings.reminderEnabled}
+                  onChange={(e) => updateReminder({ reminderEnabled: e.target.checked })}
+                />
+                <Timer size={16} className="text-blue-400" />
+                {t('monitor.remindEvery')}
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.reminderMinutes}
+                  onChange={(e) => updateReminder({ reminderMinutes: Math.max(1, Number(e.target.value) || 1) })}
+                  className="w-16 px-2 py-1 bg-gray-700 border border-gray-600 text-gray-100 rounded-md"
+                />
+                {t('units.minutes')}
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={settings.reminderChime}
+                  onChange={(e) => updateReminder({ reminderChime: e.target.checked })}
+                />
+                {t('monitor.chime')}
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={settings.reminderNotification}
+                  onChange={(e) => updateReminder({ reminderNotification: e.target.checked })}
+                />
+                {t('monitor.notification')}
+              </label>
+              {reminderSecondsLeft !== null && (
+                <span className="flex items-center gap-2">
+                  <span className="font-semibold text-blue-300 tabular-nums">{t('monitor.nextReading', { countdown: formatCountdown(reminderSecondsLeft) })}</span>
+                  <button type="button" onClick={() => setReminderDueAt(null)} className="p-1 text-gray-400 hover:text-gray-200" title={t('monitor.stopReminder')}>
+                    <X size={14} />
+                  </button>
+                </span>
               )}
-            </LineChart>
+            </div>
+            <EventForm onAdd={(timestamp, type, note) => applyEditedEvents(addEvent({ events }, timestamp, type, note))} />
           </div>
-        </div>
-      )}
+        )}
+
+        {/* Chart Section */}
+        {(measuredPoints.length > 0 || simulatedPoints.length > 0) && (
+          <CO2Chart
+            key={session.id}
+            measuredPoints={measuredPoints}
+            events={placedEvents}
+            projectedPoints={projectedPoints}
+            simulatedPoints={simulatedPoints}
+            ghostProjections={ghostProjections}
+            bandProjection={bandProjection}
+            thresholds={thresholds}
+            targetCO2={targetCO2}
+            settings={settings}
+            onSettingsChange={updateSettings}
+          />
+        )}
+
+        {measuredPoints.length > 0 && (
+          <AnalyticsPanel metrics={metrics} />
+        )}
+
+        {/* Data Table */}
+        {measuredPoints.length > 0 && (
+          <MeasurementsTable
+            measuredPoints={measuredPoints}
+            events={placedEvents}
+            thresholds={thresholds}
+            climateLimits={climateLimits}
+            readOnly={isReadOnly}
+            onUpdate={(index, time, co2, climate) => applyEditedReadings(updateReading({ measuredPoints }, index, time, co2, climate))}
+            onInsert={(timestamp, co2, climate) => applyEditedReadings(addCoreReading({ measuredPoints }, timestamp, co2, climate))}
+            onDelete={(index) => applyEditedReadings(removeReading({ measuredPoints }, index))}
+            outliers={outliers}
+            onExclude={(index, excluded) => applyEditedReadings(excludeReading({ measuredPoints }, index, excluded))}
+            onDeleteEvent={(index) => applyEditedEvents(removeEvent({ events }, index))}
+          />
+        )}
 
-      {/* Data Table */}
-      {measuredPoints.length > 0 && (
-        <div>
-          <h3 className="text-lg font-semibold mb-3 text-gray-100">Recorded Measurements</h3>
-          <div className="overflow-x-auto">
-            <table className="min-w-full bg-gray-800 border border-gray-700">
-              <thead className="bg-gray-900">
-                <tr>
-                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">Time</th>
-                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">Minutes Elapsed</th>
-                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">CO2 (ppm)</th>
-                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">Status</th>
-                </tr>
-              </thead>
-              <tbody>
-                {measuredPoints.map((point, index) => {
-                  const pointStatus = getCO2Status(point.co2);
-                  return (
-                    <tr key={index} className="hover:bg-gray-700">
-                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">{point.time}</td>
-                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">{point.minutes}</td>
-                      <td className="px-4 py-2 border-b border-gray-700 text-sm font-semibold text-gray-100">{point.co2}</td>
-                      <td className={`px-4 py-2 border-b border-gray-700 text-sm ${pointStatus.color}`}>{pointStatus.text}</td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
+        {measuredPoints.length === 0 && (
+          <div className="text-center py-12 bg-gray-800/50 rounded-lg border border-gray-700 mb-6">
+            <Wind className="mx-auto h-12 w-12 text-blue-400 mb-4" />
+            <h3 className="text-lg font-medium text-gray-200 mb-2">{t('monitor.noData')}</h3>
+            <p className="text-gray-400">{t('monitor.getStarted')}</p>
           </div>
-        </div>
-      )}
+        )}
 
-      {measuredPoints.length === 0 && (
-        <div className="text-center py-12 bg-gray-800/50 rounded-lg border border-gray-700 mb-6">
-          <Wind className="mx-auto h-12 w-12 text-blue-400 mb-4" />
-          <h3 className="text-lg font-medium text-gray-200 mb-2">No data yet</h3>
-          <p className="text-gray-400">Add your first CO2 measurement to get started</p>
-        </div>
-      )}
+        {/* Projected Data Table */}
+        {projectedPoints.length > 0 && (
+          <div className="mt-6">
+            <h3 className="text-lg font-semibold mb-3 text-gray-100 flex items-center gap-2">
+              <TrendingDown size={18} className="text-purple-400" />
+              {t('monitor.projectedMeasurements')}
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-gray-800 border border-gray-700">
+                <thead className="bg-gray-900">
+                  <tr>
+                    <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('readings.time')}</th>
+                    <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('readings.minutes')}</th>
+                    <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('readings.co2')}</th>
+                    <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('readings.status')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {projectedTableRows.map((point, index) => {
+                    const pointStatus = getCO2Status(point.co2, thresholds);
+                    return (
+                      <tr key={index} className="hover:bg-gray-700">
+                        <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">{formatTime({ measuredPoints }, point.minutes)}</td>
+                        <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">{point.minutes}</td>
+                        <td className="px-4 py-2 border-b border-gray-700 text-sm font-semibold text-gray-100">{formatNumber(point.co2)}</td>
+                        <td className={`px-4 py-2 border-b border-gray-700 text-sm ${pointStatus.color}`}>{t(`zones.${pointStatus.zone}`)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
 
-      {/* Projected Data Table */}
-      {projectedPoints.length > 0 && (
-        <div className="mt-6">
-          <h3 className="text-lg font-semibold mb-3 text-gray-100 flex items-center gap-2">
-            <TrendingDown size={18} className="text-purple-400" />
-            Projected Measurements
+        {/* Instructions */}
+        <div className="mt-6 p-4 bg-blue-900/30 border border-blue-800 rounded-lg">
+          <h3 className="text-sm font-semibold text-blue-300 mb-2 flex items-center gap-2">
+            <AlertCircle size={16} />
+            {t('help.title')}
           </h3>
-          <div className="overflow-x-auto">
-            <table className="min-w-full bg-gray-800 border border-gray-700">
-              <thead className="bg-gray-900">
-                <tr>
-                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">Minutes Elapsed</th>
-                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">CO2 (ppm)</th>
-                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">Status</th>
-                </tr>
-              </thead>
-              <tbody>
-                {projectedPoints.map((point, index) => {
-                  const pointStatus = getCO2Status(point.co2);
-                  return (
-                    <tr key={index} className="hover:bg-gray-700">
-                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">{point.minutes}</td>
-                      <td className="px-4 py-2 border-b border-gray-700 text-sm font-semibold text-gray-100">{point.co2}</td>
-                      <td className={`px-4 py-2 border-b border-gray-700 text-sm ${pointStatus.color}`}>{pointStatus.text}</td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
-          </div>
+          <ul className="text-sm text-blue-200 space-y-1">
+            <li>{t('help.add')}</li>
+            <li>{t('help.continue')}</li>
+            <li>{t('help.chart')}</li>
+            <li>{t('help.ideal', { ideal: formatNumber(thresholds.ideal), target: formatNumber(targetCO2) })}</li>
+            <li>{t('help.zones', { ideal: formatNumber(thresholds.ideal), good: formatNumber(thresholds.good), concerning: formatNumber(thresholds.concerning) })}</li>
+            <li>{t('help.settings')}</li>
+            <li>{t('help.clear')}</li>
+            <li>{t('help.undo')}</li>
+          </ul>
         </div>
-      )}
-
-      {/* Instructions */}
-      <div className="mt-6 p-4 bg-blue-900/30 border border-blue-800 rounded-lg">
-        <h3 className="text-sm font-semibold text-blue-300 mb-2 flex items-center gap-2">
-          <AlertCircle size={16} />
-          How to use
-        </h3>
-        <ul className="text-sm text-blue-200 space-y-1">
-          <li>Enter the current time and CO2 reading, then click "Add"</li>
-          <li>Continue adding measurements every few minutes</li>
-          <li>The graph will show your progress and estimate time to ideal levels</li>
-          <li>Ideal zone is below 550 ppm (provides buffer before CO2 climbs again)</li>
-          <li>Good zone is 550-800 ppm, concerning is 800-1000 ppm</li>
-          <li>Click "Clear" to start a new ventilation session</li>
-        </ul>
       </div>
-    </div>
+      {isUndoToastOpen && (
+        <div className="fixed bottom-4 left-4 z-50 max-w-sm p-4 bg-gray-800 text-gray-100 rounded-lg border border-gray-700 shadow-xl flex items-center gap-4" role="status">
+          <p className="text-sm text-gray-300">{t('monitor.cleared')}</p>
+          <button
+            type="button"
+            onClick={undoChange}
+            className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-1 text-sm"
+          >
+            <Undo2 size={16} />
+            {t('monitor.undo')}
+          </button>
+        </div>
+      )}
+      <UpdatePrompt />
+    </I18nContext.Provider>
   );
 };
 
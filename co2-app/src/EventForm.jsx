@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { Flag } from 'lucide-react';
+import { EVENT_TYPES, validateDateTime, combineDateTime, readClockTime, toTimestamp, toDateString } from './co2-core';
+import { useI18n } from './i18n';
+
+const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-md focus:ring-blue-500 focus:border-blue-500';
+
+// Logs what happened in the room, e.g. "tilted window → fully open" or
+// "3 people entered". Without a time the event is logged as happening now.
+// onAdd receives a timestamp, the event type and the note, and throws with
+// a message when they are invalid.
+const EventForm = ({ onAdd }) => {
+  const { t, translateMessage, hour12, timeError } = useI18n();
+  const [date, setDate] = useState(() => toDateString(new Date()));
+  const [time, setTime] = useState('');
+  const [type, setType] = useState('window');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    const clockTime = time ? readClockTime(time) : null;
+    let dateTimeError = null;
+    if (time) dateTimeError = clockTime ? validateDateTime(date, clockTime) : timeError;
+    if (dateTimeError) {
+      setError(translateMessage(dateTimeError));
+      return;
+    }
+
+    try {
+      onAdd(clockTime ? combineDateTime(date, clockTime) : toTimestamp(new Date()), type, note);
+      setTime('');
+      setNote('');
+      setError('');
+    } catch (err) {
+      setError(translateMessage(err.message));
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="mt-4 pt-4 border-t border-gray-700">
+      <h4 className="text-sm font-semibold mb-2 text-gray-100 flex items-center gap-2">
+        <Flag size={16} className="text-pink-400" />
+        {t('eventForm.title')}
+      </h4>
+      <div className="flex flex-wrap gap-2 items-center text-sm">
+        <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass} aria-label={t('eventForm.type')}>
+          {Object.keys(EVENT_TYPES).map(value => (
+            <option key={value} value={value}>{t(`events.${value}`)}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          className={`flex-1 min-w-[12rem] ${inputClass}`}
+          placeholder={t('eventForm.notePlaceholder')}
+          aria-label={t('eventForm.note')}
+        />
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} aria-label={t('eventForm.date')} />
+        <input
+          type="text"
+          value={time}
+          onChange={(e) => setTime(e.target.value)}
+          className={`w-24 ${inputClass}`}
+          placeholder={t('eventForm.now')}
+          maxLength={hour12 ? 10 : 5}
+          aria-label={t('eventForm.time')}
+        />
+        <button type="submit" className="px-4 py-2 bg-pink-600 text-white rounded-md hover:bg-pink-700">
+          {t('eventForm.log')}
+        </button>
+      </div>
+      {error && <p className="mt-2 text-sm text-red-400">{error}</p>}
+    </form>
+  );
+};
+
+export default EventForm;
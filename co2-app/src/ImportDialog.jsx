@@ -0,0 +1,212 @@
+import React, { useMemo, useState } from 'react';
+import { Upload, X } from 'lucide-react';
+import { parseCSV } from './csv';
+import { parseSessionJSON, readingsFromRows } from './sessionTransfer';
+import { toDateString } from './co2-core';
+import { useI18n } from './i18n';
+
+const PREVIEW_ROWS = 8;
+
+const inputClass = 'px-2 py-1 bg-gray-700 border border-gray-600 text-gray-100 rounded-md';
+
+// Best guess at which columns hold the timestamp and the CO2 value
+const guessColumns = (header) => {
+  const find = (pattern, fallback) => {
+    const index = header.findIndex(name => pattern.test(name));
+    return index >= 0 ? index : fallback;
+  };
+  return {
+    timeColumn: find(/time|zeit|date|datum/i, 0),
+    co2Column: find(/co2|ppm/i, Math.min(1, header.length - 1))
+  };
+};
+
+const ImportDialog = ({ onImport, onClose }) => {
+  const { t, translateMessage, formatTimestamp } = useI18n();
+  const [fileName, setFileName] = useState('');
+  const [csvRows, setCsvRows] = useState(null);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({ timeColumn: 0, co2Column: 1 });
+  // Day for rows that only carry a clock time
+  const [date, setDate] = useState(() => toDateString(new Date()));
+  const [error, setError] = useState('');
+
+  // Anything unexpected while reading the file is shown as an error
+  // rather than failing silently
+  const handleFile = async (file) => {
+    if (!file) return;
+    setError('');
+    setFileName(file.name);
+    try {
+      const text = await file.text();
+
+      if (file.name.toLowerCase().endsWith('.json')) {
+        const result = parseSessionJSON(text);
+        if (result.error) {
+          setError(translateMessage(result.error));
+        } else {
+          onImport(result.session);
+        }
+        return;
+      }
+
+      const rows = parseCSV(text);
+      if (rows.length === 0) {
+        setError(t('import.noRows'));
+        return;
+      }
+      // Treat the first row as a header when none of its cells is a number
+      // (clock times contain a colon and count as text)
+      const firstRowIsHeader = rows[0].every(value => Number.isNaN(parseFloat(value)) || /:/.test(value));
+      setCsvRows(rows);
+      setHasHeader(firstRowIsHeader);
+      setMapping(firstRowIsHeader ? guessColumns(rows[0]) : { timeColumn: 0, co2Column: Math.min(1, rows[0].length - 1) });
+    } catch {
+      setCsvRows(null);
+      setError(t('import.unreadable'));
+    }
+  };
+
+  const header = csvRows && hasHeader ? csvRows[0] : null;
+  const columnCount = csvRows ? Math.max(...csvRows.map(row => row.length)) : 0;
+  const columnLabel = (index) => (header && header[index] ? header[index] : t('import.column', { number: index + 1 }));
+  // Re-read only when the file or how it is read changes; long files take
+  // a moment
+  const { measuredPoints, rows: checkedRows } = useMemo(
+    () => readingsFromRows(csvRows ? csvRows.slice(hasHeader ? 1 : 0) : [], { ...mapping, date }),
+    [csvRows, hasHeader, mapping, date]
+  );
+  const skippedCount = checkedRows.filter(row => row.error).length;
+
+  const confirmImport = () => {
+    onImport({
+      name: fileName.replace(/\.[^.]+$/, ''),
+      measuredPoints
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-2xl max-h-full overflow-y-auto p-6 bg-gray-900 text-gray-100 rounded-lg border border-gray-700 shadow-xl">
+        <div className="mb-4 flex items-center justify-between">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Upload size={18} className="text-blue-400" />
+            {t('import.title')}
+          </h3>
+          <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <p className="mb-3 text-sm text-gray-400">
+          {t('import.explanation')}
+        </p>
+        <input
+          type="file"
+          accept=".csv,.txt,.json,text/csv,application/json"
+          onChange={(e) => handleFile(e.target.files[0])}
+          className="mb-4 block w-full text-sm text-gray-300 file:mr-3 file:px-3 file:py-2 file:rounded-md file:border-0 file:bg-blue-600 file:text-white hover:file:bg-blue-700"
+        />
+
+        {error && <p className="mb-3 text-sm text-red-400">{error}</p>}
+
+        {csvRows && (
+          <>
+            <div className="mb-4 flex flex-wrap items-center gap-4 text-sm text-gray-300">
+              <label className="flex items-center gap-2">
+                {t('import.timeColumn')}
+                <select
+                  value={mapping.timeColumn}
+                  onChange={(e) => setMapping({ ...mapping, timeColumn: Number(e.target.value) })}
+                  className={inputClass}
+                >
+                  {Array.from({ length: columnCount }, (_, index) => (
+                    <option key={index} value={index}>{columnLabel(index)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                {t('import.co2Column')}
+                <select
+                  value={mapping.co2Column}
+                  onChange={(e) => setMapping({ ...mapping, co2Column: Number(e.target.value) })}
+                  className={inputClass}
+                >
+                  {Array.from({ length: columnCount }, (_, index) => (
+                    <option key={index} value={index}>{columnLabel(index)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                {t('import.date')}
+                <input
+                  type="date"
+                  value={date}
+                  onChange={(e) => setDate(e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={(e) => setHasHeader(e.target.checked)}
+                />
+                {t('import.header')}
+              </label>
+            </div>
+
+            <div className="mb-2 overflow-x-auto">
+              <table className="min-w-full bg-gray-800 border border-gray-700">
+                <thead className="bg-gray-900">
+                  <tr>
+                    <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('readings.time')}</th>
+                    <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('readings.co2')}</th>
+                    <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('import.result')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {checkedRows.slice(0, PREVIEW_ROWS).map((row, index) => (
+                    <tr key={index}>
+                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">
+                        {row.timestamp ? formatTimestamp(row.timestamp) : '—'}
+                      </td>
+                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-100">{row.co2}</td>
+                      <td className={`px-4 py-2 border-b border-gray-700 text-sm ${row.error ? 'text-red-400' : 'text-green-400'}`}>
+                        {row.error ? translateMessage(row.error) : t('import.ok')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="mb-4 text-sm text-gray-400">
+              {t('import.summary', { count: measuredPoints.length, total: checkedRows.length })}
+              {skippedCount > 0 && t('import.skipped', { count: skippedCount })}
+            </p>
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                type="button"
+                onClick={confirmImport}
+                disabled={measuredPoints.length === 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {t('import.confirm', { count: measuredPoints.length })}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
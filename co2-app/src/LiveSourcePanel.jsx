@@ -0,0 +1,63 @@
+import React from 'react';
+import { Radio } from 'lucide-react';
+import { LIVE_STATUS } from './liveSource';
+import { useI18n } from './i18n';
+
+const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-md focus:ring-blue-500 focus:border-blue-500';
+
+const LiveSourcePanel = ({ settings, onSettingsChange, isLive, onToggle, status }) => {
+  const { t } = useI18n();
+  const statusInfo = LIVE_STATUS[status];
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800/80 rounded-lg border border-gray-700">
+      <div className="mb-3 flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-100 flex items-center gap-2">
+          <Radio size={18} className="text-blue-400" />
+          {t('live.title')}
+        </h3>
+        <span className="flex items-center gap-2 text-sm text-gray-300">
+          <span className={`inline-block h-2.5 w-2.5 rounded-full ${statusInfo.color}`} />
+          {t(`live.status.${status}`)}
+        </span>
+      </div>
+      <div className="flex flex-wrap gap-4 items-end">
+        <div className="flex-1 min-w-[16rem]">
+          <label className="block text-sm font-medium text-gray-300 mb-1">{t('live.url')}</label>
+          <input
+            type="text"
+            value={settings.liveSourceUrl}
+            onChange={(e) => onSettingsChange({ liveSourceUrl: e.target.value.trim() })}
+            disabled={isLive}
+            className={`w-full ${inputClass} disabled:opacity-60`}
+            placeholder={t('live.urlPlaceholder')}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">{t('live.minInterval')}</label>
+          <input
+            type="number"
+            min="1"
+            value={settings.liveMinIntervalMinutes}
+            onChange={(e) => onSettingsChange({ liveMinIntervalMinutes: Math.max(1, Number(e.target.value) || 1) })}
+            className={`w-24 ${inputClass}`}
+          />
+        </div>
+        <button
+          onClick={onToggle}
+          disabled={!settings.liveSourceUrl}
+          className={`px-4 py-2 text-white rounded-md disabled:bg-gray-600 disabled:cursor-not-allowed ${
+            isLive ? 'bg-gray-600 hover:bg-gray-700' : 'bg-blue-600 hover:bg-blue-700'
+          }`}
+        >
+          {isLive ? t('live.disconnect') : t('live.connect')}
+        </button>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        {t('live.explanation', { fields: '{"timestamp", "ppm"}' })}
+      </p>
+    </div>
+  );
+};
+
+export default LiveSourcePanel;
@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import { Pencil, Trash2, Check, X, Plus, Flag, AlertTriangle, Eye, EyeOff } from 'lucide-react';
+import { getCO2Status } from './zones';
+import { validateDateTime, combineDateTime, readClockTime, checkReadingTime, dateOf, clockTimeOf, spansSeveralDays, climateWarnings } from './co2-core';
+import { useI18n } from './i18n';
+
+// Editing index used for the "insert a reading" row
+const NEW_ROW = -1;
+
+const cellClass = 'px-4 py-2 border-b border-gray-700 text-sm';
+const headerClass = 'px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300';
+const inputClass = 'px-2 py-1 bg-gray-700 border border-gray-600 text-gray-100 rounded-md';
+
+const optional = (value) => (value === undefined ? '' : String(value));
+
+// Readings and events in one chronological list; an event logged in the
+// same minute as a reading comes after it
+const timelineOf = (measuredPoints, events) => {
+  const rows = [];
+  let next = 0;
+  measuredPoints.forEach((point, index) => {
+    while (next < events.length && events[next].minutes < point.minutes) {
+      rows.push({ event: events[next], index: next++ });
+    }
+    rows.push({ point, index });
+  });
+  return [...rows, ...events.slice(next).map((event, offset) => ({ event, index: next + offset }))];
+};
+
+// Recorded readings with inline editing. onUpdate / onInsert receive a
+// timestamp, the ppm value and the optional temperature and humidity, and
+// throw with a message when the edited values are invalid. Dates are only
+// shown once a session runs over more than one day; temperatures and
+// humidities below `climateLimits` are highlighted. Logged events (placed
+// on the readings' minutes axis) are listed between the readings.
+// `outliers` lists the positions of readings that don't fit the curve
+// around them; onExclude(index, excluded) leaves such a reading out of the
+// projection, or takes it back in.
+const MeasurementsTable = ({ measuredPoints, events, thresholds, climateLimits, readOnly, outliers, onUpdate, onInsert, onDelete, onExclude, onDeleteEvent }) => {
+  const { t, translateMessage, hour12, timeFormat, timeError, formatNumber, formatClock, formatTimestamp, formatEvent } = useI18n();
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [draft, setDraft] = useState({ date: '', time: '', co2: '', temperature: '', humidity: '' });
+  const [error, setError] = useState('');
+  const showDates = spansSeveralDays(measuredPoints);
+
+  const startEditing = (index) => {
+    const point = measuredPoints[index];
+    setEditingIndex(index);
+    if (point) {
+      setDraft({
+        date: dateOf(point.timestamp),
+        time: formatClock(clockTimeOf(point.timestamp)),
+        co2: String(point.co2),
+        temperature: optional(point.temperature),
+        humidity: optional(point.humidity)
+      });
+    } else {
+      // A forgotten reading most likely belongs to the session's latest day
+      const latest = measuredPoints[measuredPoints.length - 1];
+      setDraft({ date: latest ? dateOf(latest.timestamp) : '', time: '', co2: '', temperature: '', humidity: '' });
+    }
+    setError('');
+  };
+
+  const cancelEditing = () => {
+    setEditingIndex(null);
+    setError('');
+  };
+
+  const saveEditing = () => {
+    const clockTime = readClockTime(draft.time);
+    const dateTimeError = clockTime ? validateDateTime(draft.date, clockTime) : timeError;
+    if (dateTimeError) {
+      setError(translateMessage(dateTimeError));
+      return;
+    }
+
+    const timestamp = combineDateTime(draft.date, clockTime);
+    // Two readings in the same minute would give a zero-minute step
+    if (checkReadingTime({ measuredPoints }, timestamp, editingIndex) === 'duplicate') {
+      setError(t('readings.duplicateTime', { time: formatTimestamp(timestamp, showDates) }));
+      return;
+    }
+
+    const climate = { temperature: draft.temperature, humidity: draft.humidity };
+    try {
+      if (editingIndex === NEW_ROW) {
+        onInsert(timestamp, draft.co2, climate);
+      } else {
+        onUpdate(editingIndex, timestamp, draft.co2, climate);
+      }
+      cancelEditing();
+    } catch (err) {
+      setError(translateMessage(err.message));
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') saveEditing();
+    if (e.key === 'Escape') cancelEditing();
+  };
+
+  const renderEditCells = (minutesCell) => (
+    <>
+      <td className={cellClass}>
+        <div className="flex gap-2">
+          <input
+            type="date"
+            value={draft.date}
+            onChange={(e) => setDraft({ ...draft, date: e.target.value })}
+            onKeyDown={handleKeyDown}
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={draft.time}
+            onChange={(e) => setDraft({ ...draft, time: e.target.value })}
+            onKeyDown={handleKeyDown}
+            className={`${hour12 ? 'w-24' : 'w-20'} ${inputClass}`}
+            placeholder={timeFormat}
+            maxLength={hour12 ? 10 : 5}
+            autoFocus
+          />
+        </div>
+      </td>
+      <td className={`${cellClass} text-gray-500`}>{minutesCell}</td>
+      <td className={cellClass}>
+        <input
+          type="number"
+          value={draft.co2}
+          onChange={(e) => setDraft({ ...draft, co2: e.target.value })}
+          onKeyDown={handleKeyDown}
+          className={`w-24 ${inputClass}`}
+          placeholder={t('units.ppmUnit')}
+        />
+      </td>
+      <td className={cellClass}>
+        <input
+          type="number"
+          step="0.1"
+          value={draft.temperature}
+          onChange={(e) => setDraft({ ...draft, temperature: e.target.value })}
+          onKeyDown={handleKeyDown}
+          className={`w-20 ${inputClass}`}
+          placeholder="°C"
+        />
+      </td>
+      <td className={cellClass}>
+        <input
+          type="number"
+          value={draft.humidity}
+          onChange={(e) => setDraft({ ...draft, humidity: e.target.value })}
+          onKeyDown={handleKeyDown}
+          className={`w-20 ${inputClass}`}
+          placeholder="%"
+        />
+      </td>
+      <td className={`${cellClass} text-red-400`}>{error}</td>
+      <td className={cellClass}>
+        <div className="flex justify-end gap-1">
+          <button type="button" onClick={saveEditing} className="p-1 text-green-400 hover:text-green-300" title={t('common.save')}>
+            <Check size={16} />
+          </button>
+          <button type="button" onClick={cancelEditing} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.cancel')}>
+            <X size={16} />
+          </button>
+        </div>
+      </td>
+    </>
+  );
+
+  return (
+    <div>
+      <div className="mb-3 flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-100">{t('readings.title')}</h3>
+        {!readOnly && (
+          <button
+            type="button"
+            onClick={() => startEditing(NEW_ROW)}
+            disabled={editingIndex !== null}
+            className="px-3 py-1 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Plus size={16} />
+            {t('readings.insert')}
+          </button>
+        )}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-gray-800 border border-gray-700">
+          <thead className="bg-gray-900">
+            <tr>
+              <th className={headerClass}>{showDates ? t('readings.dateTime') : t('readings.time')}</th>
+              <th className={headerClass}>{t('readings.minutes')}</th>
+              <th className={headerClass}>{t('readings.co2')}</th>
+              <th className={headerClass}>{t('readings.temperature')}</th>
+              <th className={headerClass}>{t('readings.humidity')}</th>
+              <th className={headerClass}>{t('readings.status')}</th>
+              {!readOnly && <th className={headerClass}><span className="sr-only">{t('common.actions')}</span></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {timelineOf(measuredPoints, events).map(({ point, event, index }) => {
+              if (event) {
+                return (
+                  <tr key={`event-${index}`} className="bg-pink-900/20 hover:bg-pink-900/30">
+                    <td className={`${cellClass} text-pink-300`} title={event.timestamp}>
+                      {formatTimestamp(event.timestamp, showDates)}
+                    </td>
+                    <td className={`${cellClass} text-pink-300`}>{event.minutes}</td>
+                    <td colSpan={4} className={`${cellClass} text-pink-300`}>
+                      <span className="flex items-center gap-2">
+                        <Flag size={14} />
+                        {formatEvent(event)}
+                      </span>
+                    </td>
+                    {!readOnly && (
+                      <td className={cellClass}>
+                        <div className="flex justify-end gap-1">
+                          <button
+                            type="button"
+                            onClick={() => onDeleteEvent(index)}
+                            disabled={editingIndex !== null}
+                            className="p-1 text-red-400 hover:text-red-300 disabled:opacity-40"
+                            title={t('readings.deleteEvent')}
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                );
+              }
+
+              if (editingIndex === index) {
+                return <tr key={index} className="bg-gray-700/50">{renderEditCells(point.minutes)}</tr>;
+              }
+
+              const pointStatus = getCO2Status(point.co2, thresholds);
+              const warnings = climateWarnings(point, climateLimits);
+              const isOutlier = outliers.includes(index);
+              return (
+                <tr key={index} className={`hover:bg-gray-700 ${point.excluded ? 'opacity-60' : ''}`}>
+                  <td className={`${cellClass} text-gray-300`} title={point.timestamp}>
+                    {formatTimestamp(point.timestamp, showDates)}
+                  </td>
+                  <td className={`${cellClass} text-gray-300`}>{point.minutes}</td>
+                  <td className={`${cellClass} font-semibold text-gray-100`}>
+                    <span className="flex items-center gap-2">
+                      <span className={point.excluded ? 'line-through' : ''}>{formatNumber(point.co2)}</span>
+                      {isOutlier && (
+                        <span title={t('readings.outlierHint')}>
+                          <AlertTriangle size={14} className="text-yellow-400" aria-label={t('readings.outlier')} />
+                        </span>
+                      )}
+                      {point.excluded && <span className="text-xs font-normal text-gray-400">{t('readings.excluded')}</span>}
+                    </span>
+                  </td>
+                  <td
+                    className={`${cellClass} ${warnings.includes('cold') ? 'text-cyan-300' : 'text-gray-300'}`}
+                    title={warnings.includes('cold') ? t('readings.tooCold') : undefined}
+                  >
+                    {point.temperature === undefined ? '—' : formatNumber(point.temperature)}
+                  </td>
+                  <td
+                    className={`${cellClass} ${warnings.includes('dry') ? 'text-orange-300' : 'text-gray-300'}`}
+                    title={warnings.includes('dry') ? t('readings.tooDry') : undefined}
+                  >
+                    {point.humidity === undefined ? '—' : formatNumber(point.humidity)}
+                  </td>
+                  <td className={`${cellClass} ${pointStatus.color}`}>{t(`zones.${pointStatus.zone}`)}</td>
+                  {!readOnly && (
+                    <td className={cellClass}>
+                      <div className="flex justify-end gap-1">
+                        {(isOutlier || point.excluded) && (
+                          <button
+                            type="button"
+                            onClick={() => onExclude(index, !point.excluded)}
+                            disabled={editingIndex !== null}
+                            className="p-1 text-yellow-400 hover:text-yellow-300 disabled:opacity-40"
+                            title={point.excluded ? t('readings.include') : t('readings.exclude')}
+                          >
+                            {point.excluded ? <Eye size={16} /> : <EyeOff size={16} />}
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => startEditing(index)}
+                          disabled={editingIndex !== null}
+                          className="p-1 text-gray-400 hover:text-gray-200 disabled:opacity-40"
+                          title={t('common.edit')}
+                        >
+                          <Pencil size={16} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onDelete(index)}
+                          disabled={editingIndex !== null}
+                          className="p-1 text-red-400 hover:text-red-300 disabled:opacity-40"
+                          title={t('common.delete')}
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+            {editingIndex === NEW_ROW && (
+              <tr className="bg-gray-700/50">{renderEditCells('—')}</tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default MeasurementsTable;
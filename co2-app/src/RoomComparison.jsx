@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer, ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceArea } from 'recharts';
+import { GitCompare } from 'lucide-react';
+import { ZONES } from './zones';
+import { useI18n } from './i18n';
+
+const inputClass = 'px-2 py-1 bg-gray-700 border border-gray-600 text-gray-100 rounded-md';
+const textColor = '#e5e7eb';
+
+// Overlays one session per room on a shared chart, aligned by minutes
+// since each session's first reading
+const RoomComparison = ({ rooms, sessions, thresholds }) => {
+  const { t, formatNumber, formatSessionDate } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  // Room id → chosen session id; rooms default to their latest session
+  const [selected, setSelected] = useState({});
+  const [hiddenRooms, setHiddenRooms] = useState([]);
+
+  const sessionsWithReadings = sessions.filter(session => session.measuredPoints.length > 0);
+  const roomEntries = rooms
+    .map(room => {
+      const roomSessions = sessionsWithReadings.filter(session => session.roomId === room.id);
+      const session = roomSessions.find(s => s.id === selected[room.id]) ?? roomSessions[0];
+      return { room, roomSessions, session };
+    })
+    .filter(entry => entry.session);
+  const plotted = roomEntries.filter(entry => !hiddenRooms.includes(entry.room.id));
+
+  const toggleRoom = (roomId) => {
+    setHiddenRooms(hiddenRooms.includes(roomId)
+      ? hiddenRooms.filter(id => id !== roomId)
+      : [...hiddenRooms, roomId]);
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800/80 rounded-lg border border-gray-700">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-lg font-semibold text-gray-100"
+      >
+        <span className="flex items-center gap-2">
+          <GitCompare size={18} className="text-blue-400" />
+          {t('comparison.title')}
+        </span>
+        <span className="text-sm font-normal text-gray-400">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        roomEntries.length === 0 ? (
+          <p className="mt-3 text-sm text-gray-400">{t('comparison.empty')}</p>
+        ) : (
+          <div className="mt-3 space-y-4">
+            <div className="space-y-2 text-sm text-gray-300">
+              {roomEntries.map(({ room, roomSessions, session }) => (
+                <div key={room.id} className="flex flex-wrap items-center gap-3">
+                  <label className="flex items-center gap-2 min-w-[10rem]">
+                    <input
+                      type="checkbox"
+                      checked={!hiddenRooms.includes(room.id)}
+                      onChange={() => toggleRoom(room.id)}
+                    />
+                    <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ backgroundColor: room.color }} />
+                    {room.name}
+                  </label>
+                  <select
+                    value={session.id}
+                    onChange={(e) => setSelected({ ...selected, [room.id]: e.target.value })}
+                    className={inputClass}
+                  >
+                    {roomSessions.map(s => (
+                      <option key={s.id} value={s.id}>{s.name || formatSessionDate(s.createdAt)}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <div className="bg-gray-800 p-4 rounded-lg border border-gray-700">
+              <ResponsiveContainer width="100%" height={320}>
+                <ComposedChart margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis
+                    type="number"
+                    dataKey="minutes"
+                    domain={[0, 'dataMax']}
+                    allowDecimals={false}
+                    label={{ value: t('chart.minutesFromStart'), position: 'insideBottom', offset: -5, fill: textColor }}
+                    stroke={textColor}
+                    tick={{ fill: textColor }}
+                  />
+                  <YAxis
+                    label={{ value: t('readings.co2'), angle: -90, position: 'insideLeft', fill: textColor }}
+                    domain={[300, 'dataMax + 100']}
+                    stroke={textColor}
+                    tick={{ fill: textColor }}
+                  />
+                  <Tooltip
+                    formatter={(value) => t('units.ppm', { value: formatNumber(value) })}
+                    labelFormatter={(value) => t('duration.minutes', { minutes: formatNumber(value) })}
+                    contentStyle={{ backgroundColor: '#374151', border: '1px solid #4b5563', borderRadius: '6px' }}
+                    itemStyle={{ color: '#e5e7eb' }}
+                    labelStyle={{ color: '#9ca3af' }}
+                  />
+                  <Legend wrapperStyle={{ color: textColor }} />
+  
+                  <ReferenceArea y1={0} y2={thresholds.ideal} strokeOpacity={0} fill={ZONES.ideal.fill} fillOpacity={0.1} />
+                  <ReferenceArea y1={thresholds.ideal} y2={thresholds.good} strokeOpacity={0} fill={ZONES.good.fill} fillOpacity={0.1} />
+                  <ReferenceArea y1={thresholds.good} y2={thresholds.concerning} strokeOpacity={0} fill={ZONES.concerning.fill} fillOpacity={0.1} />
+  
+                  {plotted.map(({ room, session }) => (
+                    <Line
+                      key={room.id}
+                      data={session.measuredPoints}
+                      type="monotone"
+                      dataKey="co2"
+                      stroke={room.color}
+                      strokeWidth={2}
+                      dot={{ fill: room.color, r: 3 }}
+                      name={room.name}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default RoomComparison;
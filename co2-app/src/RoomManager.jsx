@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { DoorOpen, Pencil, Trash2, X } from 'lucide-react';
+import { validateRoom } from './roomStore';
+import { useI18n } from './i18n';
+
+const inputClass = 'px-2 py-1 bg-gray-700 border border-gray-600 text-gray-100 rounded-md';
+
+const EMPTY_FORM = { name: '', volume: '', notes: '' };
+
+// Modal for adding, editing and deleting rooms. `sessionCounts` maps room
+// ids to their number of saved sessions, for the delete confirmation.
+const RoomManager = ({ rooms, currentRoomId, sessionCounts, onAdd, onUpdate, onDelete, onClose }) => {
+  const { t, translateMessage, formatNumber } = useI18n();
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+
+  const startEditing = (room) => {
+    setEditingId(room.id);
+    setForm({ name: room.name, volume: room.volume ?? '', notes: room.notes });
+    setError('');
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setError('');
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const values = {
+      name: form.name.trim(),
+      volume: form.volume === '' ? null : Number(form.volume),
+      notes: form.notes.trim()
+    };
+    const validationError = validateRoom(values);
+    if (validationError) {
+      setError(translateMessage(validationError));
+      return;
+    }
+
+    if (editingId) {
+      onUpdate(editingId, values);
+    } else {
+      onAdd(values);
+    }
+    resetForm();
+  };
+
+  const confirmDelete = (room) => {
+    const count = sessionCounts[room.id] ?? 0;
+    const message = count > 0
+      ? t('rooms.confirmDeleteWithSessions', { name: room.name, count })
+      : t('rooms.confirmDelete', { name: room.name });
+    if (window.confirm(message)) {
+      onDelete(room.id);
+      if (editingId === room.id) resetForm();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-2xl max-h-full overflow-y-auto p-6 bg-gray-900 text-gray-100 rounded-lg border border-gray-700 shadow-xl">
+        <div className="mb-4 flex items-center justify-between">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <DoorOpen size={18} className="text-blue-400" />
+            {t('rooms.title')}
+          </h3>
+          <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="mb-4 overflow-x-auto">
+          <table className="min-w-full bg-gray-800 border border-gray-700">
+            <thead className="bg-gray-900">
+              <tr>
+                <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('rooms.room')}</th>
+                <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('rooms.volume')}</th>
+                <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('rooms.sessions')}</th>
+                <th className="px-4 py-2 border-b border-gray-700 text-right text-sm font-medium text-gray-300">{t('common.actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rooms.map(room => (
+                <tr key={room.id} className={room.id === currentRoomId ? 'bg-blue-900/30' : 'hover:bg-gray-700'}>
+                  <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">
+                    <p className="font-semibold text-gray-100 flex items-center gap-2">
+                      <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ backgroundColor: room.color }} />
+                      {room.name}
+                    </p>
+                    {room.notes && <p className="text-xs text-gray-500">{room.notes}</p>}
+                  </td>
+                  <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">
+                    {room.volume ? t('units.volume', { value: formatNumber(room.volume) }) : '—'}
+                  </td>
+                  <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">{sessionCounts[room.id] ?? 0}</td>
+                  <td className="px-4 py-2 border-b border-gray-700 text-sm">
+                    <div className="flex justify-end gap-1">
+                      <button type="button" onClick={() => startEditing(room)} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.edit')}>
+                        <Pencil size={16} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => confirmDelete(room)}
+                        disabled={rooms.length === 1}
+                        className="p-1 text-red-400 hover:text-red-300 disabled:opacity-40"
+                        title={rooms.length === 1 ? t('rooms.lastRoom') : t('common.delete')}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <form onSubmit={submit} className="p-4 bg-gray-800/80 rounded-lg border border-gray-700 space-y-3 text-sm text-gray-300">
+          <h4 className="font-semibold text-gray-100">{editingId ? t('rooms.edit') : t('rooms.add')}</h4>
+          <div className="flex flex-wrap gap-4">
+            <label className="flex flex-col gap-1 flex-1 min-w-[12rem]">
+              {t('rooms.name')}
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className={inputClass}
+                placeholder={t('rooms.namePlaceholder')}
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              {t('rooms.volumeLabel')}
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={form.volume}
+                onChange={(e) => setForm({ ...form, volume: e.target.value })}
+                className={`w-28 ${inputClass}`}
+                placeholder={t('common.optional')}
+              />
+            </label>
+          </div>
+          <label className="flex flex-col gap-1">
+            {t('rooms.notes')}
+            <textarea
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              rows={2}
+              className={inputClass}
+              placeholder={t('rooms.notesPlaceholder')}
+            />
+          </label>
+          {error && <p className="text-red-400">{error}</p>}
+          <div className="flex justify-end gap-2">
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+              >
+                {t('common.cancel')}
+              </button>
+            )}
+            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+              {editingId ? t('rooms.save') : t('rooms.addButton')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RoomManager;
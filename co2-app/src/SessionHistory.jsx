@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { History, Eye, Play, Pencil, Trash2, Check, X } from 'lucide-react';
+import { summarizeSession } from './sessionStore';
+import { useI18n } from './i18n';
+
+const SessionHistory = ({ sessions, currentSessionId, onOpen, onResume, onRename, onDelete }) => {
+  const { t, formatNumber, formatDuration, formatSessionDate } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const startRename = (session) => {
+    setEditingId(session.id);
+    setEditingName(session.name);
+  };
+
+  const commitRename = () => {
+    onRename(editingId, editingName.trim());
+    setEditingId(null);
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800/80 rounded-lg border border-gray-700">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-lg font-semibold text-gray-100"
+      >
+        <span className="flex items-center gap-2">
+          <History size={18} className="text-blue-400" />
+          {t('history.title')}
+        </span>
+        <span className="text-sm font-normal text-gray-400">
+          {t('history.saved', { count: sessions.length })} {isOpen ? '▲' : '▼'}
+        </span>
+      </button>
+
+      {isOpen && (
+        sessions.length === 0 ? (
+          <p className="mt-3 text-sm text-gray-400">{t('history.empty')}</p>
+        ) : (
+          <div className="mt-3 overflow-x-auto">
+            <table className="min-w-full bg-gray-800 border border-gray-700">
+              <thead className="bg-gray-900">
+                <tr>
+                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('history.session')}</th>
+                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('history.start')}</th>
+                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('history.end')}</th>
+                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300">{t('history.duration')}</th>
+                  <th className="px-4 py-2 border-b border-gray-700 text-left text-sm font-medium text-gray-300" title={t('analytics.achTitle')}>{t('analytics.ach')}</th>
+                  <th className="px-4 py-2 border-b border-gray-700 text-right text-sm font-medium text-gray-300">{t('common.actions')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map(session => {
+                  const summary = summarizeSession(session);
+                  const isCurrent = session.id === currentSessionId;
+                  return (
+                    <tr key={session.id} className={isCurrent ? 'bg-blue-900/30' : 'hover:bg-gray-700'}>
+                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">
+                        {editingId === session.id ? (
+                          <div className="flex gap-1">
+                            <input
+                              type="text"
+                              value={editingName}
+                              onChange={(e) => setEditingName(e.target.value)}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') commitRename();
+                                if (e.key === 'Escape') setEditingId(null);
+                              }}
+                              className="px-2 py-1 bg-gray-700 border border-gray-600 text-gray-100 rounded-md"
+                              placeholder={t('history.name')}
+                              autoFocus
+                            />
+                            <button type="button" onClick={commitRename} className="p-1 text-green-400 hover:text-green-300" title={t('history.saveName')}>
+                              <Check size={16} />
+                            </button>
+                            <button type="button" onClick={() => setEditingId(null)} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.cancel')}>
+                              <X size={16} />
+                            </button>
+                          </div>
+                        ) : (
+                          <>
+                            <p className="font-semibold text-gray-100">{session.name || formatSessionDate(session.createdAt)}</p>
+                            {session.name && <p className="text-xs text-gray-500">{formatSessionDate(session.createdAt)}</p>}
+                          </>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">{summary.startCO2 === null ? '—' : t('units.ppm', { value: formatNumber(summary.startCO2) })}</td>
+                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">{summary.endCO2 === null ? '—' : t('units.ppm', { value: formatNumber(summary.endCO2) })}</td>
+                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">{formatDuration(summary.duration)}</td>
+                      <td className="px-4 py-2 border-b border-gray-700 text-sm text-gray-300">
+                        {summary.airChangesPerHour === null ? '—' : formatNumber(summary.airChangesPerHour, 1)}
+                      </td>
+                      <td className="px-4 py-2 border-b border-gray-700 text-sm">
+                        <div className="flex justify-end gap-1">
+                          <button type="button" onClick={() => onOpen(session.id)} className="p-1 text-gray-400 hover:text-gray-200" title={t('history.view')}>
+                            <Eye size={16} />
+                          </button>
+                          <button type="button" onClick={() => onResume(session.id)} className="p-1 text-blue-400 hover:text-blue-300" title={t('history.resume')}>
+                            <Play size={16} />
+                          </button>
+                          <button type="button" onClick={() => startRename(session)} className="p-1 text-gray-400 hover:text-gray-200" title={t('history.rename')}>
+                            <Pencil size={16} />
+                          </button>
+                          <button type="button" onClick={() => onDelete(session.id)} className="p-1 text-red-400 hover:text-red-300" title={t('common.delete')}>
+                            <Trash2 size={16} />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default SessionHistory;
@@ -0,0 +1,209 @@
+import React, { useRef, useState } from 'react';
+import { ComposedChart, Line, XAxis, YAxis, CartesianGrid, ReferenceLine, ReferenceArea } from 'recharts';
+import { FileText, Download, ImageDown, X } from 'lucide-react';
+import { ZONES } from './zones';
+import { useI18n } from './i18n';
+import { downloadFile, exportFileName } from './sessionTransfer';
+import {
+  MEASURED_COLUMNS,
+  PROJECTED_COLUMNS,
+  EVENT_COLUMNS,
+  ZONE_COLUMNS,
+  reportSummary,
+  measuredRows,
+  eventRows,
+  projectedRows,
+  renderChart,
+  canvasToBlob,
+  reportToPdf
+} from './report';
+
+const CHART_WIDTH = 700;
+const CHART_HEIGHT = 320;
+const axisColor = '#4b5563';
+const eventColor = '#db2777';
+
+const cellClass = 'px-3 py-1 border-b border-gray-200 text-sm';
+
+// `columns` are the headings already worded
+const ReportTable = ({ columns, rows }) => (
+  <table className="min-w-full">
+    <thead>
+      <tr>
+        {columns.map(column => (
+          <th key={column} className={`${cellClass} text-left font-semibold border-gray-400`}>{column}</th>
+        ))}
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((cells, index) => (
+        <tr key={index}>
+          {cells.map((cell, column) => <td key={column} className={cellClass}>{cell}</td>)}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Printable summary of the current session on a white page, downloadable
+// as a PDF, or just the chart as a PNG. `projectedTablePoints` are the
+// rows of the projected table, `projectedPoints` the full line; `events`
+// are placed on the readings' minutes axis.
+const SessionReport = ({ room, session, measuredPoints, events, projectedPoints, projectedTablePoints, projection, ventilation, thresholds, targetCO2, onClose }) => {
+  const i18n = useI18n();
+  const { t, translateMessage, formatTime } = i18n;
+  const title = t('report.title');
+  const chartRef = useRef(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const summary = reportSummary({ room, session, measuredPoints, thresholds, targetCO2, projection, ventilation }, i18n);
+  const tables = [
+    { title: t('report.measured'), columns: MEASURED_COLUMNS, rows: measuredRows(measuredPoints, thresholds, i18n) },
+    ...(events.length > 0 ? [{ title: t('report.events'), columns: EVENT_COLUMNS, rows: eventRows(measuredPoints, events, i18n) }] : []),
+    ...(projectedTablePoints.length > 0
+      ? [{ title: t('report.projectedValues'), columns: PROJECTED_COLUMNS, rows: projectedRows(measuredPoints, projectedTablePoints, thresholds, i18n) }]
+      : [])
+  ];
+
+  const fileName = `${exportFileName(session)}-report`;
+
+  const exportWith = async (build) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      const chart = await renderChart(chartRef.current.querySelector('svg'));
+      await build(chart);
+    } catch (err) {
+      setError(t('report.failed', { reason: translateMessage(err.message) }));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const downloadPdf = () => exportWith(async (chart) => {
+    const pdf = await reportToPdf({ title, summary, chart, tables }, t);
+    downloadFile(`${fileName}.pdf`, pdf, 'application/pdf');
+  });
+
+  const downloadPng = () => exportWith(async (chart) => {
+    downloadFile(`${fileName}-chart.png`, await canvasToBlob(chart), 'image/png');
+  });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-4xl max-h-full overflow-y-auto p-6 bg-gray-900 text-gray-100 rounded-lg border border-gray-700 shadow-xl">
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <FileText size={18} className="text-blue-400" />
+            {t('monitor.report')}
+          </h3>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={downloadPdf}
+              disabled={isBusy}
+              className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-1 text-sm disabled:opacity-50"
+            >
+              <Download size={16} />
+              {t('report.pdf')}
+            </button>
+            <button
+              type="button"
+              onClick={downloadPng}
+              disabled={isBusy}
+              className="px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600 flex items-center gap-1 text-sm disabled:opacity-50"
+            >
+              <ImageDown size={16} />
+              {t('report.png')}
+            </button>
+            <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.close')}>
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+        {error && <p className="mb-3 text-sm text-red-400">{error}</p>}
+
+        {/* The page as it is exported */}
+        <div className="p-6 bg-white text-gray-900 rounded-md overflow-x-auto">
+          <h2 className="text-xl font-bold mb-3">{title}</h2>
+          <dl className="grid grid-cols-[max-content_1fr] gap-x-6 gap-y-1 text-sm mb-4">
+            {summary.rows.map(([label, value]) => (
+              <React.Fragment key={label}>
+                <dt className="font-semibold">{label}</dt>
+                <dd>{value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+
+          <h4 className="font-semibold mb-1">{t('analytics.timeInZones')}</h4>
+          <div className="mb-4">
+            <ReportTable columns={ZONE_COLUMNS.map(column => t(column))} rows={summary.zones} />
+          </div>
+
+          <h4 className="font-semibold mb-1">{t('report.chart')}</h4>
+          <div ref={chartRef} className="mb-4">
+            <ComposedChart width={CHART_WIDTH} height={CHART_HEIGHT} margin={{ top: 5, right: 30, left: 20, bottom: 15 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#d1d5db" />
+              <XAxis
+                type="number"
+                dataKey="minutes"
+                domain={['dataMin', 'dataMax']}
+                allowDecimals={false}
+                tickFormatter={(value) => formatTime({ measuredPoints }, Math.round(value))}
+                label={{ value: t('chart.timeOfDay'), position: 'insideBottom', offset: -10, fill: axisColor }}
+                stroke={axisColor}
+                tick={{ fill: axisColor, fontSize: 12 }}
+              />
+              <YAxis
+                label={{ value: t('readings.co2'), angle: -90, position: 'insideLeft', fill: axisColor }}
+                domain={[300, 'dataMax + 100']}
+                stroke={axisColor}
+                tick={{ fill: axisColor, fontSize: 12 }}
+              />
+              <ReferenceArea y1={0} y2={thresholds.ideal} strokeOpacity={0} fill={ZONES.ideal.fill} fillOpacity={0.12} />
+              <ReferenceArea y1={thresholds.ideal} y2={thresholds.good} strokeOpacity={0} fill={ZONES.good.fill} fillOpacity={0.12} />
+              <ReferenceArea y1={thresholds.good} y2={thresholds.concerning} strokeOpacity={0} fill={ZONES.concerning.fill} fillOpacity={0.12} />
+              <ReferenceArea y1={thresholds.concerning} y2={thresholds.concerning + 1000} strokeOpacity={0} fill={ZONES.poor.fill} fillOpacity={0.12} />
+              <ReferenceLine y={targetCO2} stroke="#7c3aed" strokeDasharray="2 4" label={{ value: t('chart.target'), fill: axisColor, fontSize: 12 }} />
+              {events.map((event, index) => (
+                <ReferenceLine
+                  key={index}
+                  x={event.minutes}
+                  stroke={eventColor}
+                  strokeDasharray="4 2"
+                  label={{ value: event.note || t(`events.${event.type}`), position: 'insideTopLeft', fill: eventColor, fontSize: 11 }}
+                />
+              ))}
+              <Line type="monotone" dataKey="co2" data={measuredPoints} stroke="#2563eb" strokeWidth={2} dot={{ fill: '#2563eb', r: 3 }} isAnimationActive={false} />
+              {projectedPoints.length > 0 && (
+                <Line
+                  type={projectedPoints.length > 2 ? 'monotone' : 'linear'}
+                  dataKey="co2"
+                  data={projectedPoints}
+                  stroke="#7c3aed"
+                  strokeWidth={2}
+                  strokeDasharray="5 5"
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              )}
+            </ComposedChart>
+            <p className="text-xs text-gray-500">
+              {t('report.legend')}{events.length > 0 && ` ${t('report.legendEvents')}`}
+            </p>
+          </div>
+
+          {tables.map(({ title, columns, rows }) => (
+            <div key={title} className="mb-4">
+              <h4 className="font-semibold mb-1">{title}</h4>
+              <ReportTable columns={columns.map(column => t(column))} rows={rows} />
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionReport;
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { Settings } from 'lucide-react';
+import { PROJECTION_MODELS, TREND_WINDOWS, THRESHOLD_PRESETS, validateThresholds, validateTarget } from './co2-core';
+import { ZONES } from './zones';
+import { LANGUAGES, useI18n } from './i18n';
+
+const inputClass = 'px-2 py-1 bg-gray-700 border border-gray-600 text-gray-100 rounded-md';
+
+const SettingsPanel = ({ settings, onChange }) => {
+  const { t, translateMessage } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  // Zone boundaries are edited as a draft and only applied while valid,
+  // so typing "1" on the way to "1000" doesn't reshuffle the zones
+  const [draftThresholds, setDraftThresholds] = useState(settings.thresholds);
+  // Boundaries changed from outside, by undo or redo, replace the draft
+  const [appliedThresholds, setAppliedThresholds] = useState(settings.thresholds);
+  if (settings.thresholds !== appliedThresholds) {
+    setAppliedThresholds(settings.thresholds);
+    setDraftThresholds(settings.thresholds);
+  }
+  const thresholdError = validateThresholds(draftThresholds);
+  // The target likewise, so typing "550" doesn't project to 5 and 55 first
+  const [draftTarget, setDraftTarget] = useState(settings.targetCO2);
+  const [appliedTarget, setAppliedTarget] = useState(settings.targetCO2);
+  if (settings.targetCO2 !== appliedTarget) {
+    setAppliedTarget(settings.targetCO2);
+    setDraftTarget(settings.targetCO2);
+  }
+  const targetError = validateTarget(draftTarget, settings.outdoorCO2);
+
+  const updateThreshold = (zone, value) => {
+    const updated = { ...draftThresholds, [zone]: Number(value) };
+    setDraftThresholds(updated);
+    if (!validateThresholds(updated)) {
+      onChange({ thresholds: updated });
+    }
+  };
+
+  const updateTarget = (value) => {
+    const updated = Number(value);
+    setDraftTarget(updated);
+    if (!validateTarget(updated, settings.outdoorCO2)) {
+      onChange({ targetCO2: updated });
+    }
+  };
+
+  const applyPreset = (presetId) => {
+    const preset = THRESHOLD_PRESETS[presetId];
+    if (!preset) return;
+    const values = preset.build(settings.outdoorCO2);
+    setDraftThresholds(values.thresholds);
+    onChange(values);
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800/80 rounded-lg border border-gray-700">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-lg font-semibold text-gray-100"
+      >
+        <span className="flex items-center gap-2">
+          <Settings size={18} className="text-blue-400" />
+          {t('settings.title')}
+        </span>
+        <span className="text-sm font-normal text-gray-400">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 grid gap-6 md:grid-cols-2 text-sm text-gray-300">
+          <div className="space-y-3">
+            <h4 className="font-semibold text-gray-100">{t('settings.zones')}</h4>
+            <label className="flex items-center justify-between gap-2">
+              {t('settings.preset')}
+              <select
+                value=""
+                onChange={(e) => applyPreset(e.target.value)}
+                className={inputClass}
+              >
+                <option value="" disabled>{t('settings.applyPreset')}</option>
+                {Object.keys(THRESHOLD_PRESETS).map(id => (
+                  <option key={id} value={id}>{t(`settings.presets.${id}`)}</option>
+                ))}
+              </select>
+            </label>
+            {['ideal', 'good', 'concerning'].map(zone => (
+              <label key={zone} className="flex items-center justify-between gap-2">
+                <span className={ZONES[zone].color}>{t('settings.zoneUpTo', { zone: t(`zones.${zone}`) })}</span>
+                <span className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    value={draftThresholds[zone]}
+                    onChange={(e) => updateThreshold(zone, e.target.value)}
+                    className={`w-24 ${inputClass}`}
+                  />
+                  {t('units.ppmUnit')}
+                </span>
+              </label>
+            ))}
+            <p className={ZONES.poor.color}>{t('settings.poorAbove', { zone: t('zones.poor'), level: draftThresholds.concerning })}</p>
+            {thresholdError && <p className="text-red-400">{translateMessage(thresholdError)}</p>}
+            <label className="flex items-center justify-between gap-2">
+              {t('settings.target')}
+              <span className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={draftTarget}
+                  onChange={(e) => updateTarget(e.target.value)}
+                  className={`w-24 ${inputClass}`}
+                />
+                {t('units.ppmUnit')}
+              </span>
+            </label>
+            {targetError && <p className="text-red-400">{translateMessage(targetError)}</p>}
+
+            <h4 className="pt-2 font-semibold text-gray-100">{t('settings.comfort')}</h4>
+            <label className="flex items-center justify-between gap-2">
+              {t('settings.tooColdBelow')}
+              <span className="flex items-center gap-2">
+                <input
+                  type="number"
+                  step="0.5"
+                  value={settings.minTemperature}
+                  onChange={(e) => onChange({ minTemperature: Number(e.target.value) })}
+                  className={`w-24 ${inputClass}`}
+                />
+                °C
+              </span>
+            </label>
+            <label className="flex items-center justify-between gap-2">
+              {t('settings.tooDryBelow')}
+              <span className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={settings.minHumidity}
+                  onChange={(e) => onChange({ minHumidity: Number(e.target.value) })}
+                  className={`w-24 ${inputClass}`}
+                />
+                {t('units.relativeHumidityUnit')}
+              </span>
+            </label>
+          </div>
+
+          <div className="space-y-3">
+            <h4 className="font-semibold text-gray-100">{t('settings.language')}</h4>
+            <label className="flex items-center justify-between gap-2">
+              {t('settings.languageLabel')}
+              <select
+                value={settings.language}
+                onChange={(e) => onChange({ language: e.target.value })}
+                className={inputClass}
+              >
+                <option value="auto">{t('settings.languageAuto')}</option>
+                {Object.entries(LANGUAGES).map(([value, name]) => (
+                  <option key={value} value={value}>{name}</option>
+                ))}
+              </select>
+            </label>
+
+            <h4 className="pt-2 font-semibold text-gray-100">{t('settings.projection')}</h4>
+            <label className="flex items-center justify-between gap-2">
+              {t('settings.model')}
+              <select
+                value={settings.projectionModel}
+                onChange={(e) => onChange({ projectionModel: e.target.value })}
+                className={inputClass}
+              >
+                {Object.keys(PROJECTION_MODELS).map(value => (
+                  <option key={value} value={value}>{t(`settings.models.${value}`)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center justify-between gap-2">
+              {t('settings.outdoor')}
+              <span className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={settings.outdoorCO2}
+                  onChange={(e) => onChange({ outdoorCO2: Number(e.target.value) || 0 })}
+                  className={`w-24 ${inputClass}`}
+                />
+                {t('units.ppmUnit')}
+              </span>
+            </label>
+            <label className="flex items-center justify-between gap-2">
+              {t('settings.trendWindow')}
+              <select
+                value={settings.trendWindowMode}
+                onChange={(e) => onChange({ trendWindowMode: e.target.value })}
+                className={inputClass}
+              >
+                {Object.keys(TREND_WINDOWS).map(value => (
+                  <option key={value} value={value}>{t(`settings.trendWindows.${value}`)}</option>
+                ))}
+              </select>
+            </label>
+            {settings.trendWindowMode === 'readings' && (
+              <label className="flex items-center justify-between gap-2">
+                {t('settings.windowReadings')}
+                <input
+                  type="number"
+                  min="2"
+                  value={settings.trendWindowReadings}
+                  onChange={(e) => onChange({ trendWindowReadings: Math.max(2, Number(e.target.value) || 2) })}
+                  className={`w-24 ${inputClass}`}
+                />
+              </label>
+            )}
+            {settings.trendWindowMode === 'minutes' && (
+              <label className="flex items-center justify-between gap-2">
+                {t('settings.windowMinutes')}
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.trendWindowMinutes}
+                  onChange={(e) => onChange({ trendWindowMinutes: Math.max(1, Number(e.target.value) || 1) })}
+                  className={`w-24 ${inputClass}`}
+                />
+              </label>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,72 @@
+import React, { useEffect, useState } from 'react';
+import { Share2, Copy, Check, X } from 'lucide-react';
+import { createShareLink } from './shareLink';
+import { useI18n } from './i18n';
+
+// Shows a link that opens the session read-only on any device. `shared`
+// is what createShareLink encodes: the session, its readings and events,
+// the room and the zone boundaries, as they were when Share was clicked.
+const ShareDialog = ({ shared, onClose }) => {
+  const { t, translateMessage, formatNumber } = useI18n();
+  const [link, setLink] = useState('');
+  const [error, setError] = useState('');
+  const [isCopied, setIsCopied] = useState(false);
+
+  useEffect(() => {
+    createShareLink(shared)
+      .then(setLink)
+      .catch(err => setError(t('share.failed', { reason: translateMessage(err.message) })));
+  }, [shared, t, translateMessage]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setIsCopied(true);
+    } catch {
+      setError(t('share.copyFailed'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-xl p-6 bg-gray-900 text-gray-100 rounded-lg border border-gray-700 shadow-xl">
+        <div className="mb-4 flex items-center justify-between">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Share2 size={18} className="text-blue-400" />
+            {t('share.title')}
+          </h3>
+          <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.close')}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <p className="mb-3 text-sm text-gray-300">
+          {t('share.explanation')}
+        </p>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={link || t('share.creating')}
+            readOnly
+            onFocus={(e) => e.target.select()}
+            className="flex-1 min-w-0 px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-md text-sm"
+            aria-label={t('share.link')}
+          />
+          <button
+            type="button"
+            onClick={copy}
+            disabled={!link}
+            className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-1 text-sm disabled:opacity-50"
+          >
+            {isCopied ? <Check size={16} /> : <Copy size={16} />}
+            {isCopied ? t('share.copied') : t('share.copy')}
+          </button>
+        </div>
+        {link && <p className="mt-2 text-xs text-gray-500">{t('share.length', { count: formatNumber(link.length) })}</p>}
+        {error && <p className="mt-2 text-sm text-red-400">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { FlaskConical } from 'lucide-react';
+import { VENTILATION_PRESETS, validateSimulation, simulateVentilation } from './co2-core';
+import { useI18n } from './i18n';
+
+const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 text-gray-100 rounded-md focus:ring-blue-500 focus:border-blue-500';
+
+// Value of the ventilation select for a typed-in ACH
+const CUSTOM = 'custom';
+
+// What-if simulation before the window is opened: the expected decay for
+// a ventilation setting and the time until each zone boundary. `latestCO2`
+// and `measuredAirChanges` (from this session's analytics) prefill the
+// form. onShow(inputs) keeps the simulation on the chart with the session;
+// `simulation` is the one shown there, if any.
+const SimulatorPanel = ({ latestCO2, room, settings, thresholds, targetCO2, measuredAirChanges, simulation, onShow, onRemove }) => {
+  const { t, translateMessage, formatNumber, formatDuration } = useI18n();
+  const [isOpen, setIsOpen] = useState(false);
+  const [form, setForm] = useState(() => ({
+    startCO2: latestCO2 === null ? '' : String(latestCO2),
+    volume: room.volume ? String(room.volume) : '',
+    outdoorCO2: String(settings.outdoorCO2),
+    ventilation: measuredAirChanges ? CUSTOM : 'open',
+    customAirChanges: measuredAirChanges ? String(Math.round(measuredAirChanges * 10) / 10) : ''
+  }));
+
+  const airChangesPerHour = form.ventilation === CUSTOM
+    ? Number(form.customAirChanges)
+    : VENTILATION_PRESETS[form.ventilation].airChangesPerHour;
+  const inputs = { startCO2: Number(form.startCO2), outdoorCO2: Number(form.outdoorCO2), airChangesPerHour };
+  const volumeError = form.volume !== '' && !(Number(form.volume) > 0) ? t('simulator.volumeError') : null;
+  const inputError = form.startCO2 === '' ? null : validateSimulation(inputs);
+  const error = inputError && translateMessage(inputError);
+  const result = form.startCO2 !== '' && !error
+    ? simulateVentilation({ ...inputs, thresholds, target: targetCO2 })
+    : null;
+
+  const show = () => onShow({
+    ...inputs,
+    ventilation: form.ventilation,
+    volume: form.volume === '' || volumeError ? null : Number(form.volume)
+  });
+
+  // "in 12 min", or why a level is never reached
+  const timeUntil = (minutes) =>
+    minutes === null
+      ? t('simulator.never', { outdoor: formatNumber(inputs.outdoorCO2) })
+      : t('simulator.after', { duration: formatDuration(Math.round(minutes)) });
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800/80 rounded-lg border border-gray-700">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-lg font-semibold text-gray-100"
+      >
+        <span className="flex items-center gap-2">
+          <FlaskConical size={18} className="text-blue-400" />
+          {t('simulator.title')}
+        </span>
+        <span className="text-sm font-normal text-gray-400">
+          {simulation && `${t('simulator.onChart')} `}{isOpen ? '▲' : '▼'}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 space-y-4 text-sm text-gray-300">
+          <p className="text-xs text-gray-500">{t('simulator.explanation')}</p>
+          <div className="flex flex-wrap gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">{t('simulator.currentCO2')}</label>
+              <input
+                type="number"
+                value={form.startCO2}
+                onChange={(e) => setForm({ ...form, startCO2: e.target.value })}
+                className={`w-28 ${inputClass}`}
+                placeholder={t('monitor.co2Example')}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">{t('simulator.volume')}</label>
+              <input
+                type="number"
+                min="0"
+                value={form.volume}
+                onChange={(e) => setForm({ ...form, volume: e.target.value })}
+                className={`w-28 ${inputClass}`}
+                placeholder={t('common.optional')}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">{t('simulator.outdoorCO2')}</label>
+              <input
+                type="number"
+                value={form.outdoorCO2}
+                onChange={(e) => setForm({ ...form, outdoorCO2: e.target.value })}
+                className={`w-28 ${inputClass}`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">{t('simulator.ventilation')}</label>
+              <select
+                value={form.ventilation}
+                onChange={(e) => setForm({ ...form, ventilation: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(VENTILATION_PRESETS).map(([id, preset]) => (
+                  <option key={id} value={id}>
+                    {t(`simulator.presets.${id}`)} ({t('analytics.achValue', { value: formatNumber(preset.airChangesPerHour) })})
+                  </option>
+                ))}
+                <option value={CUSTOM}>{t('simulator.custom')}</option>
+              </select>
+            </div>
+            {form.ventilation === CUSTOM && (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">{t('simulator.customAirChanges')}</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={form.customAirChanges}
+                  onChange={(e) => setForm({ ...form, customAirChanges: e.target.value })}
+                  className={`w-24 ${inputClass}`}
+                  placeholder={t('analytics.ach')}
+                />
+              </div>
+            )}
+          </div>
+          {form.ventilation === CUSTOM && measuredAirChanges && (
+            <p className="text-xs text-gray-500">
+              {t('simulator.measured', { value: formatNumber(measuredAirChanges, 1) })}
+            </p>
+          )}
+          {(error || volumeError) && <p className="text-red-400">{error || volumeError}</p>}
+
+          {result && (
+            <div className="space-y-3">
+              <table className="bg-gray-800 border border-gray-700">
+                <tbody>
+                  {result.crossings.map(crossing => (
+                    <tr key={crossing.zone}>
+                      <td className="px-3 py-1 border-b border-gray-700">
+                        {t('simulator.zoneAt', { zone: t(`zones.${crossing.zone}`), level: formatNumber(crossing.level) })}
+                      </td>
+                      <td className="px-3 py-1 border-b border-gray-700 text-gray-100">{timeUntil(crossing.minutes)}</td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td className="px-3 py-1 border-b border-gray-700">{t('simulator.target', { level: formatNumber(targetCO2) })}</td>
+                    <td className="px-3 py-1 border-b border-gray-700 font-semibold text-gray-100">
+                      {result.minutesToTarget === 0 ? t('simulator.alreadyBelow') : timeUntil(result.minutesToTarget)}
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500">
+                {[
+                  t('simulator.halfLife', { duration: formatDuration(Math.round(result.halfLifeMinutes)) }),
+                  form.volume !== '' && !volumeError &&
+                    t('simulator.airflow', { airflow: formatNumber(Math.round(airChangesPerHour * Number(form.volume))) })
+                ].filter(Boolean).join(' · ')}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={show}
+                  className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                >
+                  {simulation ? t('simulator.update') : t('simulator.show')}
+                </button>
+                {simulation && (
+                  <button
+                    type="button"
+                    onClick={onRemove}
+                    className="px-3 py-2 bg-gray-700 text-gray-100 rounded-md hover:bg-gray-600"
+                  >
+                    {t('simulator.remove')}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimulatorPanel;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import { RefreshCw, X } from 'lucide-react';
+import { useI18n } from './i18n';
+
+// Registers the service worker and lets the user decide when a new
+// version takes over, so a reload never interrupts a session in progress
+const UpdatePrompt = () => {
+  const { t } = useI18n();
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker
+  } = useRegisterSW();
+
+  if (!offlineReady && !needRefresh) return null;
+
+  const close = () => {
+    setOfflineReady(false);
+    setNeedRefresh(false);
+  };
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 max-w-sm p-4 bg-gray-800 text-gray-100 rounded-lg border border-gray-700 shadow-xl" role="status">
+      <div className="flex items-start justify-between gap-4">
+        <p className="text-sm text-gray-300">
+          {needRefresh ? t('update.available') : t('update.offlineReady')}
+        </p>
+        <button type="button" onClick={close} className="p-1 text-gray-400 hover:text-gray-200" title={t('common.dismiss')}>
+          <X size={16} />
+        </button>
+      </div>
+      {needRefresh && (
+        <button
+          type="button"
+          onClick={() => updateServiceWorker(true)}
+          className="mt-3 px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-1 text-sm"
+        >
+          <RefreshCw size={16} />
+          {t('update.reload')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default UpdatePrompt;
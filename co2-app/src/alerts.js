@@ -0,0 +1,175 @@
+// Opt-in alerts through the Notification API and a Web Audio tone. Rules
+// are checked whenever a reading is added, and the projected time to
+// target is turned into a timer so it fires without a new reading.
+
+import { useEffect, useRef, useState } from 'react';
+import { climateWarnings } from './co2-core';
+
+// setTimeout can't wait longer than this (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Each is labelled by the `alerts.rules.<id>` catalog message
+export const ALERT_RULES = ['projectedTarget', 'targetReached', 'aboveLevel', 'rising', 'climate'];
+
+export const ALARM_TONE = { beeps: 3, frequency: 880 };
+export const CHIME_TONE = { beeps: 2, frequency: 660 };
+
+// Short sine beeps, so no sound file has to be shipped
+export const playTone = ({ beeps, frequency }) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  const context = new AudioContextClass();
+  for (let i = 0; i < beeps; i++) {
+    const start = context.currentTime + i * 0.3;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.2);
+  }
+  setTimeout(() => context.close(), beeps * 300 + 200);
+};
+
+// 'granted', 'denied', 'default' or 'unsupported'
+export const notificationPermission = () =>
+  ('Notification' in window ? Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = async () =>
+  ('Notification' in window ? Notification.requestPermission() : 'unsupported');
+
+const showWithConstructor = (title, options) => {
+  try {
+    new Notification(title, options);
+  } catch {
+    // Not allowed outside a service worker on this platform
+  }
+};
+
+// Shown through the service worker where there is one: Android Chrome,
+// the installed app's main platform, throws on `new Notification`. Without
+// a registered worker (e.g. during development) `serviceWorker.ready` would
+// never resolve, so the registration is looked up instead. Never throws, as
+// it's called from effects and timers.
+export const sendNotification = (title, body) => {
+  if (notificationPermission() !== 'granted') return;
+  const options = { body, tag: 'co2-monitor' };
+  if (!('serviceWorker' in navigator)) {
+    showWithConstructor(title, options);
+    return;
+  }
+  navigator.serviceWorker.getRegistration()
+    .then(registration => (registration ? registration.showNotification(title, options) : showWithConstructor(title, options)))
+    .catch(() => showWithConstructor(title, options));
+};
+
+// Alerts triggered by a newly added reading, worded in the language of
+// `i18n`. Level rules fire when the level is crossed, not again for every
+// reading on the same side.
+export const checkReadingRules = (previous, latest, { rules, aboveLevel, targetCO2, climateLimits }, { t, formatNumber }) => {
+  const alerts = [];
+  if (rules.targetReached && latest.co2 <= targetCO2 && (!previous || previous.co2 > targetCO2)) {
+    alerts.push({
+      title: t('alerts.targetReached.title'),
+      body: t('alerts.targetReached.body', { co2: formatNumber(latest.co2), target: formatNumber(targetCO2) })
+    });
+  }
+  if (rules.aboveLevel && latest.co2 > aboveLevel && (!previous || previous.co2 <= aboveLevel)) {
+    alerts.push({
+      title: t('alerts.aboveLevel.title', { level: formatNumber(aboveLevel) }),
+      body: t('alerts.aboveLevel.body', { co2: formatNumber(latest.co2) })
+    });
+  }
+  if (rules.rising && previous && latest.co2 > previous.co2) {
+    alerts.push({
+      title: t('alerts.rising.title'),
+      body: t('alerts.rising.body', { from: formatNumber(previous.co2), to: formatNumber(latest.co2) })
+    });
+  }
+  if (rules.climate) {
+    const before = previous ? climateWarnings(previous, climateLimits) : [];
+    const now = climateWarnings(latest, climateLimits);
+    if (now.includes('cold') && !before.includes('cold')) {
+      alerts.push({
+        title: t('alerts.cold.title'),
+        body: t('alerts.cold.body', { temperature: formatNumber(latest.temperature), limit: formatNumber(climateLimits.minTemperature) })
+      });
+    }
+    if (now.includes('dry') && !before.includes('dry')) {
+      alerts.push({
+        title: t('alerts.dry.title'),
+        body: t('alerts.dry.body', { humidity: formatNumber(latest.humidity), limit: formatNumber(climateLimits.minHumidity) })
+      });
+    }
+  }
+  return alerts;
+};
+
+// Checks the rules for the session being recorded and returns the most
+// recent alert, so it can also be shown in the page. `targetAt` is the
+// projected time (ms) the target is reached, or null. Alerts are worded in
+// the language of `i18n`.
+export const useAlerts = ({ enabled, settings, i18n, sessionId, measuredPoints, targetAt }) => {
+  const [lastAlert, setLastAlert] = useState(null);
+  const settingsRef = useRef(settings);
+  const i18nRef = useRef(i18n);
+  const latest = measuredPoints[measuredPoints.length - 1] ?? null;
+  const seenRef = useRef({ sessionId, count: measuredPoints.length, latest });
+
+  useEffect(() => {
+    settingsRef.current = settings;
+    i18nRef.current = i18n;
+  });
+
+  const fire = (alerts) => {
+    if (alerts.length === 0) return;
+    const { alertSound, alertNotification } = settingsRef.current;
+    if (alertSound) playTone(ALARM_TONE);
+    if (alertNotification) alerts.forEach(({ title, body }) => sendNotification(title, body));
+    setLastAlert({ ...alerts[alerts.length - 1], firedAt: Date.now() });
+  };
+  const fireRef = useRef(fire);
+  useEffect(() => {
+    fireRef.current = fire;
+  });
+
+  // Only readings added while the session is open count; opening or
+  // switching sessions, edits and deletions stay quiet
+  useEffect(() => {
+    const seen = seenRef.current;
+    seenRef.current = { sessionId, count: measuredPoints.length, latest };
+    if (!enabled || !latest || seen.sessionId !== sessionId || measuredPoints.length <= seen.count) return;
+    if (seen.latest && seen.latest.timestamp === latest.timestamp) return;
+
+    const { alertRules, alertAboveLevel, targetCO2, minTemperature, minHumidity } = settingsRef.current;
+    fireRef.current(checkReadingRules(seen.latest, latest, {
+      rules: alertRules,
+      aboveLevel: alertAboveLevel,
+      targetCO2,
+      climateLimits: { minTemperature, minHumidity }
+    }, i18nRef.current));
+  }, [enabled, sessionId, measuredPoints, latest]);
+
+  const watchTarget = enabled && settings.alertRules.projectedTarget;
+  useEffect(() => {
+    if (!watchTarget || targetAt === null) return;
+
+    const delay = targetAt - Date.now();
+    if (delay < 0 || delay > MAX_TIMER_MS) return;
+
+    const timer = setTimeout(() => {
+      const { t, formatNumber } = i18nRef.current;
+      fireRef.current([{
+        title: t('alerts.projectedTarget.title'),
+        body: t('alerts.projectedTarget.body', { target: formatNumber(settingsRef.current.targetCO2) })
+      }]);
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [watchTarget, targetAt]);
+
+  const testAlert = () => fire([{ title: i18n.t('alerts.testTitle'), body: i18n.t('alerts.testBody') }]);
+  return { lastAlert, dismissAlert: () => setLastAlert(null), testAlert };
+};
@@ -0,0 +1,65 @@
+// Figures summarising a whole session: how long the air spent in each
+// zone, how fast the CO2 level changed on average, and how effective the
+// ventilation was.
+
+import { fitExponentialDecay } from './projection';
+
+const zoneRanges = (thresholds) => ({
+  ideal: [-Infinity, thresholds.ideal],
+  good: [thresholds.ideal, thresholds.good],
+  concerning: [thresholds.good, thresholds.concerning],
+  poor: [thresholds.concerning, Infinity]
+});
+
+// The level is taken to change linearly between two readings, so an
+// interval that crosses a boundary is split between the zones at the
+// moment it crosses
+export const timeInZones = (measuredData, thresholds) => {
+  const ranges = zoneRanges(thresholds);
+  const minutes = { ideal: 0, good: 0, concerning: 0, poor: 0 };
+
+  for (let i = 1; i < measuredData.length; i++) {
+    const previous = measuredData[i - 1];
+    const current = measuredData[i];
+    const duration = current.minutes - previous.minutes;
+    const low = Math.min(previous.co2, current.co2);
+    const high = Math.max(previous.co2, current.co2);
+
+    Object.entries(ranges).forEach(([zone, [from, to]]) => {
+      if (low === high) {
+        if (low > from && low <= to) minutes[zone] += duration;
+        return;
+      }
+      const covered = Math.max(0, Math.min(high, to) - Math.max(low, from));
+      minutes[zone] += duration * covered / (high - low);
+    });
+  }
+  return minutes;
+};
+
+// ppm per hour between the first and the last reading
+export const averageRate = (measuredData) => {
+  if (measuredData.length < 2) return null;
+  const first = measuredData[0];
+  const last = measuredData[measuredData.length - 1];
+  const minutes = last.minutes - first.minutes;
+  return minutes > 0 ? (last.co2 - first.co2) / minutes * 60 : null;
+};
+
+// In a well-mixed room the excess over outdoor air decays as e^(-k·t), and
+// k per hour is the number of air changes per hour. The fit starts at the
+// session's peak, so a build-up before the windows were opened is left out.
+export const ventilationMetrics = (measuredData, { outdoorCO2, volume = null }) => {
+  const peak = measuredData.reduce((best, point, index) => (point.co2 > measuredData[best].co2 ? index : best), 0);
+  const fit = fitExponentialDecay(measuredData.slice(peak), outdoorCO2);
+  if (!fit || !(fit.k > 0)) return null;
+
+  const decayConstant = fit.k * 60;
+  return {
+    decayConstant,
+    decayConstantMargin: fit.kMargin * 60,
+    halfLifeMinutes: Math.log(2) / fit.k,
+    airChangesPerHour: decayConstant,
+    airflow: volume ? decayConstant * volume : null
+  };
+};
@@ -0,0 +1,37 @@
+// Optional temperature and relative humidity recorded with a reading.
+// Ventilating trades CO2 against heat and moisture, so the room is flagged
+// when it gets too cold or too dry.
+
+export const DEFAULT_CLIMATE_LIMITS = { minTemperature: 18, minHumidity: 30 };
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Returns an error message, or null when the values can be stored. Either
+// value may be left out.
+export const validateClimate = ({ temperature, humidity } = {}) => {
+  if (!isBlank(temperature) && !(Number(temperature) >= -40 && Number(temperature) <= 60)) {
+    return 'Please enter the temperature in °C, between -40 and 60';
+  }
+  if (!isBlank(humidity) && !(Number(humidity) >= 0 && Number(humidity) <= 100)) {
+    return 'Please enter the relative humidity in %, between 0 and 100';
+  }
+  return null;
+};
+
+// The reading fields for the given values; blank values are left out
+export const climateFields = ({ temperature, humidity } = {}) => ({
+  ...(!isBlank(temperature) && { temperature: Number(temperature) }),
+  ...(!isBlank(humidity) && { humidity: Number(humidity) })
+});
+
+/**
+ * Comfort problems of a reading: below the minimum temperature ('cold') or
+ * relative humidity ('dry'). Readings without climate values have none.
+ * @param {{ temperature?: number, humidity?: number }} reading
+ * @param {{ minTemperature: number, minHumidity: number }} [limits]
+ * @returns {('cold'|'dry')[]}
+ */
+export const climateWarnings = (reading, limits = DEFAULT_CLIMATE_LIMITS) => [
+  ...(reading.temperature !== undefined && reading.temperature < limits.minTemperature ? ['cold'] : []),
+  ...(reading.humidity !== undefined && reading.humidity < limits.minHumidity ? ['dry'] : [])
+];
@@ -0,0 +1,55 @@
+// Things that happened during a session – a window tilted or opened fully,
+// a door opened for a cross-draft, people leaving, a fan switched on – so
+// the curve can be read, and analysed, in phases.
+
+import { isTimestamp, byTimestamp, minutesSinceStart } from './measurements';
+
+export const EVENT_TYPES = {
+  window: 'Window',
+  door: 'Door',
+  people: 'People',
+  fan: 'Fan',
+  other: 'Other'
+};
+
+// Returns an error message, or null when the event can be added
+export const validateEvent = (timestamp, type) => {
+  if (!isTimestamp(timestamp)) return 'Please enter a valid date and time';
+  if (!Object.hasOwn(EVENT_TYPES, type)) return 'Please choose what happened';
+  return null;
+};
+
+export const sortEvents = (events) => [...events].sort(byTimestamp);
+
+// Events with their minutes from the session's first reading, on the same
+// axis as the readings. Without readings there is nothing to place them on.
+export const placeEvents = (measuredData, events) =>
+  measuredData.length === 0
+    ? []
+    : events.map(event => ({ ...event, minutes: minutesSinceStart(measuredData, event.timestamp) }));
+
+// Splits the readings at each event. A phase runs until the next event and
+// also includes the last reading before it starts, the level the change
+// started from. Events before the first reading replace the opening phase.
+export const splitIntoPhases = (measuredData, events) => {
+  if (measuredData.length === 0) return [];
+
+  const placed = placeEvents(measuredData, events);
+  const lastMinutes = measuredData[measuredData.length - 1].minutes;
+  const starts = [
+    ...(placed.length > 0 && placed[0].minutes <= 0 ? [] : [{ event: null, from: 0 }]),
+    ...placed.map(event => ({ event, from: event.minutes }))
+  ];
+
+  return starts.map(({ event, from }, index) => {
+    const to = index + 1 < starts.length ? starts[index + 1].from : Math.max(from, lastMinutes);
+    const first = Math.max(measuredData.findLastIndex(point => point.minutes <= from), 0);
+    const end = index + 1 < starts.length ? measuredData.findIndex(point => point.minutes >= to) : -1;
+    return {
+      event,
+      from,
+      to,
+      measuredPoints: measuredData.slice(first, end === -1 ? measuredData.length : end)
+    };
+  });
+};
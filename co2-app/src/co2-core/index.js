@@ -0,0 +1,398 @@
+// co2-core: framework-free logic behind the CO2 Ventilation Monitor.
+// Nothing in here touches React, the DOM or storage, so it can be reused
+// (e.g. by a CLI or a sensor bridge) and unit-tested on its own.
+
+import {
+  validateReading,
+  normalizeReadings,
+  checkReadingTime as checkTime,
+  minutesSinceStart,
+  formatTime as formatClockTime
+} from './measurements';
+import { findOutliers as outliersOf } from './outliers';
+import { projectToTarget, projectBuildUp as buildUpProjection } from './projection';
+import { validateClimate, climateFields } from './climate';
+import { validateEvent, sortEvents, placeEvents as placeOnReadings, splitIntoPhases as phasesOf } from './events';
+import { timeInZones as zoneMinutes, averageRate as averageRateOf, ventilationMetrics as metricsOf } from './analytics';
+
+export { DEFAULT_THRESHOLDS, THRESHOLD_PRESETS, validateThresholds, validateTarget, classify } from './thresholds';
+export { DEFAULT_CLIMATE_LIMITS, validateClimate, climateWarnings } from './climate';
+export { EVENT_TYPES, validateEvent } from './events';
+export { PROJECTION_MODELS, TREND_WINDOWS, selectTrendWindow, fitLine, fitExponentialDecay, sampleCurve } from './projection';
+export { VENTILATION_PRESETS, validateSimulation, simulateVentilation } from './simulation';
+export {
+  PLAUSIBLE_CO2,
+  validateReading,
+  validateCO2,
+  validateDateTime,
+  combineDateTime,
+  readTimestamp,
+  isTimestamp,
+  toTimestamp,
+  toClockTime,
+  readClockTime,
+  toDateString,
+  dateOf,
+  clockTimeOf,
+  spansSeveralDays,
+  upgradeClockReadings
+} from './measurements';
+
+/**
+ * A measured reading.
+ * @typedef {Object} Reading
+ * @property {string} timestamp  ISO 8601 date and time with the UTC offset it
+ *   was taken in, e.g. "2025-07-26T14:32:00+02:00"
+ * @property {number} minutes  Minutes since the session's first reading
+ * @property {number} co2      CO2 concentration in ppm
+ * @property {number} [temperature]  Room temperature in °C, when recorded
+ * @property {number} [humidity]     Relative humidity in %, when recorded
+ * @property {boolean} [excluded]  Left out of projections and the decay fit,
+ *   e.g. an outlier the user doesn't trust, but still shown and kept
+ * @property {'measured'} type
+ */
+
+/**
+ * Optional values recorded with a reading; blank ones are left out.
+ * @typedef {Object} Climate
+ * @property {number|string|null} [temperature]  °C
+ * @property {number|string|null} [humidity]     % relative humidity
+ */
+
+/**
+ * Something that happened during the session, e.g. a window opened fully
+ * or people leaving the room.
+ * @typedef {Object} SessionEvent
+ * @property {string} timestamp  ISO 8601 date and time with offset, see {@link Reading}
+ * @property {'window'|'door'|'people'|'fan'|'other'} type  See EVENT_TYPES
+ * @property {string} note  Free text, e.g. "tilted window → fully open"; may be empty
+ */
+
+/**
+ * A ventilation session: readings in chronological order. Sessions may
+ * run overnight or over several days.
+ * @typedef {Object} Session
+ * @property {Reading[]} measuredPoints
+ * @property {SessionEvent[]} [events]  In chronological order
+ */
+
+/**
+ * The part of a session between one event and the next.
+ * @typedef {Object} Phase
+ * @property {(SessionEvent & { minutes: number })|null} event  The event it
+ *   starts with; null for the part before the first event
+ * @property {number} from  Minutes into the session it starts at
+ * @property {number} to    Minutes into the session it ends at
+ * @property {Reading[]} measuredPoints  Its readings, starting with the last
+ *   one before the event
+ */
+
+/**
+ * @typedef {Object} ProjectionOptions
+ * @property {'linear'|'exponential'} model
+ * @property {number} target       ppm level to project to
+ * @property {number} outdoorCO2   Outdoor baseline the exponential model decays toward
+ * @property {{ mode: 'all'|'readings'|'minutes', size: number }} window
+ *   Readings the trend is fitted to: all of them, the last `size` readings,
+ *   or those from the last `size` minutes
+ */
+
+/**
+ * The fit behind a projected line, small enough to keep for every
+ * reading; sampleCurve(curve) gives its points again.
+ * @typedef {Object} ProjectionCurve
+ * @property {'linear'|'exponential'} model
+ * @property {number} from  Minutes into the session of the reading it starts at
+ * @property {number} co2  Level of that reading in ppm
+ * @property {number} [slope]  Linear: change in ppm per minute
+ * @property {number} [k]  Exponential: decay constant per minute
+ * @property {number} [outdoorCO2]  Exponential: level it decays toward
+ * @property {number} minutes  Minutes from its start to its end
+ * @property {number} level  Level at its end in ppm
+ */
+
+/**
+ * @typedef {Object} Projection
+ * @property {ProjectionCurve} curve  The fitted line, for storing it
+ * @property {{ minutes: number, co2: number, type: 'projected' }[]} points
+ *   Projected line from the latest reading to the target
+ * @property {{ minutes: number, band: [number, number] }[]} band
+ *   95% uncertainty band around the line
+ * @property {number} minutesToTarget  Best estimate of the minutes until the target is reached
+ * @property {[number, number|null]} minutesRange
+ *   Fastest and slowest estimate; the upper end is null when the target may never be reached
+ * @property {number} ratePerHour  Current rate of change in ppm per hour (negative while decreasing)
+ */
+
+/**
+ * How effectively a session's ventilation removed CO2, assuming a
+ * well-mixed room.
+ * @typedef {Object} VentilationMetrics
+ * @property {number} decayConstant  k of C(t) = C_out + (C0 - C_out)·e^(-kt), per hour
+ * @property {number} decayConstantMargin  Half-width of its 95% confidence interval
+ * @property {number} halfLifeMinutes  Minutes for the excess over outdoor air to halve
+ * @property {number} airChangesPerHour  Equivalent air changes per hour (ACH), equal to k per hour
+ * @property {number|null} airflow  Outdoor air supplied in m³/h; null without a room volume
+ */
+
+/**
+ * When a rising CO2 level will cross into a zone.
+ * @typedef {Object} ZoneCrossing
+ * @property {'concerning'|'poor'} zone
+ * @property {number} level  Zone boundary in ppm
+ * @property {number} minutes  Best estimate of the minutes until it is crossed
+ * @property {[number, number|null]} minutesRange
+ *   Fastest and slowest estimate; the upper end is null when it may never be crossed
+ */
+
+/**
+ * @typedef {Object} BuildUpProjection
+ * @property {ProjectionCurve|null} curve  The fitted line; null when no
+ *   boundary is ahead
+ * @property {{ minutes: number, co2: number, type: 'projected' }[]} points
+ *   Projected line from the latest reading up to the last boundary crossed
+ * @property {{ minutes: number, band: [number, number] }[]} band
+ * @property {ZoneCrossing[]} crossings  Boundaries still ahead, nearest first;
+ *   empty once the room is already Poor
+ * @property {number} ratePerHour  Rate of increase in ppm per hour
+ */
+
+const assertValidReading = (timestamp, co2, climate) => {
+  const error = validateReading(timestamp, co2) || validateClimate(climate);
+  if (error) throw new Error(error);
+};
+
+const withReadings = (session, readings) => ({ ...session, measuredPoints: normalizeReadings(readings) });
+
+// The readings trends are fitted to
+const includedReadings = (session) => session.measuredPoints.filter(point => !point.excluded);
+
+/**
+ * Starts an empty session.
+ * @returns {Session}
+ */
+export const createSession = () => ({ measuredPoints: [], events: [] });
+
+/**
+ * Returns a copy of the session with the reading added at its
+ * chronological position, so a forgotten earlier reading can be added
+ * later. Elapsed minutes are counted from the earliest reading.
+ * @param {Session} session
+ * @param {string} timestamp  ISO 8601 timestamp with offset, see {@link Reading}
+ * @param {number|string} co2  CO2 level in ppm
+ * @param {Climate} [climate]  Temperature and humidity, if measured
+ * @returns {Session}
+ * @throws {Error} When the timestamp, CO2 or climate value is invalid
+ */
+export const addReading = (session, timestamp, co2, climate) => {
+  assertValidReading(timestamp, co2, climate);
+  return withReadings(session, [...session.measuredPoints, { timestamp, co2, ...climateFields(climate) }]);
+};
+
+/**
+ * Starts a session from many readings at once, e.g. from an imported
+ * file: they are sorted a single time rather than on every addReading.
+ * Only each reading's timestamp, CO2 level, climate values and excluded
+ * flag are taken over; elapsed minutes are recomputed, never trusted.
+ * @param {{ timestamp: string, co2: number|string, temperature?: number, humidity?: number, excluded?: boolean }[]} readings
+ * @returns {Session}
+ * @throws {Error} When a timestamp, CO2 or climate value is invalid
+ */
+export const sessionFromReadings = (readings) => {
+  const copied = readings.map(({ timestamp, co2, temperature, humidity, excluded }) => {
+    assertValidReading(timestamp, co2, { temperature, humidity });
+    return { timestamp, co2, ...climateFields({ temperature, humidity }), ...(excluded === true && { excluded }) };
+  });
+  return withReadings(createSession(), copied);
+};
+
+/**
+ * Returns a copy of the session with one reading's timestamp and CO2 level
+ * changed. Readings are re-sorted and elapsed minutes recomputed, so this
+ * also works when the first reading (the time origin) changes.
+ * @param {Session} session
+ * @param {number} index  Position of the reading in `measuredPoints`
+ * @param {string} timestamp  ISO 8601 timestamp with offset
+ * @param {number|string} co2  CO2 level in ppm
+ * @param {Climate} [climate]  Replaces the reading's temperature and
+ *   humidity; omit it to keep them
+ * @returns {Session}
+ * @throws {Error} When the timestamp, CO2 or climate value is invalid
+ */
+export const updateReading = (session, index, timestamp, co2, climate) => {
+  assertValidReading(timestamp, co2, climate);
+  const update = (point) => {
+    if (climate === undefined) return { ...point, timestamp, co2 };
+    const { temperature: _temperature, humidity: _humidity, ...rest } = point;
+    return { ...rest, timestamp, co2, ...climateFields(climate) };
+  };
+  return withReadings(session, session.measuredPoints.map((point, i) => (i === index ? update(point) : point)));
+};
+
+/**
+ * Returns a copy of the session without the reading at `index`.
+ * @param {Session} session
+ * @param {number} index
+ * @returns {Session}
+ */
+export const removeReading = (session, index) =>
+  withReadings(session, session.measuredPoints.filter((_, i) => i !== index));
+
+/**
+ * Returns a copy of the session with the reading at `index` left out of
+ * (or, with `excluded` false, taken back into) projections and the decay
+ * fit. The reading itself is kept.
+ * @param {Session} session
+ * @param {number} index
+ * @param {boolean} [excluded]
+ * @returns {Session}
+ */
+export const excludeReading = (session, index, excluded = true) => ({
+  ...session,
+  measuredPoints: session.measuredPoints.map((point, i) => {
+    if (i !== index) return point;
+    const { excluded: _excluded, ...reading } = point;
+    return excluded ? { ...reading, excluded: true } : reading;
+  })
+});
+
+/**
+ * Checks a reading's time against the session before it is added or
+ * edited: a second reading in the same minute gives a zero-minute step,
+ * and one before the latest reading is often a mistyped time.
+ * @param {Session} session
+ * @param {string} timestamp  ISO 8601 timestamp with offset
+ * @param {number} [ignoreIndex]  Position of the reading being edited, if any
+ * @returns {'duplicate'|'earlier'|null} 'duplicate' when it is less than a
+ *   minute from another reading, 'earlier' when it comes before the latest one
+ */
+export const checkReadingTime = (session, timestamp, ignoreIndex) =>
+  checkTime(session.measuredPoints, timestamp, ignoreIndex);
+
+/**
+ * Readings that stand out from the curve around them. Each reading is
+ * compared with the line between its neighbours, relative to how far the
+ * session's other readings are from theirs (a modified z-score above 3.5,
+ * and never less than 100 ppm off). The first and last readings aren't
+ * checked, nor sessions with fewer than five readings.
+ * @param {Session} session
+ * @returns {number[]} Positions of the flagged readings in `measuredPoints`
+ */
+export const findOutliers = (session) => outliersOf(session.measuredPoints);
+
+/**
+ * Returns a copy of the session with the event added at its chronological
+ * position. Events may lie before, between or after the readings.
+ * @param {Session} session
+ * @param {string} timestamp  ISO 8601 timestamp with offset
+ * @param {SessionEvent['type']} type
+ * @param {string} [note]
+ * @returns {Session}
+ * @throws {Error} When the timestamp or type is invalid
+ */
+export const addEvent = (session, timestamp, type, note = '') => {
+  const error = validateEvent(timestamp, type);
+  if (error) throw new Error(error);
+  return { ...session, events: sortEvents([...(session.events ?? []), { timestamp, type, note: note.trim() }]) };
+};
+
+/**
+ * Returns a copy of the session without the event at `index`.
+ * @param {Session} session
+ * @param {number} index  Position of the event in `events`
+ * @returns {Session}
+ */
+export const removeEvent = (session, index) =>
+  ({ ...session, events: (session.events ?? []).filter((_, i) => i !== index) });
+
+/**
+ * The session's events with their minutes since the first reading, for
+ * drawing them on the same axis as the readings. Events before the first
+ * reading get negative minutes.
+ * @param {Session} session
+ * @returns {(SessionEvent & { minutes: number })[]} Empty for a session without readings
+ */
+export const placeEvents = (session) => placeOnReadings(session.measuredPoints, session.events ?? []);
+
+/**
+ * Splits the session at its events, e.g. to compare the ventilation while
+ * a window was tilted with the time after it was opened fully.
+ * @param {Session} session
+ * @returns {Phase[]} A single phase without events; empty without readings
+ */
+export const splitIntoPhases = (session) => phasesOf(session.measuredPoints, session.events ?? []);
+
+/**
+ * Projects the session's CO2 level forward to the target. Excluded
+ * readings are left out.
+ * @param {Session} session
+ * @param {ProjectionOptions} options
+ * @returns {Projection|null} null when there are fewer than two readings,
+ *   CO2 isn't decreasing, or the latest reading is already at or below the target
+ */
+export const project = (session, options) => projectToTarget(includedReadings(session), options);
+
+/**
+ * Projects a rising CO2 level upward to the Concerning and Poor zones, to
+ * tell an occupied room when to start ventilating. Always uses a linear
+ * trend over the trend window, without excluded readings.
+ * @param {Session} session
+ * @param {Object} options
+ * @param {{ ideal: number, good: number, concerning: number }} options.thresholds  Zone boundaries in ppm
+ * @param {ProjectionOptions['window']} options.window  Readings the trend is fitted to
+ * @returns {BuildUpProjection|null} null when there are fewer than two
+ *   readings or CO2 isn't rising
+ */
+export const projectBuildUp = (session, options) => buildUpProjection(includedReadings(session), options);
+
+/**
+ * Minutes from the session's first reading to `timestamp`, e.g. to place a
+ * simulation started at a reading on the readings' minutes axis.
+ * @param {Session} session
+ * @param {string} timestamp  ISO 8601 timestamp with offset
+ * @returns {number|null} Negative when it is earlier than the first
+ *   reading; null for a session without readings
+ */
+export const minutesIntoSession = (session, timestamp) => minutesSinceStart(session.measuredPoints, timestamp);
+
+/**
+ * Clock time ("HH:MM") of a point the given number of minutes into the
+ * session, on the first reading's clock. Points on a later day than the
+ * first reading are marked with the day count, e.g. "02:10 +1d".
+ * @param {Session} session
+ * @param {number} minutes
+ * @returns {string} Empty string for a session without readings
+ */
+export const formatTime = (session, minutes) => formatClockTime(session.measuredPoints, minutes);
+
+/**
+ * Minutes the session spent in each air-quality zone. The level is taken
+ * to change linearly between readings, so an interval crossing a boundary
+ * is split at the crossing.
+ * @param {Session} session
+ * @param {{ ideal: number, good: number, concerning: number }} thresholds  Zone boundaries in ppm
+ * @returns {{ ideal: number, good: number, concerning: number, poor: number }}
+ */
+export const timeInZones = (session, thresholds) => zoneMinutes(session.measuredPoints, thresholds);
+
+/**
+ * Average rate of change from the first to the last reading.
+ * @param {Session} session
+ * @returns {number|null} ppm per hour, negative while decreasing; null with
+ *   fewer than two readings or when they were all taken at the same time
+ */
+export const averageRate = (session) => averageRateOf(session.measuredPoints);
+
+/**
+ * Decay constant and equivalent air changes per hour of the session,
+ * fitted from its highest reading onward and leaving out excluded readings.
+ * Unlike a ppm/hr rate they don't depend on how high the level started, so
+ * sessions with different window setups can be compared.
+ * @param {Session} session
+ * @param {Object} options
+ * @param {number} options.outdoorCO2  Outdoor baseline in ppm
+ * @param {number|null} [options.volume]  Room volume in m³, for the airflow
+ * @returns {VentilationMetrics|null} null when there aren't two readings
+ *   above the outdoor level after the peak, or CO2 isn't decaying
+ */
+export const ventilationMetrics = (session, options) => metricsOf(includedReadings(session), options);
@@ -0,0 +1,607 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSession,
+  addReading,
+  sessionFromReadings,
+  updateReading,
+  removeReading,
+  excludeReading,
+  checkReadingTime,
+  findOutliers,
+  project,
+  projectBuildUp,
+  classify,
+  formatTime,
+  selectTrendWindow,
+  fitLine,
+  validateThresholds,
+  validateTarget,
+  THRESHOLD_PRESETS,
+  readTimestamp,
+  isTimestamp,
+  readClockTime,
+  spansSeveralDays,
+  upgradeClockReadings,
+  timeInZones,
+  averageRate,
+  ventilationMetrics,
+  validateClimate,
+  climateWarnings,
+  addEvent,
+  removeEvent,
+  placeEvents,
+  splitIntoPhases,
+  minutesIntoSession,
+  simulateVentilation,
+  validateSimulation,
+  sampleCurve
+} from './index';
+
+const LINEAR = { model: 'linear', target: 550, outdoorCO2: 420, window: { mode: 'all', size: 5 } };
+const EXPONENTIAL = { ...LINEAR, model: 'exponential' };
+
+// Readings in a room on UTC+2, on 26 July unless a later day is given
+const at = (time, day = '2025-07-26') => `${day}T${time}:00+02:00`;
+const NEXT_DAY = '2025-07-27';
+
+const sessionWith = (...readings) =>
+  readings.reduce((session, [time, co2, day]) => addReading(session, at(time, day), co2), createSession());
+
+describe('createSession / addReading', () => {
+  it('starts empty', () => {
+    expect(createSession()).toEqual({ measuredPoints: [], events: [] });
+  });
+
+  it('counts elapsed minutes from the first reading', () => {
+    const session = sessionWith(['14:00', 1200], ['14:05', 1000], ['14:20', 800]);
+    expect(session.measuredPoints.map(p => p.minutes)).toEqual([0, 5, 20]);
+    expect(session.measuredPoints[1]).toEqual({ timestamp: at('14:05'), minutes: 5, co2: 1000, type: 'measured' });
+  });
+
+  it('does not modify the session it was given', () => {
+    const session = createSession();
+    addReading(session, at('14:00'), 1200);
+    expect(session.measuredPoints).toHaveLength(0);
+  });
+
+  it('handles a session crossing midnight', () => {
+    const session = sessionWith(['23:50', 1200], ['23:58', 1000], ['00:10', 800, NEXT_DAY]);
+    expect(session.measuredPoints.map(p => p.minutes)).toEqual([0, 8, 20]);
+  });
+
+  it('handles sessions longer than a day', () => {
+    const session = sessionWith(['22:00', 1400], ['06:00', 1800, NEXT_DAY], ['23:00', 900, NEXT_DAY]);
+    expect(session.measuredPoints.map(p => p.minutes)).toEqual([0, 480, 1500]);
+  });
+
+  it('counts elapsed time between the instants of readings in different offsets', () => {
+    // 03:30 summer time is 02:30 winter time on the night the clocks change
+    const session = addReading(
+      addReading(createSession(), '2025-10-26T01:30:00+02:00', 1200),
+      '2025-10-26T02:30:00+01:00',
+      1000
+    );
+    expect(session.measuredPoints[1].minutes).toBe(120);
+  });
+
+  it('places a reading earlier than the first one at the start', () => {
+    const session = sessionWith(['14:10', 900], ['14:00', 1200]);
+    expect(session.measuredPoints.map(p => [p.co2, p.minutes])).toEqual([[1200, 0], [900, 10]]);
+  });
+
+  it('gives duplicate timestamps the same elapsed minutes', () => {
+    const session = sessionWith(['14:00', 1200], ['14:05', 1000], ['14:05', 990]);
+    expect(session.measuredPoints.map(p => p.minutes)).toEqual([0, 5, 5]);
+  });
+
+  it('rejects malformed timestamps and non-numeric CO2 values', () => {
+    expect(() => addReading(createSession(), '14:00', 1000)).toThrow('date and time');
+    expect(() => addReading(createSession(), '2025-07-26T24:00:00+02:00', 1000)).toThrow('date and time');
+    expect(() => addReading(createSession(), '2025-02-30T14:00:00+01:00', 1000)).toThrow('date and time');
+    expect(() => addReading(createSession(), at('14:00'), 'abc')).toThrow('number');
+    expect(() => addReading(createSession(), at('14:00'), '950abc')).toThrow('number');
+  });
+
+  it('rejects implausible CO2 levels', () => {
+    expect(() => addReading(createSession(), at('14:00'), 0)).toThrow('between 300 and 10000');
+    expect(() => addReading(createSession(), at('14:00'), 50000)).toThrow('between 300 and 10000');
+    expect(sessionWith(['14:00', 300], ['14:05', 10000]).measuredPoints).toHaveLength(2);
+  });
+
+  it('stores the CO2 level it validated, rounded to whole ppm', () => {
+    const session = sessionWith(['14:00', '1e3'], ['14:05', '950.9'], ['14:10', 800.2]);
+    expect(session.measuredPoints.map(p => p.co2)).toEqual([1000, 951, 800]);
+    expect(() => addReading(createSession(), at('14:00'), '1e5')).toThrow('between 300 and 10000');
+  });
+
+  it('builds a session from many readings, recomputing what was stored with them', () => {
+    const session = sessionFromReadings([
+      { timestamp: at('14:10'), co2: '900', minutes: 'soon', type: 'projected', extra: true },
+      { timestamp: at('14:00'), co2: 1200, temperature: '21.5', humidity: '', excluded: true }
+    ]);
+    expect(session).toEqual({
+      measuredPoints: [
+        { timestamp: at('14:00'), co2: 1200, temperature: 21.5, excluded: true, minutes: 0, type: 'measured' },
+        { timestamp: at('14:10'), co2: 900, minutes: 10, type: 'measured' }
+      ],
+      events: []
+    });
+    expect(() => sessionFromReadings([{ timestamp: at('14:00'), co2: 1200, humidity: 140 }])).toThrow('humidity');
+  });
+});
+
+describe('checkReadingTime / findOutliers / excludeReading', () => {
+  const steady = () => sessionWith(['14:00', 1200], ['14:05', 1100], ['14:10', 1000], ['14:15', 900], ['14:20', 800], ['14:25', 700]);
+
+  it('detects a second reading in the same minute and one before the latest', () => {
+    const session = steady();
+    expect(checkReadingTime(session, at('14:30'))).toBeNull();
+    expect(checkReadingTime(session, at('14:25'))).toBe('duplicate');
+    expect(checkReadingTime(session, '2025-07-26T14:24:30+02:00')).toBe('duplicate');
+    expect(checkReadingTime(session, at('14:12'))).toBe('earlier');
+    expect(checkReadingTime(createSession(), at('14:00'))).toBeNull();
+  });
+
+  it('leaves out the reading being edited', () => {
+    expect(checkReadingTime(steady(), at('14:25'), 5)).toBeNull();
+    expect(checkReadingTime(steady(), at('14:20'), 5)).toBe('duplicate');
+  });
+
+  it('flags a spike but not its neighbours or ordinary noise', () => {
+    const spiked = updateReading(steady(), 2, at('14:10'), 1800);
+    expect(findOutliers(spiked)).toEqual([2]);
+    const noisy = sessionWith(['14:00', 1200], ['14:05', 1130], ['14:10', 990], ['14:15', 920], ['14:20', 780], ['14:25', 720]);
+    expect(findOutliers(noisy)).toEqual([]);
+    expect(findOutliers(sessionWith(['14:00', 1200], ['14:05', 1900], ['14:10', 1000]))).toEqual([]);
+  });
+
+  it('leaves an excluded reading out of the projection but keeps it', () => {
+    const spiked = updateReading(steady(), 4, at('14:20'), 1800);
+    const excluded = excludeReading(spiked, 4);
+    expect(excluded.measuredPoints[4]).toMatchObject({ co2: 1800, excluded: true });
+    expect(project(excluded, LINEAR).ratePerHour).toBeCloseTo(project(steady(), LINEAR).ratePerHour);
+    expect(project(spiked, LINEAR).ratePerHour).not.toBeCloseTo(project(steady(), LINEAR).ratePerHour);
+    expect(excludeReading(excluded, 4, false).measuredPoints[4]).not.toHaveProperty('excluded');
+  });
+});
+
+describe('project', () => {
+  it('needs at least two readings', () => {
+    expect(project(sessionWith(['14:00', 1200]), LINEAR)).toBeNull();
+    expect(project(sessionWith(['14:00', 1200]), EXPONENTIAL)).toBeNull();
+  });
+
+  it('draws a linear projection from the latest reading to the target', () => {
+    const projection = project(sessionWith(['14:00', 1000], ['14:10', 800]), LINEAR);
+    expect(projection.minutesToTarget).toBe(13);
+    expect(projection.ratePerHour).toBe(-1200);
+    expect(projection.points).toEqual([
+      { minutes: 10, co2: 800, type: 'projected' },
+      { minutes: 23, co2: 550, type: 'projected' }
+    ]);
+    // Two readings leave no room for uncertainty
+    expect(projection.minutesRange).toEqual([13, 13]);
+  });
+
+  it('recovers the decay constant of an exact exponential decay', () => {
+    const decay = (t) => Math.round(420 + 900 * Math.exp(-0.08 * t));
+    const session = sessionWith(['14:00', decay(0)], ['14:05', decay(5)], ['14:10', decay(10)], ['14:15', decay(15)]);
+    const projection = project(session, EXPONENTIAL);
+
+    // ln(900·e^(-1.2) / 130) / 0.08 ≈ 9.2 minutes after the last reading
+    expect(projection.minutesToTarget).toBe(9);
+    expect(projection.points[0]).toEqual({ minutes: 15, co2: decay(15), type: 'projected' });
+    expect(projection.points.at(-1)).toEqual({ minutes: 24, co2: 550, type: 'projected' });
+    expect(projection.points.length).toBeGreaterThan(2);
+  });
+
+  it('brackets the best estimate with the uncertainty range', () => {
+    const session = sessionWith(['14:00', 1200], ['14:05', 1050], ['14:10', 960], ['14:15', 780], ['14:20', 700]);
+    const { minutesToTarget, minutesRange, band } = project(session, LINEAR);
+    expect(minutesRange[0]).toBeLessThanOrEqual(minutesToTarget);
+    expect(minutesRange[1]).toBeGreaterThanOrEqual(minutesToTarget);
+    band.forEach(({ band: [low, high] }) => expect(low).toBeLessThanOrEqual(high));
+  });
+
+  it('does not project while CO2 is rising', () => {
+    const session = sessionWith(['14:00', 800], ['14:10', 950]);
+    expect(project(session, LINEAR)).toBeNull();
+    expect(project(session, EXPONENTIAL)).toBeNull();
+  });
+
+  it('does not project when the first reading is already under the target', () => {
+    const session = sessionWith(['14:00', 530], ['14:10', 480]);
+    expect(project(session, LINEAR)).toBeNull();
+    expect(project(session, EXPONENTIAL)).toBeNull();
+  });
+
+  it('does not project from two readings with the same timestamp', () => {
+    const session = sessionWith(['14:05', 1000], ['14:05', 900]);
+    expect(project(session, LINEAR)).toBeNull();
+    expect(project(session, EXPONENTIAL)).toBeNull();
+  });
+
+  it('projects across midnight using elapsed minutes', () => {
+    const projection = project(sessionWith(['23:55', 1000], ['00:05', 800, NEXT_DAY]), LINEAR);
+    expect(projection.points.at(-1).minutes).toBe(23);
+  });
+
+  it('cannot reach a target at or below the outdoor level with the exponential model', () => {
+    const session = sessionWith(['14:00', 1000], ['14:10', 800]);
+    expect(project(session, { ...EXPONENTIAL, target: 400 })).toBeNull();
+  });
+
+  it('describes its line by a fit that samples to the same points', () => {
+    const decay = (t) => Math.round(420 + 900 * Math.exp(-0.08 * t));
+    const session = sessionWith(['14:00', decay(0)], ['14:05', decay(5)], ['14:10', decay(10)], ['14:15', decay(15)]);
+    [LINEAR, EXPONENTIAL].forEach(options => {
+      const { curve, points } = project(session, options);
+      expect(curve.model).toBe(options.model);
+      expect(JSON.parse(JSON.stringify(curve))).toEqual(curve);
+      expect(sampleCurve(curve)).toEqual(points);
+    });
+    const buildUp = projectBuildUp(sessionWith(['09:00', 600], ['09:10', 700]), {
+      thresholds: { ideal: 550, good: 800, concerning: 1000 },
+      window: { mode: 'all', size: 5 }
+    });
+    expect(sampleCurve(buildUp.curve)).toEqual(buildUp.points);
+  });
+});
+
+describe('projectBuildUp', () => {
+  const BUILD_UP = { thresholds: { ideal: 550, good: 800, concerning: 1000 }, window: { mode: 'all', size: 5 } };
+
+  it('projects a rising level to the Concerning and Poor boundaries', () => {
+    const projection = projectBuildUp(sessionWith(['09:00', 600], ['09:10', 700]), BUILD_UP);
+    expect(projection.ratePerHour).toBe(600);
+    expect(projection.crossings).toEqual([
+      { zone: 'concerning', level: 800, minutes: 10, minutesRange: [10, 10] },
+      { zone: 'poor', level: 1000, minutes: 30, minutesRange: [30, 30] }
+    ]);
+    expect(projection.points).toEqual([
+      { minutes: 10, co2: 700, type: 'projected' },
+      { minutes: 40, co2: 1000, type: 'projected' }
+    ]);
+  });
+
+  it('leaves out zones that have already been reached', () => {
+    const projection = projectBuildUp(sessionWith(['09:00', 850], ['09:10', 950]), BUILD_UP);
+    expect(projection.crossings.map(c => c.zone)).toEqual(['poor']);
+  });
+
+  it('has nothing left to cross once the room is Poor', () => {
+    const projection = projectBuildUp(sessionWith(['09:00', 1000], ['09:10', 1100]), BUILD_UP);
+    expect(projection.crossings).toEqual([]);
+    expect(projection.points).toEqual([]);
+  });
+
+  it('only applies while CO2 is rising', () => {
+    expect(projectBuildUp(sessionWith(['09:00', 900], ['09:10', 800]), BUILD_UP)).toBeNull();
+    expect(projectBuildUp(sessionWith(['09:00', 900]), BUILD_UP)).toBeNull();
+  });
+});
+
+describe('selectTrendWindow', () => {
+  const { measuredPoints } = sessionWith(['14:00', 1200], ['14:05', 1000], ['14:10', 900], ['14:30', 700]);
+
+  it('keeps the last N readings', () => {
+    expect(selectTrendWindow(measuredPoints, { mode: 'readings', size: 2 }).map(p => p.co2)).toEqual([900, 700]);
+  });
+
+  it('keeps readings from the last M minutes, but never fewer than two', () => {
+    expect(selectTrendWindow(measuredPoints, { mode: 'minutes', size: 25 }).map(p => p.co2)).toEqual([1000, 900, 700]);
+    expect(selectTrendWindow(measuredPoints, { mode: 'minutes', size: 5 }).map(p => p.co2)).toEqual([900, 700]);
+  });
+});
+
+describe('fitLine', () => {
+  it('fits an exact line with no uncertainty', () => {
+    expect(fitLine([0, 1, 2], [10, 8, 6])).toEqual({ slope: -2, intercept: 10, slopeMargin: 0 });
+  });
+
+  it('returns null when all x values are equal', () => {
+    expect(fitLine([3, 3], [10, 8])).toBeNull();
+  });
+});
+
+describe('classify', () => {
+  it('uses the default boundaries inclusively', () => {
+    expect(classify(550)).toBe('ideal');
+    expect(classify(551)).toBe('good');
+    expect(classify(800)).toBe('good');
+    expect(classify(1000)).toBe('concerning');
+    expect(classify(1001)).toBe('poor');
+  });
+
+  it('follows custom thresholds', () => {
+    const bedroom = { ideal: 700, good: 900, concerning: 1200 };
+    expect(classify(650, bedroom)).toBe('ideal');
+    expect(classify(1100, bedroom)).toBe('concerning');
+  });
+});
+
+describe('threshold presets', () => {
+  it('all produce valid, increasing boundaries', () => {
+    Object.values(THRESHOLD_PRESETS).forEach(preset => {
+      expect(validateThresholds(preset.build(420).thresholds)).toBeNull();
+    });
+  });
+
+  it('expresses ASHRAE-style zones as offsets above outdoor air', () => {
+    expect(THRESHOLD_PRESETS.ashrae.build(400)).toEqual({
+      thresholds: { ideal: 700, good: 900, concerning: 1100 },
+      targetCO2: 700
+    });
+  });
+
+  it('rejects boundaries out of order', () => {
+    expect(validateThresholds({ ideal: 800, good: 700, concerning: 1000 })).not.toBeNull();
+  });
+
+  it('accepts only targets above outdoor air', () => {
+    Object.values(THRESHOLD_PRESETS).forEach(preset => {
+      expect(validateTarget(preset.build(420).targetCO2, 420)).toBeNull();
+    });
+    expect(validateTarget(55, 420)).toBe('The target must be a CO2 level above outdoor air');
+    expect(validateTarget(420, 420)).not.toBeNull();
+    expect(validateTarget(NaN, 420)).not.toBeNull();
+  });
+});
+
+describe('formatTime', () => {
+  it('returns an empty string for an empty session', () => {
+    expect(formatTime(createSession(), 10)).toBe('');
+  });
+
+  it('adds elapsed minutes to the first reading and marks later days', () => {
+    const session = sessionWith(['23:50', 1200]);
+    expect(formatTime(session, 5)).toBe('23:55');
+    expect(formatTime(session, 25)).toBe('00:15 +1d');
+    expect(formatTime(session, 2 * 24 * 60)).toBe('23:50 +2d');
+  });
+});
+
+describe('updateReading / removeReading', () => {
+  const session = sessionWith(['14:00', 1200], ['14:05', 1000], ['14:10', 900], ['14:20', 700]);
+
+  it('changes a reading in place', () => {
+    const updated = updateReading(session, 2, at('14:12'), 880);
+    expect(updated.measuredPoints.map(p => [p.minutes, p.co2])).toEqual([[0, 1200], [5, 1000], [12, 880], [20, 700]]);
+  });
+
+  it('keeps readings in chronological order when a time moves past its neighbours', () => {
+    const updated = updateReading(session, 1, at('14:15'), 800);
+    expect(updated.measuredPoints.map(p => p.timestamp)).toEqual([at('14:00'), at('14:10'), at('14:15'), at('14:20')]);
+  });
+
+  it('recomputes elapsed minutes when the first reading changes', () => {
+    const updated = updateReading(session, 0, at('13:50'), 1300);
+    expect(updated.measuredPoints.map(p => p.minutes)).toEqual([0, 15, 20, 30]);
+
+    const later = updateReading(session, 0, at('14:08'), 1200);
+    expect(later.measuredPoints.map(p => [p.timestamp, p.minutes])).toEqual([
+      [at('14:05'), 0], [at('14:08'), 3], [at('14:10'), 5], [at('14:20'), 15]
+    ]);
+  });
+
+  it('inserts a forgotten reading at its chronological position', () => {
+    const updated = addReading(session, at('14:15'), 800);
+    expect(updated.measuredPoints.map(p => p.co2)).toEqual([1200, 1000, 900, 800, 700]);
+    expect(updated.measuredPoints[3].minutes).toBe(15);
+  });
+
+  it('removes a reading, including the time origin', () => {
+    expect(removeReading(session, 2).measuredPoints.map(p => p.co2)).toEqual([1200, 1000, 700]);
+    expect(removeReading(session, 0).measuredPoints.map(p => p.minutes)).toEqual([0, 5, 15]);
+  });
+
+  it('keeps a session that crosses midnight in order', () => {
+    const overnight = sessionWith(['23:50', 1200], ['00:10', 900, NEXT_DAY]);
+    const updated = addReading(overnight, at('23:58'), 1050);
+    expect(updated.measuredPoints.map(p => [p.co2, p.minutes])).toEqual([[1200, 0], [1050, 8], [900, 20]]);
+  });
+
+  it('validates edited values like new readings', () => {
+    expect(() => updateReading(session, 0, '2025-07-26T25:00:00+02:00', 1000)).toThrow('date and time');
+    expect(() => updateReading(session, 0, at('14:15'), '')).toThrow('number');
+  });
+});
+
+describe('timeInZones / averageRate', () => {
+  const thresholds = { ideal: 550, good: 800, concerning: 1000 };
+
+  it('splits an interval at the zone boundaries it crosses', () => {
+    const session = sessionWith(['14:00', 1200], ['14:40', 400]);
+    expect(timeInZones(session, thresholds)).toEqual({ ideal: 7.5, good: 12.5, concerning: 10, poor: 10 });
+  });
+
+  it('counts a steady level in its own zone, across midnight too', () => {
+    const session = sessionWith(['23:50', 900], ['00:10', 900, NEXT_DAY], ['00:20', 700, NEXT_DAY]);
+    const zones = timeInZones(session, thresholds);
+    expect(zones.concerning).toBeCloseTo(20 + 5);
+    expect(zones.good).toBeCloseTo(5);
+    expect(zones.ideal + zones.poor).toBe(0);
+  });
+
+  it('averages the rate from the first to the last reading', () => {
+    expect(averageRate(sessionWith(['14:00', 1200], ['14:10', 1100], ['14:30', 900]))).toBe(-600);
+    expect(averageRate(sessionWith(['14:00', 1200]))).toBeNull();
+    expect(timeInZones(createSession(), thresholds)).toEqual({ ideal: 0, good: 0, concerning: 0, poor: 0 });
+  });
+});
+
+describe('ventilationMetrics', () => {
+  // Excess over 400 ppm halving every 10 minutes: k = ln 2 / 10 per minute
+  const decaying = (...times) => sessionWith(
+    ...times.map((time, index) => [time, Math.round(400 + 800 * 0.5 ** index)])
+  );
+
+  it('fits the decay constant and the equivalent air changes per hour', () => {
+    const metrics = ventilationMetrics(decaying('14:00', '14:10', '14:20', '14:30'), { outdoorCO2: 400, volume: 50 });
+    expect(metrics.decayConstant).toBeCloseTo(Math.log(2) * 6, 2);
+    expect(metrics.airChangesPerHour).toBe(metrics.decayConstant);
+    expect(metrics.halfLifeMinutes).toBeCloseTo(10, 1);
+    expect(metrics.airflow).toBeCloseTo(metrics.decayConstant * 50);
+  });
+
+  it('leaves out the build-up before the peak', () => {
+    const session = addReading(decaying('14:00', '14:10', '14:20'), at('13:30'), 800);
+    expect(ventilationMetrics(session, { outdoorCO2: 400 }).halfLifeMinutes).toBeCloseTo(10, 1);
+    expect(ventilationMetrics(session, { outdoorCO2: 400 }).airflow).toBeNull();
+  });
+
+  it('returns null when CO2 is not decaying', () => {
+    expect(ventilationMetrics(sessionWith(['14:00', 800], ['14:10', 900]), { outdoorCO2: 400 })).toBeNull();
+    expect(ventilationMetrics(sessionWith(['14:00', 800]), { outdoorCO2: 400 })).toBeNull();
+  });
+});
+
+describe('temperature and humidity', () => {
+  it('stores the values given with a reading and leaves blank ones out', () => {
+    const session = addReading(createSession(), at('14:00'), 1200, { temperature: '21.5', humidity: '' });
+    expect(session.measuredPoints[0]).toMatchObject({ co2: 1200, temperature: 21.5 });
+    expect(session.measuredPoints[0]).not.toHaveProperty('humidity');
+    expect(addReading(createSession(), at('14:00'), 1200).measuredPoints[0]).not.toHaveProperty('temperature');
+  });
+
+  it('keeps the values on edits unless new ones are given', () => {
+    const session = addReading(createSession(), at('14:00'), 1200, { temperature: 21, humidity: 45 });
+    expect(updateReading(session, 0, at('14:01'), 1150).measuredPoints[0]).toMatchObject({ temperature: 21, humidity: 45 });
+
+    const edited = updateReading(session, 0, at('14:01'), 1150, { temperature: 20, humidity: null });
+    expect(edited.measuredPoints[0].temperature).toBe(20);
+    expect(edited.measuredPoints[0]).not.toHaveProperty('humidity');
+  });
+
+  it('rejects implausible values', () => {
+    expect(validateClimate({ temperature: 'warm' })).toMatch('temperature');
+    expect(validateClimate({ humidity: 120 })).toMatch('humidity');
+    expect(validateClimate({ temperature: -5, humidity: 0 })).toBeNull();
+    expect(() => addReading(createSession(), at('14:00'), 1200, { humidity: -1 })).toThrow('humidity');
+  });
+
+  it('warns when the room gets too cold or too dry', () => {
+    const limits = { minTemperature: 18, minHumidity: 30 };
+    expect(climateWarnings({ co2: 800, temperature: 16.5, humidity: 25 }, limits)).toEqual(['cold', 'dry']);
+    expect(climateWarnings({ co2: 800, temperature: 18, humidity: 30 }, limits)).toEqual([]);
+    expect(climateWarnings({ co2: 800 }, limits)).toEqual([]);
+  });
+});
+
+describe('events', () => {
+  const tiltedThenOpen = () => {
+    const session = sessionWith(['14:00', 1600], ['14:10', 1500], ['14:20', 1400], ['14:30', 1000], ['14:40', 800]);
+    return addEvent(addEvent(session, at('14:25'), 'window', '  tilted → fully open '), at('14:05'), 'window', 'tilted');
+  };
+
+  it('keeps events in chronological order with a trimmed note', () => {
+    const { events } = tiltedThenOpen();
+    expect(events.map(event => event.note)).toEqual(['tilted', 'tilted → fully open']);
+    expect(removeEvent(tiltedThenOpen(), 0).events.map(event => event.note)).toEqual(['tilted → fully open']);
+  });
+
+  it('rejects an unknown type or an invalid time', () => {
+    expect(() => addEvent(createSession(), at('14:00'), 'party')).toThrow('what happened');
+    expect(() => addEvent(createSession(), '14:00', 'door')).toThrow('date and time');
+  });
+
+  it('places events on the minutes axis of the readings', () => {
+    const session = addEvent(tiltedThenOpen(), at('13:55'), 'people', '3 people entered');
+    expect(placeEvents(session).map(event => event.minutes)).toEqual([-5, 5, 25]);
+    expect(placeEvents(addEvent(createSession(), at('14:00'), 'fan'))).toEqual([]);
+  });
+
+  it('splits the curve into phases starting from the last reading before each event', () => {
+    const phases = splitIntoPhases(tiltedThenOpen());
+    expect(phases.map(({ event, from, to }) => [event?.note ?? null, from, to])).toEqual([
+      [null, 0, 5],
+      ['tilted', 5, 25],
+      ['tilted → fully open', 25, 40]
+    ]);
+    expect(phases.map(phase => phase.measuredPoints.map(point => point.co2))).toEqual([
+      [1600],
+      [1600, 1500, 1400],
+      [1400, 1000, 800]
+    ]);
+  });
+
+  it('has a single phase without events', () => {
+    expect(splitIntoPhases(sessionWith(['14:00', 1200], ['14:10', 1000]))).toMatchObject([{ event: null, from: 0, to: 10 }]);
+    expect(splitIntoPhases(createSession())).toEqual([]);
+  });
+});
+
+describe('timestamps', () => {
+  it('reads meter timestamps with and without a date or offset', () => {
+    expect(readTimestamp('2025-07-26T14:32:10+02:00', '2025-01-01')).toBe('2025-07-26T14:32:10+02:00');
+    expect(readTimestamp('2025-07-26 14:32:10Z', '2025-01-01')).toBe('2025-07-26T14:32:10+00:00');
+    expect(isTimestamp(readTimestamp('2025/7/26 14:32', '2025-01-01'))).toBe(true);
+    expect(readTimestamp('9:05', '2025-07-26').slice(0, 16)).toBe('2025-07-26T09:05');
+    expect(readTimestamp('soon', '2025-07-26')).toBeNull();
+    expect(readTimestamp('25:00', '2025-07-26')).toBeNull();
+  });
+
+  it('reads clock times typed on a 24-hour or a 12-hour clock', () => {
+    expect(readClockTime('14:32')).toBe('14:32');
+    expect(readClockTime('932')).toBe('09:32');
+    expect(readClockTime('2:32 pm')).toBe('14:32');
+    expect(readClockTime('2:32PM')).toBe('14:32');
+    expect(readClockTime('2 p.m.')).toBe('14:00');
+    expect(readClockTime('12:05 am')).toBe('00:05');
+    expect(readClockTime('12:05 pm')).toBe('12:05');
+    expect(readClockTime('13:00 pm')).toBeNull();
+    expect(readClockTime('24:00')).toBeNull();
+    expect(readClockTime('14')).toBeNull();
+  });
+
+  it('tells whether a session spans several days', () => {
+    expect(spansSeveralDays(sessionWith(['08:00', 900], ['23:59', 800]).measuredPoints)).toBe(false);
+    expect(spansSeveralDays(sessionWith(['23:50', 900], ['00:10', 800, NEXT_DAY]).measuredPoints)).toBe(true);
+  });
+
+  it('upgrades clock-only readings saved by earlier versions', () => {
+    const legacy = [
+      { time: '23:50', minutes: 0, co2: 1200, type: 'measured' },
+      { time: '00:10', minutes: 20, co2: 900, type: 'measured' }
+    ];
+    const upgraded = upgradeClockReadings(legacy, '2025-07-26');
+    expect(upgraded.map(p => p.timestamp.slice(0, 16))).toEqual(['2025-07-26T23:50', '2025-07-27T00:10']);
+    expect(upgraded[1]).not.toHaveProperty('time');
+    expect(upgradeClockReadings(upgraded, '2025-01-01')).toBe(upgraded);
+  });
+});
+
+describe('simulateVentilation', () => {
+  const THRESHOLDS = { ideal: 550, good: 800, concerning: 1000 };
+  // Excess over 400 ppm halving every 10 minutes
+  const HALVING = Math.log(2) * 6;
+
+  it('decays toward the outdoor level and times each boundary below the start', () => {
+    const simulation = simulateVentilation({ startCO2: 1200, outdoorCO2: 400, airChangesPerHour: HALVING, thresholds: THRESHOLDS, target: 600 });
+    expect(simulation.halfLifeMinutes).toBeCloseTo(10);
+    expect(simulation.crossings.map(crossing => [crossing.zone, crossing.level])).toEqual([['concerning', 1000], ['good', 800], ['ideal', 550]]);
+    expect(simulation.crossings[1].minutes).toBeCloseTo(10);
+    expect(simulation.minutesToTarget).toBeCloseTo(20);
+    expect(simulation.points[0]).toEqual({ minutes: 0, co2: 1200, type: 'simulated' });
+    expect(simulation.points.at(-1).co2).toBe(550);
+  });
+
+  it('cannot reach a level at or below the outdoor air', () => {
+    const simulation = simulateVentilation({ startCO2: 900, outdoorCO2: 600, airChangesPerHour: 6, thresholds: THRESHOLDS, target: 550 });
+    expect(simulation.crossings).toEqual([{ zone: 'good', level: 800, minutes: expect.any(Number) }, { zone: 'ideal', level: 550, minutes: null }]);
+    expect(simulation.minutesToTarget).toBeNull();
+  });
+
+  it('validates the inputs', () => {
+    expect(validateSimulation({ startCO2: 1200, outdoorCO2: 420, airChangesPerHour: 6 })).toBeNull();
+    expect(validateSimulation({ startCO2: 50, outdoorCO2: 420, airChangesPerHour: 6 })).toContain('between');
+    expect(validateSimulation({ startCO2: 1200, outdoorCO2: 1300, airChangesPerHour: 6 })).toContain('below the current level');
+    expect(validateSimulation({ startCO2: 1200, outdoorCO2: 420, airChangesPerHour: 0 })).toContain('air changes');
+  });
+
+  it('places a simulation started at a reading on the session axis', () => {
+    const session = sessionWith(['14:00', 1200], ['14:20', 900]);
+    expect(minutesIntoSession(session, at('14:20'))).toBe(20);
+    expect(minutesIntoSession(createSession(), at('14:20'))).toBeNull();
+  });
+});
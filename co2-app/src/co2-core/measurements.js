@@ -0,0 +1,222 @@
+// Validation and elapsed-time bookkeeping for measured readings.
+// Readings carry an ISO 8601 timestamp with the UTC offset they were taken
+// in, e.g. "2025-07-26T14:32:00+02:00": elapsed minutes come from the
+// absolute instant, while displayed clock times stay those of the room.
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})([+-])(\d{2}):(\d{2})$/;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// What a room can plausibly read: outdoor air is around 420 ppm, and
+// common NDIR meters stop at 10000
+export const PLAUSIBLE_CO2 = { min: 300, max: 10000 };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Rejects dates such as Feb 30, which Date would silently roll over
+const isCalendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const formatOffset = (offsetMinutes) => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+// Splits a timestamp into the milliseconds of its wall-clock time (read as
+// if it were UTC) and its UTC offset in minutes
+const wallClockOf = (timestamp) => {
+  const [, year, month, day, hours, minutes, seconds, sign, offsetHours, offsetMinutes] =
+    timestamp.match(TIMESTAMP_PATTERN);
+  const offset = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes));
+  return { wallClock: Date.UTC(year, month - 1, day, hours, minutes, seconds), offset };
+};
+
+const fromWallClock = (wallClock, offset) => {
+  const date = new Date(wallClock);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}${formatOffset(offset)}`;
+};
+
+// Milliseconds since the epoch of a timestamp
+const instantOf = (timestamp) => {
+  const { wallClock, offset } = wallClockOf(timestamp);
+  return wallClock - offset * MINUTE;
+};
+
+export const isTimestamp = (value) => {
+  const match = String(value).match(TIMESTAMP_PATTERN);
+  if (!match) return false;
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return isCalendarDate(year, month, day) && hours < 24 && minutes < 60 && seconds < 60;
+};
+
+// Timestamp of a Date in the browser's timezone
+export const toTimestamp = (date) => {
+  const offset = -date.getTimezoneOffset();
+  return fromWallClock(date.getTime() + offset * MINUTE, offset);
+};
+
+// "HH:MM" in local time
+export const toClockTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// "YYYY-MM-DD" in local time, the value format of <input type="date">
+export const toDateString = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Returns an error message, or null when the date and clock time can be combined
+export const validateDateTime = (date, time) => {
+  const match = String(date).match(DATE_PATTERN);
+  if (!match || !isCalendarDate(...match.slice(1).map(Number))) return 'Please pick a date';
+  if (!TIME_PATTERN.test(time)) return 'Please enter time in HH:MM format';
+  return null;
+};
+
+// Timestamp for a "YYYY-MM-DD" date and "HH:MM" clock time in the browser's
+// timezone, using the offset in effect on that date
+export const combineDateTime = (date, time) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return toTimestamp(new Date(year, month - 1, day, hours, minutes));
+};
+
+// CO2 level in whole ppm as validated and stored: "950.6" is 951 and
+// "1e3" is 1000. NaN when it isn't a number, e.g. "950abc" or "".
+const readCO2 = (co2) =>
+  typeof co2 === 'string' && co2.trim() === '' ? NaN : Math.round(Number(co2));
+
+// Returns an error message, or null when the CO2 level is a plausible
+// reading
+export const validateCO2 = (co2) => {
+  const value = readCO2(co2);
+  if (Number.isNaN(value)) return 'Please enter the CO2 level as a number';
+  if (value < PLAUSIBLE_CO2.min || value > PLAUSIBLE_CO2.max) {
+    return `Please enter a CO2 level between ${PLAUSIBLE_CO2.min} and ${PLAUSIBLE_CO2.max} ppm`;
+  }
+  return null;
+};
+
+// Returns an error message, or null when the reading can be added
+export const validateReading = (timestamp, co2) => {
+  if (!isTimestamp(timestamp)) return 'Please enter a valid date and time';
+  return validateCO2(co2);
+};
+
+// Reads a clock time typed on a 24-hour clock ("14:32", "1432") or a
+// 12-hour one ("2:32 pm", "2:32PM", "2 p.m.") and returns it as "HH:MM",
+// or null when it isn't a time
+export const readClockTime = (value) => {
+  const match = String(value).trim().match(/^(\d{1,2})(?::?(\d{2}))?\s*(?:([ap])\.?\s*m?\.?)?$/i);
+  if (!match) return null;
+
+  const [, hoursText, minutes, meridiem] = match;
+  let hours = Number(hoursText);
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = hours % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+  } else if (minutes === undefined) {
+    return null;
+  }
+  const time = `${pad(hours)}:${minutes ?? '00'}`;
+  return TIME_PATTERN.test(time) ? time : null;
+};
+
+// "YYYY-MM-DD" and "HH:MM" as shown on the room's clock
+export const dateOf = (timestamp) => timestamp.slice(0, 10);
+export const clockTimeOf = (timestamp) => timestamp.slice(11, 16);
+
+// Reads the timestamp formats handheld meters write, e.g. "14:32",
+// "14:32:10", "2025-07-26 14:32:10" or "2025-07-26T14:32:10+02:00".
+// Values without a date are taken to be on `fallbackDate`; values without
+// an offset are in the browser's timezone. Returns null when no time is found.
+export const readTimestamp = (value, fallbackDate) => {
+  const text = String(value).trim();
+  const match = text.match(
+    /^(?:(\d{4})[-/](\d{1,2})[-/](\d{1,2})[T\s]+)?(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds = '00', zone] = match;
+  const date = year ? `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` : fallbackDate;
+  const time = `${hours.padStart(2, '0')}:${minutes}`;
+  if (validateDateTime(date, time)) return null;
+  if (!zone) return combineDateTime(date, time);
+
+  const offset = zone === 'Z' ? '+00:00' : `${zone.slice(0, 3)}:${zone.slice(-2)}`;
+  const timestamp = `${date}T${time}:${seconds}${offset}`;
+  return isTimestamp(timestamp) ? timestamp : null;
+};
+
+// Sort comparator for anything with a timestamp, earliest first
+export const byTimestamp = (a, b) => instantOf(a.timestamp) - instantOf(b.timestamp);
+
+// 'duplicate' when a reading at `timestamp` would be less than a minute
+// from another one, 'earlier' when it would come before the latest one,
+// otherwise null. The reading at `ignoreIndex` (one being edited) is left out.
+export const checkReadingTime = (measuredPoints, timestamp, ignoreIndex = -1) => {
+  const others = measuredPoints.filter((_, index) => index !== ignoreIndex);
+  if (others.length === 0) return null;
+
+  const instant = instantOf(timestamp);
+  if (others.some(point => Math.abs(instantOf(point.timestamp) - instant) < MINUTE)) return 'duplicate';
+  return instant < instantOf(others[others.length - 1].timestamp) ? 'earlier' : null;
+};
+
+// Minutes from the first reading to `timestamp`, negative when it is
+// earlier; null for a session without readings
+export const minutesSinceStart = (measuredPoints, timestamp) =>
+  measuredPoints.length === 0
+    ? null
+    : Math.round((instantOf(timestamp) - instantOf(measuredPoints[0].timestamp)) / MINUTE);
+
+// Puts readings in chronological order and recomputes their elapsed
+// minutes from the earliest one
+export const normalizeReadings = (readings) => {
+  if (readings.length === 0) return [];
+
+  const sorted = [...readings].sort(byTimestamp);
+  const origin = instantOf(sorted[0].timestamp);
+
+  return sorted.map(reading => ({
+    ...reading,
+    minutes: Math.round((instantOf(reading.timestamp) - origin) / MINUTE),
+    co2: readCO2(reading.co2),
+    type: 'measured'
+  }));
+};
+
+// Clock time of a point `minutes` after the first reading, on the first
+// reading's clock. Later days are marked, e.g. "02:10 +1d".
+export const formatTime = (measuredPoints, minutes) => {
+  if (measuredPoints.length === 0) return '';
+
+  const { wallClock } = wallClockOf(measuredPoints[0].timestamp);
+  const target = wallClock + Math.round(minutes) * MINUTE;
+  const days = Math.floor(target / DAY) - Math.floor(wallClock / DAY);
+  const date = new Date(target);
+  const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+
+  return days > 0 ? `${time} +${days}d` : time;
+};
+
+// Whether the readings start and end on different calendar days
+export const spansSeveralDays = (measuredPoints) =>
+  measuredPoints.length > 0 && dateOf(measuredPoints[0].timestamp) !== dateOf(measuredPoints[measuredPoints.length - 1].timestamp);
+
+// Sessions saved before readings carried timestamps only stored "HH:MM" and
+// elapsed minutes. They're placed on `date`, with later readings following
+// on from the first by their elapsed minutes.
+export const upgradeClockReadings = (measuredPoints, date) => {
+  if (measuredPoints.length === 0 || measuredPoints.every(point => point.timestamp)) return measuredPoints;
+
+  const first = measuredPoints[0];
+  const { wallClock, offset } = wallClockOf(combineDateTime(date, first.time));
+  return measuredPoints.map(point => {
+    const { time: _time, ...reading } = point;
+    return { ...reading, timestamp: fromWallClock(wallClock + (point.minutes - first.minutes) * MINUTE, offset) };
+  });
+};
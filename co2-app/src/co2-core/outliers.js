@@ -0,0 +1,55 @@
+// Readings that don't fit the curve around them – a meter breathed on, or
+// a typo such as 1800 for 800. Each reading is compared with the straight
+// line between its neighbours; one is flagged when it is far off compared
+// with how far the other readings are from theirs.
+
+// Fewer readings don't say what is normal for the session
+const MIN_READINGS = 5;
+// Modified z-score above which a reading counts as an outlier
+const Z_LIMIT = 3.5;
+// Ordinary meter noise is within ±50 ppm, so smaller deviations are never
+// flagged, however smooth the rest of the curve is
+const MIN_DEVIATION_PPM = 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// How far each reading is from the line between the readings before and
+// after it; the first and last readings have only one neighbour
+const deviations = (measuredData) =>
+  measuredData.slice(1, -1).map((point, index) => {
+    const previous = measuredData[index];
+    const next = measuredData[index + 2];
+    const span = next.minutes - previous.minutes;
+    const expected = span === 0
+      ? (previous.co2 + next.co2) / 2
+      : previous.co2 + (next.co2 - previous.co2) * (point.minutes - previous.minutes) / span;
+    return point.co2 - expected;
+  });
+
+// Indices of the flagged readings. A spike also pulls its neighbours' lines
+// off, so only the reading furthest off locally is a candidate, and what is
+// normal for the session is judged without the candidates and their
+// neighbours.
+export const findOutliers = (measuredData) => {
+  if (measuredData.length < MIN_READINGS) return [];
+
+  const residuals = deviations(measuredData);
+  const size = (index) => Math.abs(residuals[index] ?? 0);
+  const candidates = residuals
+    .map((_, index) => index)
+    .filter(index => size(index) > MIN_DEVIATION_PPM && size(index) > size(index - 1) && size(index) > size(index + 1));
+  if (candidates.length === 0) return [];
+
+  const normal = residuals.filter((_, index) => candidates.every(candidate => Math.abs(candidate - index) > 1));
+  const center = normal.length > 0 ? median(normal) : 0;
+  const spread = normal.length > 0 ? median(normal.map(residual => Math.abs(residual - center))) : 0;
+  const limit = Math.max(MIN_DEVIATION_PPM, (Z_LIMIT * spread) / 0.6745);
+
+  return candidates
+    .filter(index => Math.abs(residuals[index] - center) > limit)
+    .map(index => index + 1);
+};
@@ -0,0 +1,269 @@
+// Projection models for estimating when CO2 will reach the target level.
+//
+// linear:      least-squares straight line through the readings in the trend window
+// exponential: C(t) = C_out + (C0 - C_out)·e^(-kt), with k fitted to the
+//              readings in the trend window
+//
+// Both curves are anchored at the latest reading. The 95% confidence
+// interval of the fitted slope gives the uncertainty band and the range
+// for the time to target.
+//
+// While CO2 is rising (an occupied room) the build-up projection runs the
+// other way: a least-squares line projected upward to the Concerning and
+// Poor zone boundaries.
+
+export const PROJECTION_MODELS = {
+  linear: 'Linear trend',
+  exponential: 'Exponential decay'
+};
+
+export const TREND_WINDOWS = {
+  all: 'All readings',
+  readings: 'Last N readings',
+  minutes: 'Last M minutes'
+};
+
+// Upper bound on the number of points drawn for a projected curve
+const MAX_CURVE_POINTS = 60;
+
+// Two-sided 95% critical values of Student's t for 1–10 degrees of freedom
+const T_CRITICAL_95 = [12.71, 4.30, 3.18, 2.78, 2.57, 2.45, 2.36, 2.31, 2.26, 2.23];
+
+const tCritical = (degreesOfFreedom) => {
+  if (degreesOfFreedom <= 10) return T_CRITICAL_95[degreesOfFreedom - 1];
+  if (degreesOfFreedom <= 20) return 2.09;
+  if (degreesOfFreedom <= 30) return 2.04;
+  return 1.96;
+};
+
+// Readings the trend is fitted to. Always ends at the latest reading and
+// falls back to the last two readings when a minute window holds fewer.
+export const selectTrendWindow = (measuredData, { mode, size }) => {
+  if (mode === 'readings') {
+    return measuredData.slice(-Math.max(2, size));
+  }
+  if (mode === 'minutes') {
+    const latestMinutes = measuredData[measuredData.length - 1].minutes;
+    const inWindow = measuredData.filter(p => p.minutes >= latestMinutes - size);
+    return inWindow.length >= 2 ? inWindow : measuredData.slice(-2);
+  }
+  return measuredData;
+};
+
+// Ordinary least squares y = intercept + slope·x. `slopeMargin` is the
+// half-width of the slope's 95% confidence interval (0 with only two points).
+export const fitLine = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return null;
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+  });
+  if (varianceX === 0) return null;
+
+  const slope = covariance / varianceX;
+  const intercept = meanY - slope * meanX;
+
+  let slopeMargin = 0;
+  if (n > 2) {
+    const residualSum = xs.reduce((sum, x, i) => sum + (ys[i] - intercept - slope * x) ** 2, 0);
+    const slopeStdError = Math.sqrt(residualSum / (n - 2) / varianceX);
+    slopeMargin = tCritical(n - 2) * slopeStdError;
+  }
+
+  return { slope, intercept, slopeMargin };
+};
+
+// Least-squares fit of ln(C - C_out) = ln(C0 - C_out) - k·t.
+// Readings at or below the outdoor level carry no decay information and are skipped.
+export const fitExponentialDecay = (measuredData, outdoorCO2) => {
+  const usable = measuredData.filter(p => p.co2 > outdoorCO2);
+  const fit = fitLine(
+    usable.map(p => p.minutes),
+    usable.map(p => Math.log(p.co2 - outdoorCO2))
+  );
+  if (!fit) return null;
+
+  return { k: -fit.slope, kMargin: fit.slopeMargin, c0: outdoorCO2 + Math.exp(fit.intercept) };
+};
+
+// A projected line is described by its fit alone, so it can be stored
+// compactly and sampled again when it is drawn:
+// { model, from, co2, minutes, level } plus `slope` (ppm per minute) for a
+// straight line or `k` and `outdoorCO2` for a decay curve. It starts at
+// the reading at `from` minutes with `co2` ppm and ends `minutes` later at
+// `level`.
+
+// Level on the curve `t` minutes after the reading it starts from
+const levelOnCurve = (curve, t) =>
+  curve.model === 'exponential'
+    ? curve.outdoorCO2 + (curve.co2 - curve.outdoorCO2) * Math.exp(-curve.k * t)
+    : curve.co2 + curve.slope * t;
+
+// Minutes after the start at which a curve is sampled. Straight lines only
+// need their end points.
+const curveOffsets = (curve) => {
+  const step = curve.model === 'exponential' ? Math.max(1, Math.ceil(curve.minutes / MAX_CURVE_POINTS)) : curve.minutes;
+  const offsets = [];
+  for (let t = 0; t < curve.minutes; t += step) offsets.push(t);
+  offsets.push(curve.minutes);
+  return offsets;
+};
+
+// The points drawn for a projected line; the last one is exactly at its level
+export const sampleCurve = (curve) => {
+  const offsets = curveOffsets(curve);
+  return offsets.map((t, i) => ({
+    minutes: curve.from + t,
+    co2: i === offsets.length - 1 ? curve.level : Math.round(levelOnCurve(curve, t)),
+    type: 'projected'
+  }));
+};
+
+// The points of a curve with the uncertainty band between `lowerAt(t)` and
+// `upperAt(t)`, sampled at the same minutes
+const sampleProjection = (curve, { lowerAt, upperAt }) => ({
+  curve,
+  points: sampleCurve(curve),
+  band: curveOffsets(curve).map(t => ({
+    minutes: curve.from + t,
+    band: [Math.round(lowerAt(t)), Math.round(upperAt(t))]
+  }))
+});
+
+const linearProjection = (windowData, target) => {
+  const fit = fitLine(windowData.map(p => p.minutes), windowData.map(p => p.co2));
+
+  // Only project if CO2 is decreasing
+  if (!fit || fit.slope >= 0) return null;
+
+  const currentPoint = windowData[windowData.length - 1];
+  const distance = target - currentPoint.co2;
+  const minutesToTarget = Math.round(distance / fit.slope);
+  if (minutesToTarget <= 0) return null;
+
+  const steepSlope = fit.slope - fit.slopeMargin;
+  const shallowSlope = fit.slope + fit.slopeMargin;
+
+  return {
+    minutesToTarget,
+    // A shallow bound that isn't decreasing means the target may never be reached
+    minutesRange: [
+      Math.round(distance / steepSlope),
+      shallowSlope < 0 ? Math.round(distance / shallowSlope) : null
+    ],
+    ratePerHour: fit.slope * 60,
+    ...sampleProjection(
+      { model: 'linear', from: currentPoint.minutes, co2: currentPoint.co2, slope: fit.slope, minutes: minutesToTarget, level: target },
+      {
+        lowerAt: t => Math.max(0, currentPoint.co2 + steepSlope * t),
+        upperAt: t => currentPoint.co2 + shallowSlope * t
+      }
+    )
+  };
+};
+
+const exponentialProjection = (windowData, target, outdoorCO2) => {
+  // The curve can only approach the outdoor level, never cross it
+  if (target <= outdoorCO2) return null;
+
+  const fit = fitExponentialDecay(windowData, outdoorCO2);
+  if (!fit || fit.k <= 0) return null;
+
+  const currentPoint = windowData[windowData.length - 1];
+  if (currentPoint.co2 <= target) return null;
+
+  const excess = currentPoint.co2 - outdoorCO2;
+  const logRatio = Math.log(excess / (target - outdoorCO2));
+  const minutesToTarget = Math.round(logRatio / fit.k);
+  if (minutesToTarget <= 0) return null;
+
+  const fastK = fit.k + fit.kMargin;
+  const slowK = fit.k - fit.kMargin;
+
+  return {
+    minutesToTarget,
+    minutesRange: [
+      Math.round(logRatio / fastK),
+      slowK > 0 ? Math.round(logRatio / slowK) : null
+    ],
+    // Slope of the curve at the latest reading
+    ratePerHour: -fit.k * excess * 60,
+    ...sampleProjection(
+      { model: 'exponential', from: currentPoint.minutes, co2: currentPoint.co2, outdoorCO2, k: fit.k, minutes: minutesToTarget, level: target },
+      {
+        lowerAt: t => outdoorCO2 + excess * Math.exp(-fastK * t),
+        upperAt: t => outdoorCO2 + excess * Math.exp(-slowK * t)
+      }
+    )
+  };
+};
+
+// Returns { curve, points, band, minutesToTarget, minutesRange, ratePerHour } or
+// null when no projection is possible (too few readings, CO2 not
+// decreasing, target reached). The upper end of minutesRange is null when
+// the target may never be reached within the confidence interval.
+export const projectToTarget = (measuredData, { model, target, outdoorCO2, window }) => {
+  if (measuredData.length < 2) return null;
+
+  const windowData = selectTrendWindow(measuredData, window);
+  return model === 'exponential'
+    ? exponentialProjection(windowData, target, outdoorCO2)
+    : linearProjection(windowData, target);
+};
+
+// Minutes until each zone boundary above the latest reading is crossed,
+// with the 95% range. Zones already reached are left out.
+const BUILD_UP_ZONES = [['concerning', 'good'], ['poor', 'concerning']];
+
+// Returns { curve, points, band, crossings, ratePerHour } or null when
+// there are too few readings or CO2 isn't rising. `crossings` is empty (and
+// there is no line to draw, so `curve` is null) once the room is already Poor.
+export const projectBuildUp = (measuredData, { thresholds, window }) => {
+  if (measuredData.length < 2) return null;
+
+  const windowData = selectTrendWindow(measuredData, window);
+  const fit = fitLine(windowData.map(p => p.minutes), windowData.map(p => p.co2));
+  if (!fit || fit.slope <= 0) return null;
+
+  const currentPoint = windowData[windowData.length - 1];
+  const steepSlope = fit.slope + fit.slopeMargin;
+  const shallowSlope = fit.slope - fit.slopeMargin;
+
+  const crossings = BUILD_UP_ZONES
+    .map(([zone, boundary]) => ({ zone, level: thresholds[boundary] }))
+    .filter(({ level }) => level > currentPoint.co2)
+    .map(({ zone, level }) => {
+      const distance = level - currentPoint.co2;
+      return {
+        zone,
+        level,
+        minutes: Math.max(1, Math.round(distance / fit.slope)),
+        minutesRange: [
+          Math.max(1, Math.round(distance / steepSlope)),
+          shallowSlope > 0 ? Math.max(1, Math.round(distance / shallowSlope)) : null
+        ]
+      };
+    });
+
+  const last = crossings[crossings.length - 1];
+  return {
+    crossings,
+    ratePerHour: fit.slope * 60,
+    ...(last
+      ? sampleProjection(
+        { model: 'linear', from: currentPoint.minutes, co2: currentPoint.co2, slope: fit.slope, minutes: last.minutes, level: last.level },
+        {
+          lowerAt: t => currentPoint.co2 + shallowSlope * t,
+          upperAt: t => currentPoint.co2 + steepSlope * t
+        }
+      )
+      : { curve: null, points: [], band: [] })
+  };
+};
@@ -0,0 +1,97 @@
+// What-if simulation of a ventilation that hasn't happened yet: the same
+// well-mixed room model as the exponential projection and the ventilation
+// analytics, C(t) = C_out + (C0 - C_out)·e^(-ACH·t), run forward from the
+// current level with an assumed number of air changes per hour.
+
+import { validateCO2 } from './measurements';
+
+// Rough air changes per hour through one window of a typical room. Real
+// rooms vary a lot with window size, wind and the temperature difference,
+// so a measured ACH (see ventilationMetrics) is the better input once known.
+export const VENTILATION_PRESETS = {
+  tilted: { label: 'Tilted window', airChangesPerHour: 1 },
+  open: { label: 'Fully open window', airChangesPerHour: 6 },
+  crossDraft: { label: 'Cross-draft', airChangesPerHour: 15 }
+};
+
+const MAX_AIR_CHANGES_PER_HOUR = 100;
+// Upper bound on the number of points drawn for the simulated curve
+const MAX_CURVE_POINTS = 60;
+// Without a level to aim for, the curve runs until 95% of the excess over
+// outdoor air is gone
+const UNTARGETED_EXCESS_LEFT = 0.05;
+
+// Returns an error message, or null when the simulation can be run
+export const validateSimulation = ({ startCO2, outdoorCO2, airChangesPerHour }) => {
+  const co2Error = validateCO2(startCO2);
+  if (co2Error) return co2Error;
+  if (!(Number(outdoorCO2) > 0) || Number(outdoorCO2) >= Number(startCO2)) {
+    return 'Outdoor CO2 must be a positive number below the current level';
+  }
+  if (!(Number(airChangesPerHour) > 0 && Number(airChangesPerHour) <= MAX_AIR_CHANGES_PER_HOUR)) {
+    return `Please enter the air changes per hour as a number above 0 and up to ${MAX_AIR_CHANGES_PER_HOUR}`;
+  }
+  return null;
+};
+
+/**
+ * When the simulated level falls into a zone.
+ * @typedef {Object} SimulatedCrossing
+ * @property {'concerning'|'good'|'ideal'} zone  The zone entered
+ * @property {number} level  Its upper boundary in ppm
+ * @property {number|null} minutes  Minutes until it is reached; null when
+ *   the boundary is at or below the outdoor level, so it never is
+ */
+
+/**
+ * @typedef {Object} Simulation
+ * @property {{ minutes: number, co2: number, type: 'simulated' }[]} points
+ *   Expected curve from the current level, minutes counted from its start
+ * @property {SimulatedCrossing[]} crossings  Boundaries below the current
+ *   level, highest first
+ * @property {number|null} minutesToTarget  0 when the level is already at
+ *   or below the target; null when the target is at or below the outdoor level
+ * @property {number} halfLifeMinutes  Minutes for the excess over outdoor air to halve
+ */
+
+/**
+ * Expected decay of the CO2 level under a ventilation setting, with the
+ * time until each zone boundary and the target are reached. Check the
+ * inputs with validateSimulation first.
+ * @param {Object} options
+ * @param {number} options.startCO2  Current level in ppm
+ * @param {number} options.outdoorCO2  Outdoor baseline in ppm
+ * @param {number} options.airChangesPerHour  Assumed ventilation, e.g. from VENTILATION_PRESETS
+ * @param {{ ideal: number, good: number, concerning: number }} options.thresholds  Zone boundaries in ppm
+ * @param {number} options.target  Level to aim for in ppm
+ * @returns {Simulation}
+ */
+export const simulateVentilation = ({ startCO2, outdoorCO2, airChangesPerHour, thresholds, target }) => {
+  const start = Number(startCO2);
+  const outdoor = Number(outdoorCO2);
+  const perMinute = Number(airChangesPerHour) / 60;
+  const excess = start - outdoor;
+
+  const levelAt = (minutes) => outdoor + excess * Math.exp(-perMinute * minutes);
+  const minutesTo = (level) => (level > outdoor ? Math.log(excess / (level - outdoor)) / perMinute : null);
+
+  const crossings = ['concerning', 'good', 'ideal']
+    .filter(zone => thresholds[zone] < start)
+    .map(zone => ({ zone, level: thresholds[zone], minutes: minutesTo(thresholds[zone]) }));
+  const minutesToTarget = target >= start ? 0 : minutesTo(target);
+
+  // The curve runs to the target, or past the last boundary it reaches
+  const reachable = [minutesToTarget, ...crossings.map(crossing => crossing.minutes)].filter(minutes => minutes > 0);
+  const end = reachable.length > 0 ? Math.max(...reachable) : -Math.log(UNTARGETED_EXCESS_LEFT) / perMinute;
+  const step = Math.max(1, Math.ceil(end / MAX_CURVE_POINTS));
+  const offsets = [];
+  for (let minutes = 0; minutes < end; minutes += step) offsets.push(minutes);
+  offsets.push(end);
+
+  return {
+    points: offsets.map(minutes => ({ minutes, co2: Math.round(levelAt(minutes)), type: 'simulated' })),
+    crossings,
+    minutesToTarget,
+    halfLifeMinutes: Math.log(2) / perMinute
+  };
+};
@@ -0,0 +1,67 @@
+// Air-quality zones and the guideline presets that define their boundaries.
+// Each boundary is the highest ppm value still inside that zone.
+
+export const DEFAULT_THRESHOLDS = { ideal: 550, good: 800, concerning: 1000 };
+
+const roundToTen = (ppm) => Math.round(ppm / 10) * 10;
+
+// `build` receives the outdoor CO2 level so presets can be expressed as
+// offsets above outdoor air
+export const THRESHOLD_PRESETS = {
+  buffer: {
+    label: 'Ventilation buffer (default)',
+    build: () => ({ thresholds: { ...DEFAULT_THRESHOLDS }, targetCO2: 550 })
+  },
+  pettenkofer: {
+    label: 'Pettenkofer (1000 ppm limit)',
+    build: () => ({ thresholds: { ideal: 700, good: 1000, concerning: 1400 }, targetCO2: 700 })
+  },
+  uba: {
+    label: 'German UBA classroom guidance',
+    build: () => ({ thresholds: { ideal: 800, good: 1000, concerning: 2000 }, targetCO2: 1000 })
+  },
+  ashrae: {
+    label: 'ASHRAE-style (outdoor + 700 ppm)',
+    build: (outdoorCO2) => ({
+      thresholds: {
+        ideal: roundToTen(outdoorCO2 + 300),
+        good: roundToTen(outdoorCO2 + 500),
+        concerning: roundToTen(outdoorCO2 + 700)
+      },
+      targetCO2: roundToTen(outdoorCO2 + 300)
+    })
+  }
+};
+
+// Returns an error message, or null when the boundaries are usable
+export const validateThresholds = ({ ideal, good, concerning }) => {
+  if (![ideal, good, concerning].every(value => Number.isFinite(value) && value > 0)) {
+    return 'Zone boundaries must be positive numbers';
+  }
+  if (!(ideal < good && good < concerning)) {
+    return 'Zone boundaries must increase from Ideal to Concerning';
+  }
+  return null;
+};
+
+// Returns an error message, or null when CO2 can fall to the target: it
+// has to lie above the outdoor level
+export const validateTarget = (targetCO2, outdoorCO2) => {
+  if (!Number.isFinite(targetCO2) || !(targetCO2 > outdoorCO2)) {
+    return 'The target must be a CO2 level above outdoor air';
+  }
+  return null;
+};
+
+/**
+ * Zone a CO2 level falls into.
+ * @param {number} co2  CO2 level in ppm
+ * @param {{ ideal: number, good: number, concerning: number }} [thresholds]
+ * @returns {'ideal'|'good'|'concerning'|'poor'}
+ */
+export const classify = (co2, thresholds = DEFAULT_THRESHOLDS) => {
+  if (co2 <= thresholds.ideal) return 'ideal';
+  if (co2 <= thresholds.good) return 'good';
+  if (co2 <= thresholds.concerning) return 'concerning';
+  return 'poor';
+};
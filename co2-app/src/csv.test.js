@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { detectDelimiter, parseCSV, toCSV } from './csv';
+
+describe('detectDelimiter', () => {
+  it('picks the delimiter that splits the first line into the most fields', () => {
+    expect(detectDelimiter('time,co2\n14:00,1200')).toBe(',');
+    expect(detectDelimiter('Zeit;CO2;Temperatur\n14:00;1200;21,5')).toBe(';');
+    expect(detectDelimiter('time\tco2\n14:00\t1200')).toBe('\t');
+  });
+
+  it('falls back to a comma for a single column', () => {
+    expect(detectDelimiter('co2\n1200')).toBe(',');
+  });
+});
+
+describe('parseCSV', () => {
+  it('splits rows and fields with any line ending and skips blank lines', () => {
+    expect(parseCSV('time,co2\r\n14:00,1200\n\n14:05,1100\r\n')).toEqual([
+      ['time', 'co2'],
+      ['14:00', '1200'],
+      ['14:05', '1100']
+    ]);
+  });
+
+  it('reads semicolon-separated exports with decimal commas', () => {
+    expect(parseCSV('Zeit;CO2;Temperatur\n14:00;1200;21,5')).toEqual([
+      ['Zeit', 'CO2', 'Temperatur'],
+      ['14:00', '1200', '21,5']
+    ]);
+  });
+
+  it('keeps delimiters, doubled quotes and line breaks inside quoted fields', () => {
+    expect(parseCSV('note,co2\n"window, fully open",900\n"said ""hi""",950\n"two\nlines",1000', ',')).toEqual([
+      ['note', 'co2'],
+      ['window, fully open', '900'],
+      ['said "hi"', '950'],
+      ['two\nlines', '1000']
+    ]);
+  });
+
+  it('keeps empty fields and a last line without a line break', () => {
+    expect(parseCSV('a,,c\n1,2,')).toEqual([['a', '', 'c'], ['1', '2', '']]);
+  });
+
+  it('reads back what toCSV writes', () => {
+    const rows = [['note', 'co2'], ['a, "quoted" note', '900'], ['line\nbreak', '']];
+    expect(parseCSV(toCSV(rows))).toEqual(rows);
+  });
+});
@@ -0,0 +1,77 @@
+// Display helpers shared by the monitor and the session history. They
+// follow the active language's locale, so they are created per language by
+// createI18n (see ./i18n) rather than imported directly.
+
+import { dateOf, clockTimeOf, formatTime as formatSessionTime } from './co2-core';
+
+// Newer browsers put a narrow no-break space before AM/PM, which the PDF
+// fonts don't have
+const plainSpaces = (text) => text.replace(/\u202f/g, ' ');
+
+// `t` looks up catalog messages; `hour12` is whether the locale's clock
+// runs from 1 to 12 with AM/PM
+export const createFormatters = ({ locale, hour12, t }) => {
+  const clockFormat = new Intl.DateTimeFormat(locale, { hour: hour12 ? 'numeric' : '2-digit', minute: '2-digit', hour12, timeZone: 'UTC' });
+  const dateFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC' });
+  const sessionDateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', hour12 });
+
+  // Fixed to `digits` decimals when given, e.g. "1.234,5" in German
+  const formatNumber = (value, digits) =>
+    Number(value).toLocaleString(locale, digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+  // "HH:MM" as the locale writes clock times, e.g. "2:32 PM"
+  const formatClock = (clockTime) => {
+    const [hours, minutes] = clockTime.split(':').map(Number);
+    return plainSpaces(clockFormat.format(Date.UTC(1970, 0, 1, hours, minutes)));
+  };
+
+  // "YYYY-MM-DD" as the locale writes dates
+  const formatDate = (date) => dateFormat.format(new Date(`${date}T00:00:00Z`));
+
+  // The clock time `minutes` after a session's first reading, with "+1d"
+  // once it runs into a later day
+  const formatTime = (session, minutes) => {
+    const [clockTime, days] = formatSessionTime(session, minutes).split(' +');
+    if (!clockTime) return '';
+    return days ? `${formatClock(clockTime)} ${t('time.laterDay', { days: parseInt(days, 10) })}` : formatClock(clockTime);
+  };
+
+  const formatDuration = (minutes) =>
+    minutes > 120 ? t('duration.hours', { hours: formatNumber(minutes / 60, 1) }) : t('duration.minutes', { minutes: formatNumber(minutes) });
+
+  const formatSessionDate = (isoDate) => plainSpaces(sessionDateFormat.format(new Date(isoDate)));
+
+  // e.g. "6–9 min"; an open upper end means the target may never be reached
+  const formatDurationRange = ([low, high]) => {
+    if (high === null) return `> ${formatDuration(low)}`;
+    if (low === high) return formatDuration(low);
+    if (high > 120) return t('duration.hours', { hours: `${formatNumber(low / 60, 1)}–${formatNumber(high / 60, 1)}` });
+    return t('duration.minutes', { minutes: `${formatNumber(low)}–${formatNumber(high)}` });
+  };
+
+  // The date and time on the clock the reading was taken with; just the
+  // clock time when the date is clear from context
+  const formatTimestamp = (timestamp, withDate = true) =>
+    withDate ? `${formatDate(dateOf(timestamp))} ${formatClock(clockTimeOf(timestamp))}` : formatClock(clockTimeOf(timestamp));
+
+  // "4:05" for a countdown in seconds
+  const formatCountdown = (seconds) =>
+    `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+  // "Window: tilted → fully open", or just the kind of event without a note
+  const formatEvent = (event) =>
+    event.note ? `${t(`events.${event.type}`)}: ${event.note}` : t(`events.${event.type}`);
+
+  return {
+    formatNumber,
+    formatClock,
+    formatDate,
+    formatTime,
+    formatDuration,
+    formatSessionDate,
+    formatDurationRange,
+    formatTimestamp,
+    formatCountdown,
+    formatEvent
+  };
+};
@@ -0,0 +1,443 @@
+// German messages, with the same keys as ./en.js
+
+const plural = (count, one, other) => (count === 1 ? one : other);
+
+export default {
+  common: {
+    actions: 'Aktionen',
+    cancel: 'Abbrechen',
+    close: 'Schließen',
+    date: 'Datum',
+    delete: 'Löschen',
+    dismiss: 'Ausblenden',
+    edit: 'Bearbeiten',
+    off: 'Aus',
+    on: 'An',
+    optional: 'optional',
+    save: 'Speichern',
+    time: 'Uhrzeit'
+  },
+  units: {
+    ppm: '{value} ppm',
+    ppmUnit: 'ppm',
+    rate: '{value} ppm/h',
+    celsius: '{value} °C',
+    relativeHumidity: '{value} % rF',
+    relativeHumidityUnit: '% rF',
+    volume: '{value} m³',
+    minutes: 'Min.'
+  },
+  duration: {
+    minutes: '{minutes} Min.',
+    hours: '{hours} Std.'
+  },
+  time: {
+    format24: 'HH:MM',
+    format12: 'h:mm AM',
+    error24: 'Bitte die Uhrzeit als HH:MM eingeben',
+    error12: 'Bitte die Uhrzeit wie 2:30 PM eingeben',
+    laterDay: '+{days} T.'
+  },
+  zones: {
+    ideal: 'Ideal',
+    good: 'Gut',
+    concerning: 'Bedenklich',
+    poor: 'Schlecht'
+  },
+  events: {
+    window: 'Fenster',
+    door: 'Tür',
+    people: 'Personen',
+    fan: 'Lüfter',
+    other: 'Sonstiges'
+  },
+  monitor: {
+    title: 'CO2-Lüftungsmonitor',
+    subtitle: 'CO2-Werte beim Lüften verfolgen',
+    room: 'Raum',
+    rooms: 'Räume',
+    import: 'Importieren',
+    exportCSV: 'CSV exportieren',
+    exportJSON: 'JSON exportieren',
+    report: 'Bericht',
+    share: 'Teilen',
+    namedSession: '„{name}“',
+    sessionFrom: 'Sitzung vom {date}',
+    viewing: 'Ansicht: {session} (schreibgeschützt)',
+    shared: 'Geteilt: {session} (schreibgeschützt)',
+    sharedInRoom: 'Geteilt: {session} in {room} (schreibgeschützt)',
+    importCopy: 'Eine Kopie in {room} speichern',
+    resume: 'Fortsetzen',
+    currentLevel: 'Aktueller CO2-Wert',
+    timeToTarget: 'Geschätzte Zeit bis zum Ziel',
+    needTwoReadings: 'Mindestens 2 Messungen nötig',
+    rising: 'CO2 steigt',
+    ventilateIn: 'Lüften in ca. {duration}',
+    crossing: '(> {level} ppm) in {range}',
+    ventilateNow: 'Jetzt lüften',
+    bestEstimate: 'beste Schätzung {duration}',
+    belowTarget: '(Ziel < {target} ppm)',
+    notDecreasing: 'CO2 sinkt nicht',
+    checkVentilation: 'Lüftung prüfen',
+    tooCold: 'Zu kalt: {temperature} °C liegt unter {limit} °C. Fenster schließen oder lieber kurz stoßlüften.',
+    tooDry: 'Zu trocken: {humidity} % relative Luftfeuchte liegt unter {limit} %. Kurzes Stoßlüften entzieht weniger Feuchtigkeit.',
+    addMeasurement: 'Messung hinzufügen',
+    now: 'Jetzt',
+    co2Level: 'CO2-Wert (ppm)',
+    co2Example: 'z. B. 1000',
+    add: 'Hinzufügen',
+    clear: 'Neu',
+    duplicateTime: 'Um {time} gibt es schon eine Messung',
+    storageFull: 'Der Browserspeicher ist voll, daher werden die letzten Änderungen nicht gespeichert. Alte Sitzungen exportieren oder löschen, um Platz zu schaffen.',
+    earlierTime: 'Das liegt vor der letzten Messung ({latest}). Bitte die Uhrzeit prüfen oder erneut auf „Hinzufügen“ klicken, um sie dort einzufügen.',
+    cleared: 'Neue Sitzung begonnen. Die vorherige ist im Verlauf.',
+    undo: 'Rückgängig',
+    redo: 'Wiederholen',
+    undoShortcut: 'Letzte Änderung rückgängig machen (Strg+Z)',
+    redoShortcut: 'Änderung wiederholen (Strg+Umschalt+Z)',
+    remindEvery: 'Erinnern alle',
+    chime: 'Ton',
+    notification: 'Benachrichtigung',
+    nextReading: 'Nächste Messung in {countdown}',
+    stopReminder: 'Erinnerung beenden',
+    reminderTitle: 'Zeit für eine CO2-Messung',
+    reminderBody: 'Den aktuellen ppm-Wert eingeben.',
+    noData: 'Noch keine Daten',
+    getStarted: 'Erste CO2-Messung hinzufügen, um zu beginnen',
+    projectedMeasurements: 'Prognostizierte Werte'
+  },
+  help: {
+    title: 'So geht’s',
+    add: 'Aktuelle Uhrzeit und CO2-Wert eingeben, dann auf „Hinzufügen“ klicken',
+    continue: 'Alle paar Minuten weitere Messungen hinzufügen',
+    chart: 'Das Diagramm zeigt den Verlauf und schätzt die Zeit bis zu idealen Werten',
+    ideal: 'Ideal ist unter {ideal} ppm; die Prognose zielt auf {target} ppm',
+    zones: 'Gut ist {ideal}–{good} ppm, bedenklich {good}–{concerning} ppm',
+    settings: 'Zonengrenzen, Richtwert-Vorlagen, Prognosemodell und Sprache lassen sich unter „Einstellungen“ ändern',
+    clear: '„Neu“ beginnt eine neue Lüftungssitzung; frühere Sitzungen bleiben im Verlauf',
+    undo: 'Versehentliche Änderungen mit Strg+Z rückgängig machen und mit Strg+Umschalt+Z wiederholen'
+  },
+  readings: {
+    title: 'Erfasste Messungen',
+    insert: 'Messung einfügen',
+    dateTime: 'Datum & Uhrzeit',
+    time: 'Uhrzeit',
+    minutes: 'Minuten',
+    co2: 'CO2 (ppm)',
+    temperature: 'Temp. (°C)',
+    humidity: 'rF (%)',
+    status: 'Status',
+    tooCold: 'Zu kalt',
+    tooDry: 'Zu trocken',
+    deleteEvent: 'Ereignis löschen',
+    duplicateTime: 'Um {time} gibt es schon eine Messung',
+    outlier: 'Auffällige Messung',
+    outlierHint: 'Weit weg vom Verlauf davor und danach – vielleicht falsch abgelesen oder vertippt. Sie kann aus der Prognose herausgenommen werden, ohne sie zu löschen.',
+    excluded: 'nicht berücksichtigt',
+    exclude: 'Aus der Prognose herausnehmen',
+    include: 'Wieder in der Prognose berücksichtigen'
+  },
+  eventForm: {
+    title: 'Ereignis festhalten',
+    type: 'Art des Ereignisses',
+    note: 'Notiz',
+    notePlaceholder: 'z. B. Fenster gekippt → ganz offen',
+    date: 'Datum des Ereignisses',
+    time: 'Uhrzeit des Ereignisses',
+    now: 'jetzt',
+    log: 'Festhalten'
+  },
+  chart: {
+    title: 'CO2-Verlauf & Prognose',
+    ghosts: 'Frühere Prognosen zeigen',
+    clockAxis: 'Uhrzeit auf der Achse',
+    temperature: 'Temperatur',
+    humidity: 'Luftfeuchte',
+    panLeft: 'Nach links',
+    panRight: 'Nach rechts',
+    resetZoom: 'Zoom zurücksetzen',
+    zoomHint: 'Zum Vergrößern über das Diagramm ziehen',
+    timeOfDay: 'Uhrzeit',
+    hoursFromStart: 'Stunden seit Beginn',
+    minutesFromStart: 'Minuten seit Beginn',
+    hourTick: '{hours} h',
+    minutesIn: '{minutes} Min. seit Beginn',
+    climateAxis: '°C / % rF',
+    target: 'Ziel',
+    uncertainty: 'Unsicherheit',
+    measured: 'Gemessen',
+    projected: 'Prognose',
+    simulated: 'Simulation'
+  },
+  analytics: {
+    title: 'Lüftungsanalyse',
+    ach: 'LW/h',
+    achTitle: 'Luftwechsel pro Stunde',
+    achValue: '{value} LW/h',
+    airflow: '≈ {airflow} m³/h Außenluft in {volume} m³',
+    noVolume: 'Raumvolumen unter „Räume“ angeben, um den Luftstrom zu sehen',
+    decayConstant: 'Abklingkonstante k',
+    perHour: '{value} /h',
+    margin: '± {value} /h (95 %)',
+    halfLife: 'Halbwertszeit des CO2-Überschusses',
+    excess: 'Überschuss über {outdoor} ppm draußen',
+    notYet: 'Abklingkonstante und Luftwechsel erscheinen, sobald CO2 über mindestens zwei Messungen oberhalb des Außenwerts ({outdoor} ppm) gesunken ist.',
+    timeInZones: 'Zeit in jeder Zone',
+    needsTwoTimes: 'Braucht Messungen zu zwei verschiedenen Zeiten',
+    phases: 'Phasen zwischen Ereignissen',
+    from: 'Ab',
+    rate: 'Rate',
+    start: 'Beginn',
+    explanation: 'Angenommen wird ein gut durchmischter Raum: Der CO2-Überschuss über der Außenluft klingt mit e^(−k·t) ab, angepasst ab der höchsten Messung, und k pro Stunde entspricht dem Luftwechsel pro Stunde. Anders als die ppm/h-Rate hängt das nicht vom Ausgangswert ab und vergleicht Fensterstellungen daher fair. Jede Phase beginnt mit der letzten Messung vor ihrem Ereignis. Die Werte werden mit der Sitzung gespeichert und im Sitzungsverlauf angezeigt.'
+  },
+  settings: {
+    title: 'Einstellungen',
+    zones: 'Luftqualitätszonen',
+    preset: 'Richtwert-Vorlage',
+    applyPreset: 'Vorlage anwenden…',
+    presets: {
+      buffer: 'Lüftungspuffer (Standard)',
+      pettenkofer: 'Pettenkofer (Grenze 1000 ppm)',
+      uba: 'UBA-Empfehlung für Klassenräume',
+      ashrae: 'Nach ASHRAE (außen + 700 ppm)'
+    },
+    zoneUpTo: '{zone} bis',
+    poorAbove: '{zone} über {level} ppm',
+    target: 'Prognoseziel',
+    comfort: 'Behaglichkeit',
+    tooColdBelow: 'Zu kalt unter',
+    tooDryBelow: 'Zu trocken unter',
+    language: 'Sprache',
+    languageLabel: 'Sprache und Formate',
+    languageAuto: 'Automatisch (Browser)',
+    projection: 'Prognose',
+    model: 'Prognosemodell',
+    models: {
+      linear: 'Linearer Trend',
+      exponential: 'Exponentieller Abfall'
+    },
+    outdoor: 'CO2 draußen',
+    trendWindow: 'Trendfenster',
+    trendWindows: {
+      all: 'Alle Messungen',
+      readings: 'Letzte N Messungen',
+      minutes: 'Letzte M Minuten'
+    },
+    windowReadings: 'Messungen (N)',
+    windowMinutes: 'Minuten (M)'
+  },
+  alerts: {
+    title: 'Alarme',
+    enable: 'Alarme einschalten',
+    notification: 'Browser-Benachrichtigung',
+    permission: {
+      granted: 'Benachrichtigungen sind erlaubt.',
+      denied: 'Benachrichtigungen sind in den Browser-Einstellungen blockiert.',
+      default: 'Benachrichtigungen sind noch nicht erlaubt.',
+      unsupported: 'Dieser Browser unterstützt keine Benachrichtigungen.'
+    },
+    sound: 'Ton',
+    test: 'Alarm testen',
+    rulesTitle: 'Alarmieren, wenn',
+    rules: {
+      projectedTarget: 'die prognostizierte Zeit bis zum Ziel erreicht ist',
+      targetReached: 'die letzte Messung das Ziel erreicht',
+      aboveLevel: 'eine Messung über einem Wert liegt',
+      rising: 'CO2 zwischen zwei Messungen gestiegen ist',
+      climate: 'der Raum zu kalt oder zu trocken ist'
+    },
+    timerNote: 'Die prognostizierte Zeit wird per Timer geprüft, der Alarm kommt also auch ohne neue Messung.',
+    targetReached: {
+      title: 'Ziel erreicht',
+      body: '{co2} ppm liegt auf oder unter dem Ziel von {target} ppm.'
+    },
+    aboveLevel: {
+      title: 'CO2 über {level} ppm',
+      body: 'Letzte Messung: {co2} ppm. Zeit zu lüften.'
+    },
+    rising: {
+      title: 'CO2 steigt',
+      body: '{from} → {to} ppm seit der vorigen Messung.'
+    },
+    cold: {
+      title: 'Raum kühlt aus',
+      body: '{temperature} °C liegt unter {limit} °C. Fenster besser schließen.'
+    },
+    dry: {
+      title: 'Luft wird trocken',
+      body: '{humidity} % relative Luftfeuchte liegt unter {limit} %.'
+    },
+    projectedTarget: {
+      title: 'Prognostiziertes Ziel erreicht',
+      body: 'CO2 sollte jetzt bei {target} ppm liegen. Zur Bestätigung messen.'
+    },
+    testTitle: 'Testalarm',
+    testBody: 'Alarme funktionieren.'
+  },
+  live: {
+    title: 'Live-Quelle',
+    status: {
+      disconnected: 'Getrennt',
+      connecting: 'Verbinde…',
+      connected: 'Verbunden',
+      reconnecting: 'Verbinde erneut…'
+    },
+    url: 'WebSocket- oder SSE-URL',
+    urlPlaceholder: 'ws://sensor.local/co2 oder http://localhost:3001/events',
+    minInterval: 'Mind. Abstand (Min.)',
+    connect: 'Verbinden',
+    disconnect: 'Trennen',
+    explanation: 'Eingehende {fields}-Nachrichten werden automatisch als Messungen hinzugefügt.'
+  },
+  simulator: {
+    title: 'Was-wäre-wenn-Simulator',
+    explanation: 'Schätzt vor dem Öffnen des Fensters, wie lange gelüftet werden sollte. Angenommen wird ein gut durchmischter Raum, dessen CO2-Überschuss gegenüber der Außenluft mit dem Luftwechsel abnimmt. Die Vorgaben sind grob; ein gemessener Luftwechsel aus der Lüftungsanalyse passt besser zum Raum. Auf dem Diagramm beginnt die Kurve bei der letzten Messung und bleibt zum Vergleich mit den folgenden Messungen stehen.',
+    currentCO2: 'Aktueller CO2-Wert (ppm)',
+    volume: 'Raumvolumen (m³)',
+    outdoorCO2: 'CO2 draußen (ppm)',
+    ventilation: 'Lüftung',
+    presets: {
+      tilted: 'Fenster gekippt',
+      open: 'Fenster ganz offen',
+      crossDraft: 'Querlüftung'
+    },
+    custom: 'Eigener Luftwechsel',
+    customAirChanges: 'Luftwechsel pro Stunde',
+    measured: 'In dieser Sitzung gemessen: {value} LW/h',
+    zoneAt: '{zone} (unter {level} ppm)',
+    target: 'Ziel ({level} ppm)',
+    after: 'nach ca. {duration}',
+    never: 'bei {outdoor} ppm draußen nicht erreichbar',
+    alreadyBelow: 'bereits erreicht',
+    halfLife: 'Der CO2-Überschuss halbiert sich ca. alle {duration}',
+    airflow: 'ca. {airflow} m³/h Außenluft',
+    volumeError: 'Das Raumvolumen muss eine positive Zahl in m³ sein',
+    show: 'Im Diagramm zeigen',
+    update: 'Diagramm aktualisieren',
+    remove: 'Aus dem Diagramm entfernen',
+    onChart: 'Im Diagramm'
+  },
+  history: {
+    title: 'Sitzungsverlauf',
+    saved: '{count} gespeichert',
+    empty: 'Noch keine gespeicherten Sitzungen',
+    session: 'Sitzung',
+    start: 'Beginn',
+    end: 'Ende',
+    duration: 'Dauer',
+    name: 'Name der Sitzung',
+    saveName: 'Namen speichern',
+    view: 'Schreibgeschützt ansehen',
+    resume: 'Sitzung fortsetzen',
+    rename: 'Umbenennen'
+  },
+  comparison: {
+    title: 'Räume vergleichen',
+    empty: 'Noch kein Raum hat Messungen'
+  },
+  rooms: {
+    title: 'Räume',
+    defaultName: 'Mein Raum',
+    room: 'Raum',
+    volume: 'Volumen',
+    sessions: 'Sitzungen',
+    lastRoom: 'Der letzte Raum kann nicht gelöscht werden',
+    confirmDelete: '„{name}“ löschen?',
+    confirmDeleteWithSessions: ({ name, count }) =>
+      `„${name}“ und ${plural(count, 'seine gespeicherte Sitzung', `seine ${count} gespeicherten Sitzungen`)} löschen?`,
+    edit: 'Raum bearbeiten',
+    add: 'Raum hinzufügen',
+    name: 'Name',
+    namePlaceholder: 'z. B. Besprechungsraum',
+    volumeLabel: 'Volumen (m³)',
+    notes: 'Notizen',
+    notesPlaceholder: 'z. B. zwei Kippfenster, 8 Tische',
+    save: 'Raum speichern',
+    addButton: 'Raum hinzufügen'
+  },
+  import: {
+    title: 'Messungen importieren',
+    explanation: 'Eine CSV-Datei eines CO2-Messgeräts oder eine aus dieser App exportierte JSON-Datei wählen. Der Import wird als neue Sitzung gespeichert.',
+    unreadable: 'Die Datei konnte nicht gelesen werden',
+    noRows: 'Die Datei enthält keine Zeilen',
+    column: 'Spalte {number}',
+    timeColumn: 'Zeitspalte',
+    co2Column: 'CO2-Spalte',
+    date: 'Datum für Zeilen ohne Datum',
+    header: 'Erste Zeile ist eine Überschrift',
+    result: 'Ergebnis',
+    ok: 'OK',
+    summary: '{count} von {total} Zeilen werden importiert',
+    skipped: ', {count} übersprungen',
+    confirm: ({ count }) => `${count} ${plural(count, 'Messung', 'Messungen')} importieren`
+  },
+  report: {
+    title: 'CO2-Lüftungsbericht',
+    pdf: 'PDF herunterladen',
+    png: 'Diagramm als PNG',
+    failed: 'Der Bericht konnte nicht erstellt werden: {reason}',
+    room: 'Raum',
+    readingAt: '{co2} ppm um {time}',
+    averageRate: 'Mittlere Rate',
+    timeToTarget: 'Zeit bis {target} ppm',
+    reached: 'Erreicht nach {duration} ({time})',
+    projected: 'ca. {range} nach der letzten Messung',
+    notProjected: 'Keine Prognose – CO2 sank nicht',
+    ach: '{ach} (Abklingkonstante {k} /h)',
+    chart: 'Diagramm',
+    legend: 'Blau durchgezogen: gemessen. Lila gestrichelt: Prognose.',
+    legendEvents: 'Rosa gestrichelt: festgehaltene Ereignisse.',
+    measured: 'Gemessene Werte',
+    events: 'Ereignisse',
+    projectedValues: 'Prognostizierte Werte',
+    minutesFromStart: 'Minuten seit Beginn',
+    event: 'Ereignis',
+    zone: 'Zone',
+    share: 'Anteil'
+  },
+  share: {
+    title: 'Sitzung teilen',
+    explanation: 'Wer diesen Link hat, kann die Sitzung schreibgeschützt ansehen und in den eigenen Verlauf importieren. Die Messungen stecken im Link selbst; es wird nichts hochgeladen.',
+    creating: 'Link wird erstellt…',
+    link: 'Link zum Teilen',
+    copy: 'Kopieren',
+    copied: 'Kopiert',
+    length: '{count} Zeichen',
+    failed: 'Der Link konnte nicht erstellt werden: {reason}',
+    copyFailed: 'Kopieren fehlgeschlagen; bitte den Link markieren und selbst kopieren.'
+  },
+  update: {
+    available: 'Eine neue Version der App ist verfügbar.',
+    offlineReady: 'Die App funktioniert jetzt auch offline.',
+    reload: 'Neu laden und aktualisieren'
+  },
+  messages: {
+    'Please pick a date': 'Bitte ein Datum wählen',
+    'Please enter time in HH:MM format': 'Bitte die Uhrzeit als HH:MM eingeben',
+    'Please enter a valid date and time': 'Bitte ein gültiges Datum und eine gültige Uhrzeit eingeben',
+    'Please enter the CO2 level as a number': 'Bitte den CO2-Wert als Zahl eingeben',
+    'Please enter a CO2 level between 300 and 10000 ppm': 'Bitte einen CO2-Wert zwischen 300 und 10000 ppm eingeben',
+    'Outdoor CO2 must be a positive number below the current level': 'Der CO2-Wert draußen muss eine positive Zahl unter dem aktuellen Wert sein',
+    'Please enter the air changes per hour as a number above 0 and up to 100': 'Bitte den Luftwechsel pro Stunde als Zahl über 0 und bis 100 eingeben',
+    'Please enter the temperature in °C, between -40 and 60': 'Bitte die Temperatur in °C zwischen -40 und 60 eingeben',
+    'Please enter the relative humidity in %, between 0 and 100': 'Bitte die relative Luftfeuchte in % zwischen 0 und 100 eingeben',
+    'Please choose what happened': 'Bitte wählen, was passiert ist',
+    'Zone boundaries must be positive numbers': 'Zonengrenzen müssen positive Zahlen sein',
+    'Zone boundaries must increase from Ideal to Concerning': 'Zonengrenzen müssen von Ideal bis Bedenklich ansteigen',
+    'The target must be a CO2 level above outdoor air': 'Der Zielwert muss über dem CO2-Wert der Außenluft liegen',
+    'Please enter a room name': 'Bitte einen Raumnamen eingeben',
+    'Room volume must be a positive number of m³': 'Das Raumvolumen muss eine positive Zahl in m³ sein',
+    'File is not valid JSON': 'Die Datei ist kein gültiges JSON',
+    'File is not an exported CO2 session': 'Die Datei ist keine exportierte CO2-Sitzung',
+    'File was exported by a newer version of the app': 'Die Datei wurde mit einer neueren Version der App exportiert',
+    'Invalid reading in file': 'Ungültige Messung in der Datei',
+    'Invalid event in file': 'Ungültiges Ereignis in der Datei',
+    'Unrecognised time': 'Unbekannte Zeitangabe',
+    'This link was made by a newer version of the app': 'Dieser Link wurde mit einer neueren Version der App erstellt',
+    'This link is damaged or incomplete': 'Dieser Link ist beschädigt oder unvollständig',
+    "This link can't be opened": 'Dieser Link kann nicht geöffnet werden',
+    'it contains no readings': 'er enthält keine Messungen',
+    'its target level is invalid': 'sein Zielwert ist ungültig',
+    'The chart could not be drawn': 'Das Diagramm konnte nicht gezeichnet werden'
+  }
+};
@@ -0,0 +1,418 @@
+// English messages. Every other catalog has the same keys; anything it
+// leaves out falls back to the wording here.
+
+const plural = (count, one, other) => (count === 1 ? one : other);
+
+export default {
+  common: {
+    actions: 'Actions',
+    cancel: 'Cancel',
+    close: 'Close',
+    date: 'Date',
+    delete: 'Delete',
+    dismiss: 'Dismiss',
+    edit: 'Edit',
+    off: 'Off',
+    on: 'On',
+    optional: 'optional',
+    save: 'Save',
+    time: 'Time'
+  },
+  units: {
+    ppm: '{value} ppm',
+    ppmUnit: 'ppm',
+    rate: '{value} ppm/hr',
+    celsius: '{value} °C',
+    relativeHumidity: '{value}% RH',
+    relativeHumidityUnit: '% RH',
+    volume: '{value} m³',
+    minutes: 'min'
+  },
+  duration: {
+    minutes: '{minutes} min',
+    hours: '{hours} hrs'
+  },
+  time: {
+    format24: 'HH:MM',
+    format12: 'h:mm AM',
+    error24: 'Please enter time in HH:MM format',
+    error12: 'Please enter the time like 2:30 PM',
+    laterDay: '+{days}d'
+  },
+  zones: {
+    ideal: 'Ideal',
+    good: 'Good',
+    concerning: 'Concerning',
+    poor: 'Poor'
+  },
+  events: {
+    window: 'Window',
+    door: 'Door',
+    people: 'People',
+    fan: 'Fan',
+    other: 'Other'
+  },
+  monitor: {
+    title: 'CO2 Ventilation Monitor',
+    subtitle: 'Track CO2 levels while ventilating your space',
+    room: 'Room',
+    rooms: 'Rooms',
+    import: 'Import',
+    exportCSV: 'Export CSV',
+    exportJSON: 'Export JSON',
+    report: 'Report',
+    share: 'Share',
+    namedSession: '"{name}"',
+    sessionFrom: 'session from {date}',
+    viewing: 'Viewing {session} (read-only)',
+    shared: 'Shared {session} (read-only)',
+    sharedInRoom: 'Shared {session} in {room} (read-only)',
+    importCopy: 'Save a copy in {room}',
+    resume: 'Resume',
+    currentLevel: 'Current CO2 Level',
+    timeToTarget: 'Est. time to target',
+    needTwoReadings: 'Need 2+ measurements',
+    rising: 'CO2 rising',
+    ventilateIn: 'Ventilate in ~{duration}',
+    crossing: '(> {level} ppm) in {range}',
+    ventilateNow: 'Ventilate now',
+    bestEstimate: 'best estimate {duration}',
+    belowTarget: '(< {target} ppm target)',
+    notDecreasing: 'CO2 not decreasing',
+    checkVentilation: 'Check ventilation',
+    tooCold: 'Too cold: {temperature} °C is below {limit} °C. Consider closing the windows, or ventilating in short bursts.',
+    tooDry: 'Too dry: {humidity}% relative humidity is below {limit}%. Short, wide-open ventilation loses less moisture.',
+    addMeasurement: 'Add Measurement',
+    now: 'Now',
+    co2Level: 'CO2 Level (ppm)',
+    co2Example: 'e.g., 1000',
+    add: 'Add',
+    clear: 'Clear',
+    duplicateTime: 'There is already a reading at {time}',
+    storageFull: 'The browser’s storage is full, so the latest changes aren’t saved. Export or delete old sessions to free up space.',
+    earlierTime: 'This is before the latest reading ({latest}). Check the time, or click Add again to insert it there.',
+    cleared: 'Started a new session. The previous one is in the history.',
+    undo: 'Undo',
+    redo: 'Redo',
+    undoShortcut: 'Undo the last change (Ctrl+Z)',
+    redoShortcut: 'Redo the change (Ctrl+Shift+Z)',
+    remindEvery: 'Remind me every',
+    chime: 'Chime',
+    notification: 'Notification',
+    nextReading: 'Next reading in {countdown}',
+    stopReminder: 'Stop reminder',
+    reminderTitle: 'Time for a CO2 reading',
+    reminderBody: 'Enter the current ppm value.',
+    noData: 'No data yet',
+    getStarted: 'Add your first CO2 measurement to get started',
+    projectedMeasurements: 'Projected Measurements'
+  },
+  help: {
+    title: 'How to use',
+    add: 'Enter the current time and CO2 reading, then click "Add"',
+    continue: 'Continue adding measurements every few minutes',
+    chart: 'The graph will show your progress and estimate time to ideal levels',
+    ideal: 'Ideal zone is below {ideal} ppm; the projection aims for {target} ppm',
+    zones: 'Good zone is {ideal}-{good} ppm, concerning is {good}-{concerning} ppm',
+    settings: 'Zone boundaries, guideline presets, the projection model and the language can be changed under "Settings"',
+    clear: 'Click "Clear" to start a new ventilation session; earlier sessions stay in the history',
+    undo: 'Undo a mistaken change with Ctrl+Z, and redo it with Ctrl+Shift+Z'
+  },
+  readings: {
+    title: 'Recorded Measurements',
+    insert: 'Insert reading',
+    dateTime: 'Date & Time',
+    time: 'Time',
+    minutes: 'Minutes Elapsed',
+    co2: 'CO2 (ppm)',
+    temperature: 'Temp (°C)',
+    humidity: 'RH (%)',
+    status: 'Status',
+    tooCold: 'Too cold',
+    tooDry: 'Too dry',
+    deleteEvent: 'Delete event',
+    duplicateTime: 'There is already a reading at {time}',
+    outlier: 'Unusual reading',
+    outlierHint: 'Far off the curve around it – perhaps misread or mistyped. It can be left out of the projection without deleting it.',
+    excluded: 'excluded',
+    exclude: 'Leave out of the projection',
+    include: 'Use in the projection again'
+  },
+  eventForm: {
+    title: 'Log Event',
+    type: 'Event type',
+    note: 'Note',
+    notePlaceholder: 'e.g. tilted window → fully open',
+    date: 'Event date',
+    time: 'Event time',
+    now: 'now',
+    log: 'Log'
+  },
+  chart: {
+    title: 'CO2 Trend & Projection',
+    ghosts: 'Show earlier projections',
+    clockAxis: 'Clock time on the axis',
+    temperature: 'Temperature',
+    humidity: 'Humidity',
+    panLeft: 'Pan left',
+    panRight: 'Pan right',
+    resetZoom: 'Reset zoom',
+    zoomHint: 'Drag across the chart to zoom in',
+    timeOfDay: 'Time of day',
+    hoursFromStart: 'Hours from start',
+    minutesFromStart: 'Minutes from start',
+    hourTick: '{hours}h',
+    minutesIn: '{minutes} min from start',
+    climateAxis: '°C / % RH',
+    target: 'Target',
+    uncertainty: 'Uncertainty',
+    measured: 'Measured',
+    projected: 'Projected',
+    simulated: 'Simulated'
+  },
+  analytics: {
+    title: 'Ventilation Analytics',
+    ach: 'ACH',
+    achTitle: 'Air changes per hour',
+    achValue: '{value} ACH',
+    airflow: '≈ {airflow} m³/h of outdoor air into {volume} m³',
+    noVolume: 'Set the room volume under Rooms to see the airflow',
+    decayConstant: 'Decay constant k',
+    perHour: '{value} /h',
+    margin: '± {value} /h (95%)',
+    halfLife: 'Half-life of the excess CO2',
+    excess: 'Excess over {outdoor} ppm outdoors',
+    notYet: 'The decay constant and air changes per hour appear once CO2 has been falling for at least two readings above the outdoor level ({outdoor} ppm).',
+    timeInZones: 'Time in each zone',
+    needsTwoTimes: 'Needs readings at two different times',
+    phases: 'Phases between events',
+    from: 'From',
+    rate: 'Rate',
+    start: 'Start',
+    explanation: 'Assumes a well-mixed room: the excess CO2 over outdoor air decays as e^(−k·t), fitted from the highest reading onward, and k per hour equals the air changes per hour. Unlike the ppm/hr rate this doesn’t depend on how high the level started, so it compares window setups fairly. Each phase starts from the last reading before its event. The figures are saved with the session and listed in the session history.'
+  },
+  settings: {
+    title: 'Settings',
+    zones: 'Air-quality zones',
+    preset: 'Guideline preset',
+    applyPreset: 'Apply a preset…',
+    presets: {
+      buffer: 'Ventilation buffer (default)',
+      pettenkofer: 'Pettenkofer (1000 ppm limit)',
+      uba: 'German UBA classroom guidance',
+      ashrae: 'ASHRAE-style (outdoor + 700 ppm)'
+    },
+    zoneUpTo: '{zone} up to',
+    poorAbove: '{zone} above {level} ppm',
+    target: 'Projection target',
+    comfort: 'Comfort',
+    tooColdBelow: 'Too cold below',
+    tooDryBelow: 'Too dry below',
+    language: 'Language',
+    languageLabel: 'Language and formats',
+    languageAuto: 'Automatic (browser)',
+    projection: 'Projection',
+    model: 'Projection model',
+    models: {
+      linear: 'Linear trend',
+      exponential: 'Exponential decay'
+    },
+    outdoor: 'Outdoor CO2',
+    trendWindow: 'Trend window',
+    trendWindows: {
+      all: 'All readings',
+      readings: 'Last N readings',
+      minutes: 'Last M minutes'
+    },
+    windowReadings: 'Readings (N)',
+    windowMinutes: 'Minutes (M)'
+  },
+  alerts: {
+    title: 'Alerts',
+    enable: 'Enable alerts',
+    notification: 'Browser notification',
+    permission: {
+      granted: 'Notifications are allowed.',
+      denied: 'Notifications are blocked in the browser settings.',
+      default: 'Notifications are not yet allowed.',
+      unsupported: 'Notifications are not supported by this browser.'
+    },
+    sound: 'Sound',
+    test: 'Test alert',
+    rulesTitle: 'Alert me when',
+    rules: {
+      projectedTarget: 'Projected time to target reached',
+      targetReached: 'Latest reading at or below the target',
+      aboveLevel: 'Reading above a level',
+      rising: 'CO2 rose between readings',
+      climate: 'Room too cold or too dry'
+    },
+    timerNote: 'The projected time is checked on a timer, so it alerts even when no new reading is entered.',
+    targetReached: {
+      title: 'Target reached',
+      body: '{co2} ppm is at or below the {target} ppm target.'
+    },
+    aboveLevel: {
+      title: 'CO2 above {level} ppm',
+      body: 'Latest reading: {co2} ppm. Time to ventilate.'
+    },
+    rising: {
+      title: 'CO2 is rising',
+      body: '{from} → {to} ppm since the previous reading.'
+    },
+    cold: {
+      title: 'Room getting cold',
+      body: '{temperature} °C is below {limit} °C. Consider closing the windows.'
+    },
+    dry: {
+      title: 'Air getting dry',
+      body: '{humidity}% relative humidity is below {limit}%.'
+    },
+    projectedTarget: {
+      title: 'Projected target reached',
+      body: 'CO2 should now be down to {target} ppm. Take a reading to confirm.'
+    },
+    testTitle: 'Test alert',
+    testBody: 'Alerts are working.'
+  },
+  live: {
+    title: 'Live Source',
+    status: {
+      disconnected: 'Disconnected',
+      connecting: 'Connecting…',
+      connected: 'Connected',
+      reconnecting: 'Reconnecting…'
+    },
+    url: 'WebSocket or SSE URL',
+    urlPlaceholder: 'ws://sensor.local/co2 or http://localhost:3001/events',
+    minInterval: 'Min. interval (min)',
+    connect: 'Connect',
+    disconnect: 'Disconnect',
+    explanation: 'Incoming {fields} messages are added as measurements automatically.'
+  },
+  simulator: {
+    title: 'What-if Simulator',
+    explanation: 'Estimates how long to ventilate before opening the window, assuming a well-mixed room whose excess CO2 over outdoor air decays with the air changes per hour. The presets are rough; a measured ACH from Ventilation Analytics fits your room better. Shown on the chart, the curve starts at the latest reading and stays there to compare with the readings that follow.',
+    currentCO2: 'Current CO2 (ppm)',
+    volume: 'Room volume (m³)',
+    outdoorCO2: 'Outdoor CO2 (ppm)',
+    ventilation: 'Ventilation',
+    presets: {
+      tilted: 'Tilted window',
+      open: 'Fully open window',
+      crossDraft: 'Cross-draft'
+    },
+    custom: 'Custom ACH',
+    customAirChanges: 'Air changes per hour',
+    measured: 'Measured in this session: {value} ACH',
+    zoneAt: '{zone} (below {level} ppm)',
+    target: 'Target ({level} ppm)',
+    after: 'after ≈ {duration}',
+    never: 'not reached with {outdoor} ppm outdoors',
+    alreadyBelow: 'already reached',
+    halfLife: 'Excess CO2 halves every ≈ {duration}',
+    airflow: '≈ {airflow} m³/h of outdoor air',
+    volumeError: 'Room volume must be a positive number of m³',
+    show: 'Show on chart',
+    update: 'Update chart',
+    remove: 'Remove from chart',
+    onChart: 'On chart'
+  },
+  history: {
+    title: 'Session History',
+    saved: '{count} saved',
+    empty: 'No saved sessions yet',
+    session: 'Session',
+    start: 'Start',
+    end: 'End',
+    duration: 'Duration',
+    name: 'Session name',
+    saveName: 'Save name',
+    view: 'View read-only',
+    resume: 'Resume session',
+    rename: 'Rename'
+  },
+  comparison: {
+    title: 'Compare Rooms',
+    empty: 'No room has recorded readings yet'
+  },
+  rooms: {
+    title: 'Rooms',
+    defaultName: 'My room',
+    room: 'Room',
+    volume: 'Volume',
+    sessions: 'Sessions',
+    lastRoom: 'The last room cannot be deleted',
+    confirmDelete: 'Delete "{name}"?',
+    confirmDeleteWithSessions: ({ name, count }) =>
+      `Delete "${name}" and its ${count} saved ${plural(count, 'session', 'sessions')}?`,
+    edit: 'Edit room',
+    add: 'Add a room',
+    name: 'Name',
+    namePlaceholder: 'e.g. Meeting room',
+    volumeLabel: 'Volume (m³)',
+    notes: 'Notes',
+    notesPlaceholder: 'e.g. two tilt windows, 8 desks',
+    save: 'Save room',
+    addButton: 'Add room'
+  },
+  import: {
+    title: 'Import Measurements',
+    explanation: 'Choose a CSV file from a CO2 meter or a JSON file exported from this app. The import is stored as a new session.',
+    noRows: 'File contains no rows',
+    unreadable: 'The file could not be read',
+    column: 'Column {number}',
+    timeColumn: 'Time column',
+    co2Column: 'CO2 column',
+    date: 'Date for rows without one',
+    header: 'First row is a header',
+    result: 'Result',
+    ok: 'OK',
+    summary: '{count} of {total} rows will be imported',
+    skipped: ', {count} skipped',
+    confirm: ({ count }) => `Import ${count} ${plural(count, 'reading', 'readings')}`
+  },
+  report: {
+    title: 'CO2 Ventilation Report',
+    pdf: 'Download PDF',
+    png: 'Chart as PNG',
+    failed: 'The report could not be created: {reason}',
+    room: 'Room',
+    readingAt: '{co2} ppm at {time}',
+    averageRate: 'Average rate',
+    timeToTarget: 'Time to {target} ppm',
+    reached: 'Reached after {duration} ({time})',
+    projected: '~{range} after the last reading',
+    notProjected: 'Not projected – CO2 was not decreasing',
+    ach: '{ach} (decay constant {k} /h)',
+    chart: 'Chart',
+    legend: 'Solid blue: measured. Dashed purple: projected.',
+    legendEvents: 'Dashed pink: logged events.',
+    measured: 'Measured values',
+    events: 'Events',
+    projectedValues: 'Projected values',
+    minutesFromStart: 'Minutes from Start',
+    event: 'Event',
+    zone: 'Zone',
+    share: 'Share'
+  },
+  share: {
+    title: 'Share Session',
+    explanation: 'Anyone with this link can view the session read-only and import it into their own history. The readings are stored in the link itself; nothing is uploaded.',
+    creating: 'Creating link…',
+    link: 'Share link',
+    copy: 'Copy',
+    copied: 'Copied',
+    length: '{count} characters',
+    failed: 'The link could not be created: {reason}',
+    copyFailed: 'Copying failed; select the link and copy it instead.'
+  },
+  update: {
+    available: 'A new version of the app is available.',
+    offlineReady: 'The app is ready to work offline.',
+    reload: 'Reload to update'
+  },
+  // Messages from co2-core and the stores, which are written in English,
+  // keyed by their text. English needs no entries.
+  messages: {}
+};
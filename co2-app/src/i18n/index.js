@@ -0,0 +1,77 @@
+// Message catalogs and locale-aware formatting. Every UI string lives in a
+// catalog (./en.js, ./de.js) under a dotted key; components get the active
+// language through useI18n(). Messages from co2-core and the stores are
+// English and are translated by their text through the catalog's
+// `messages` section.
+
+import { createContext, useContext } from 'react';
+import { createFormatters } from '../format';
+import en from './en';
+import de from './de';
+
+const CATALOGS = { en, de };
+
+// Offered in settings, each named in its own language
+export const LANGUAGES = { en: 'English', de: 'Deutsch' };
+
+const browserLanguages = () =>
+  typeof navigator === 'undefined' ? [] : (navigator.languages ?? [navigator.language]).filter(Boolean);
+
+const languageOf = (tag) => tag.split('-')[0].toLowerCase();
+
+// 'auto' follows the browser's preferred languages, falling back to English
+export const resolveLanguage = (setting, preferred = browserLanguages()) => {
+  if (CATALOGS[setting]) return setting;
+  return preferred.map(languageOf).find(language => CATALOGS[language]) ?? 'en';
+};
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((entry, part) => (entry == null ? undefined : entry[part]), catalog);
+
+// Entries are strings with {name} placeholders, or functions of the
+// parameters where the wording depends on a count
+const fill = (entry, params) =>
+  typeof entry === 'function'
+    ? entry(params)
+    : entry.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder));
+
+export const createI18n = (setting) => {
+  const preferred = browserLanguages();
+  const language = resolveLanguage(setting, preferred);
+  // The browser's own tag keeps regional formats, e.g. "en-GB" dates
+  const locale = preferred.find(tag => languageOf(tag) === language) ?? language;
+  const catalog = CATALOGS[language];
+  const hour12 = new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hour12 ?? false;
+
+  // Missing keys fall back to English, then to the key itself
+  const t = (key, params = {}) => {
+    const entry = lookup(catalog, key) ?? lookup(en, key);
+    return entry === undefined ? key : fill(entry, params);
+  };
+
+  // "Invalid reading in file: Please enter …" is translated part by part
+  const translateMessage = (message) => {
+    const translated = catalog.messages[message];
+    if (translated) return translated;
+    const separator = message.indexOf(': ');
+    return separator > 0
+      ? `${translateMessage(message.slice(0, separator))}: ${translateMessage(message.slice(separator + 2))}`
+      : message;
+  };
+
+  return {
+    language,
+    locale,
+    hour12,
+    t,
+    translateMessage,
+    // What the time fields accept, shown as placeholder and error
+    timeFormat: t(hour12 ? 'time.format12' : 'time.format24'),
+    timeError: t(hour12 ? 'time.error12' : 'time.error24'),
+    ...createFormatters({ locale, hour12, t })
+  };
+};
+
+export const I18nContext = createContext(createI18n('en'));
+
+export const useI18n = () => useContext(I18nContext);
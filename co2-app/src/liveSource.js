@@ -0,0 +1,138 @@
+// Live sensor feed: connects to a WebSocket (ws://, wss://) or
+// Server-Sent Events (http://, https://) URL that publishes
+// {"timestamp": ..., "ppm": ...} messages, reconnecting with backoff.
+// Sensors that also measure climate may add "temperature" (°C) and
+// "humidity" (% RH).
+
+import { useEffect, useRef, useState } from 'react';
+
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Indicator colours; each status is labelled by the `live.status.<id>`
+// catalog message
+export const LIVE_STATUS = {
+  disconnected: { color: 'bg-gray-500' },
+  connecting: { color: 'bg-yellow-400' },
+  connected: { color: 'bg-green-400' },
+  reconnecting: { color: 'bg-yellow-400' }
+};
+
+// Returns { timestamp (ms), ppm, temperature, humidity } or null for
+// messages that aren't readings; the climate values are null when absent.
+// A missing timestamp means "now"; numeric timestamps may be in seconds or ms.
+export const parseLiveMessage = (data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    return null;
+  }
+
+  const ppm = Number(message?.ppm);
+  if (!Number.isFinite(ppm)) return null;
+
+  let timestamp = message.timestamp ?? Date.now();
+  if (typeof timestamp === 'number' && timestamp < 1e12) timestamp *= 1000;
+  timestamp = new Date(timestamp).getTime();
+  if (Number.isNaN(timestamp)) return null;
+
+  return {
+    timestamp,
+    ppm: Math.round(ppm),
+    temperature: message.temperature ?? null,
+    humidity: message.humidity ?? null
+  };
+};
+
+// Opens the connection and keeps it open until the returned function is
+// called. `onMessage` receives raw message data.
+export const connectLiveSource = (url, { onMessage, onStatusChange }) => {
+  let socket = null;
+  let retryTimer = null;
+  let retryDelay = INITIAL_RETRY_MS;
+  let stopped = false;
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    onStatusChange('reconnecting');
+    retryTimer = setTimeout(open, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+  };
+
+  const handleOpen = () => {
+    retryDelay = INITIAL_RETRY_MS;
+    onStatusChange('connected');
+  };
+
+  const open = () => {
+    try {
+      if (/^wss?:/i.test(url)) {
+        socket = new WebSocket(url);
+        socket.onopen = handleOpen;
+        socket.onmessage = (event) => onMessage(event.data);
+        socket.onclose = scheduleReconnect;
+      } else {
+        socket = new EventSource(url);
+        socket.onopen = handleOpen;
+        socket.onmessage = (event) => onMessage(event.data);
+        // EventSource retries on its own at a fixed rate; use our backoff instead
+        socket.onerror = () => {
+          socket.close();
+          scheduleReconnect();
+        };
+      }
+    } catch {
+      // Malformed URL
+      scheduleReconnect();
+    }
+  };
+
+  onStatusChange('connecting');
+  open();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+    }
+    onStatusChange('disconnected');
+  };
+};
+
+// Connects while `enabled` and passes parsed readings to `onReading`,
+// dropping any that arrive less than `minIntervalMinutes` after the
+// previously accepted one. Returns the connection status.
+export const useLiveSource = ({ enabled, url, minIntervalMinutes, onReading }) => {
+  const [status, setStatus] = useState('disconnected');
+  const onReadingRef = useRef(onReading);
+  const lastAcceptedRef = useRef(null);
+
+  // Always call the latest callback so it sees the current session state
+  useEffect(() => {
+    onReadingRef.current = onReading;
+  });
+
+  useEffect(() => {
+    if (!enabled || !url) return;
+
+    lastAcceptedRef.current = null;
+    return connectLiveSource(url, {
+      onStatusChange: setStatus,
+      onMessage: (data) => {
+        const reading = parseLiveMessage(data);
+        if (!reading) return;
+
+        const last = lastAcceptedRef.current;
+        if (last !== null && reading.timestamp - last < minIntervalMinutes * 60000) return;
+
+        lastAcceptedRef.current = reading.timestamp;
+        onReadingRef.current(reading);
+      }
+    });
+  }, [enabled, url, minIntervalMinutes]);
+
+  return enabled ? status : 'disconnected';
+};
@@ -0,0 +1,29 @@
+// Countdown to the next reading. The timer itself lives in the monitor's
+// state as a due time, so adding a reading simply moves it.
+
+import { useEffect, useRef, useState } from 'react';
+
+// Counts down to `dueAt` (ms) and calls `onFire` once it passes. Returns
+// the seconds left, or null when no reminder is running.
+export const useReminder = ({ dueAt, onFire }) => {
+  const [now, setNow] = useState(Date.now);
+  const onFireRef = useRef(onFire);
+
+  // Always call the latest callback so it sees the current form state
+  useEffect(() => {
+    onFireRef.current = onFire;
+  });
+
+  useEffect(() => {
+    if (dueAt === null) return;
+
+    const ticker = setInterval(() => setNow(Date.now()), 1000);
+    const timer = setTimeout(() => onFireRef.current(), Math.max(0, dueAt - Date.now()));
+    return () => {
+      clearInterval(ticker);
+      clearTimeout(timer);
+    };
+  }, [dueAt]);
+
+  return dueAt === null ? null : Math.max(0, Math.ceil((dueAt - now) / 1000));
+};
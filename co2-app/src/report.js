@@ -0,0 +1,229 @@
+// Session report for facility management and the like: a summary of the
+// session, the chart and both tables, exported as a PDF or the chart as a
+// PNG. Everything is generated in the browser; jsPDF is only loaded when a
+// PDF is requested.
+
+import { averageRate, timeInZones, dateOf, spansSeveralDays } from './co2-core';
+import { getCO2Status } from './zones';
+
+// Column headings as catalog keys
+export const MEASURED_COLUMNS = ['readings.time', 'readings.minutes', 'readings.co2', 'readings.status'];
+export const PROJECTED_COLUMNS = ['readings.time', 'report.minutesFromStart', 'readings.co2', 'readings.status'];
+export const EVENT_COLUMNS = ['readings.time', 'readings.minutes', 'report.event'];
+export const ZONE_COLUMNS = ['report.zone', 'readings.time', 'report.share'];
+
+// How the session ended up relative to the target
+const targetOutcome = (measuredPoints, targetCO2, projection, { t, formatTime, formatDuration, formatDurationRange }) => {
+  const reached = measuredPoints.find(point => point.co2 <= targetCO2);
+  if (reached) {
+    return t('report.reached', { duration: formatDuration(reached.minutes), time: formatTime({ measuredPoints }, reached.minutes) });
+  }
+  if (projection) {
+    return t('report.projected', { range: formatDurationRange(projection.minutesRange) });
+  }
+  return t('report.notProjected');
+};
+
+// Label/value pairs describing the session, plus the time in each zone,
+// worded in the language of `i18n`
+export const reportSummary = ({ room, session, measuredPoints, thresholds, targetCO2, projection, ventilation }, i18n) => {
+  const { t, formatNumber, formatDate, formatSessionDate, formatTimestamp, formatDuration } = i18n;
+  const first = measuredPoints[0];
+  const last = measuredPoints[measuredPoints.length - 1];
+  const rate = averageRate({ measuredPoints });
+  const zoneMinutes = timeInZones({ measuredPoints }, thresholds);
+  const dates = spansSeveralDays(measuredPoints)
+    ? `${formatDate(dateOf(first.timestamp))} – ${formatDate(dateOf(last.timestamp))}`
+    : formatDate(dateOf(first.timestamp));
+  const reading = (point) =>
+    t('report.readingAt', { co2: formatNumber(point.co2), time: formatTimestamp(point.timestamp, false) });
+
+  return {
+    rows: [
+      [t('report.room'), room.volume ? `${room.name} (${t('units.volume', { value: formatNumber(room.volume) })})` : room.name],
+      [t('history.session'), session.name || formatSessionDate(session.createdAt)],
+      [t('common.date'), dates],
+      [t('history.start'), reading(first)],
+      [t('history.end'), reading(last)],
+      [t('history.duration'), formatDuration(last.minutes)],
+      [t('report.averageRate'), rate === null ? '—' : t('units.rate', { value: `${rate > 0 ? '+' : ''}${formatNumber(Math.round(rate))}` })],
+      [t('report.timeToTarget', { target: formatNumber(targetCO2) }), targetOutcome(measuredPoints, targetCO2, projection, i18n)],
+      [t('analytics.achTitle'), ventilation
+        ? t('report.ach', { ach: formatNumber(ventilation.airChangesPerHour, 1), k: formatNumber(ventilation.decayConstant, 2) })
+        : '—']
+    ],
+    zones: Object.entries(zoneMinutes).map(([zone, minutes]) => [
+      t(`zones.${zone}`),
+      formatDuration(Math.round(minutes)),
+      `${formatNumber(last.minutes > 0 ? Math.round(minutes / last.minutes * 100) : 0)}%`
+    ])
+  };
+};
+
+export const measuredRows = (measuredPoints, thresholds, { t, formatNumber, formatTimestamp }) => {
+  const withDates = spansSeveralDays(measuredPoints);
+  return measuredPoints.map(point => [
+    formatTimestamp(point.timestamp, withDates),
+    formatNumber(point.minutes),
+    formatNumber(point.co2),
+    t(`zones.${getCO2Status(point.co2, thresholds).zone}`)
+  ]);
+};
+
+// `events` placed on the readings' minutes axis
+export const eventRows = (measuredPoints, events, { formatNumber, formatTimestamp, formatEvent }) => {
+  const withDates = spansSeveralDays(measuredPoints);
+  return events.map(event => [formatTimestamp(event.timestamp, withDates), formatNumber(event.minutes), formatEvent(event)]);
+};
+
+export const projectedRows = (measuredPoints, projectedPoints, thresholds, { t, formatNumber, formatTime }) =>
+  projectedPoints.map(point => [
+    formatTime({ measuredPoints }, point.minutes),
+    formatNumber(point.minutes),
+    formatNumber(point.co2),
+    t(`zones.${getCO2Status(point.co2, thresholds).zone}`)
+  ]);
+
+// Draws a rendered chart's SVG onto a canvas at `scale` times its size, on
+// a solid background so the PNG doesn't come out transparent
+export const renderChart = (svg, { scale = 2, background = '#ffffff' } = {}) => {
+  const { width, height } = svg.getBoundingClientRect();
+  const copy = svg.cloneNode(true);
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', width);
+  copy.setAttribute('height', height);
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(copy)], { type: 'image/svg+xml' }));
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.fillStyle = background;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The chart could not be drawn'));
+    };
+    image.src = url;
+  });
+};
+
+export const canvasToBlob = (canvas) =>
+  new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+const PAGE_MARGIN = 15;
+const LINE_HEIGHT = 5;
+
+// Characters the PDF's built-in Helvetica has besides Latin-1 (it uses the
+// Windows-1252 encoding)
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+const PDF_REPLACEMENTS = {
+  '→': '->', '←': '<-', '↔': '<->', '⇒': '=>', '≤': '<=', '≥': '>=', '≈': '~', '≠': '!=',
+  '−': '-', '‐': '-', '‑': '-', '\u2009': ' ', '\u202f': ' ', '\u200b': '',
+  'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'ı': 'i'
+};
+
+const isWinAnsi = (char) => {
+  const code = char.codePointAt(0);
+  return (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRAS.includes(char);
+};
+
+// `text` with what Helvetica can't show written in characters it has, so
+// notes like "tilted window → fully open" don't come out garbled: arrows
+// and the like as ASCII, accented letters and subscripts such as CO₂ as
+// their plain form, anything else as "?"
+export const pdfText = (text) =>
+  Array.from(String(text), (char) => {
+    if (isWinAnsi(char)) return char;
+    if (char in PDF_REPLACEMENTS) return PDF_REPLACEMENTS[char];
+    const plain = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    return plain !== '' && Array.from(plain).every(isWinAnsi) ? plain : '?';
+  }).join('');
+
+// A4 PDF with the summary, the chart (a canvas from renderChart) and the
+// tables, which continue on new pages with their header repeated. `t`
+// words the headings.
+export const reportToPdf = async ({ title, summary, chart, tables }, t) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - 2 * PAGE_MARGIN;
+  let y = PAGE_MARGIN;
+
+  const write = (text, x, atY = y) => doc.text(pdfText(text), x, atY);
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+      return true;
+    }
+    return false;
+  };
+
+  // Kept on the same page as the first `following` mm of what it introduces
+  const heading = (text, following = LINE_HEIGHT) => {
+    ensureSpace(LINE_HEIGHT * 2 + 1 + following);
+    y += LINE_HEIGHT;
+    doc.setFont('helvetica', 'bold').setFontSize(12);
+    write(text, PAGE_MARGIN);
+    y += LINE_HEIGHT + 1;
+  };
+
+  const table = (columns, rows) => {
+    const columnWidth = contentWidth / columns.length;
+    const row = (cells, style) => {
+      doc.setFont('helvetica', style).setFontSize(9);
+      cells.forEach((cell, index) => write(cell, PAGE_MARGIN + index * columnWidth));
+      y += LINE_HEIGHT;
+    };
+    const header = () => {
+      row(columns, 'bold');
+      doc.setDrawColor(180).line(PAGE_MARGIN, y - LINE_HEIGHT + 1.5, pageWidth - PAGE_MARGIN, y - LINE_HEIGHT + 1.5);
+    };
+    header();
+    rows.forEach(cells => {
+      if (ensureSpace(LINE_HEIGHT)) header();
+      row(cells, 'normal');
+    });
+  };
+
+  doc.setFont('helvetica', 'bold').setFontSize(16);
+  write(title, PAGE_MARGIN, y + 2);
+  y += LINE_HEIGHT * 2;
+
+  doc.setFontSize(10);
+  summary.rows.forEach(([label, value]) => {
+    doc.setFont('helvetica', 'bold');
+    write(label, PAGE_MARGIN);
+    doc.setFont('helvetica', 'normal');
+    write(value, PAGE_MARGIN + 40);
+    y += LINE_HEIGHT + 0.5;
+  });
+
+  heading(t('analytics.timeInZones'));
+  table(ZONE_COLUMNS.map(column => t(column)), summary.zones);
+
+  if (chart) {
+    const height = contentWidth * chart.height / chart.width;
+    heading(t('report.chart'), height);
+    doc.addImage(chart.toDataURL('image/png'), 'PNG', PAGE_MARGIN, y, contentWidth, height);
+    y += height;
+  }
+
+  tables.forEach(({ title: tableTitle, columns, rows }) => {
+    heading(tableTitle);
+    table(columns.map(column => t(column)), rows);
+  });
+
+  return doc.output('blob');
+};
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { pdfText } from './report';
+
+describe('pdfText', () => {
+  it('keeps text the PDF font can show', () => {
+    expect(pdfText('Fenster gekippt – Größe: 12 m³, 20 €…')).toBe('Fenster gekippt – Größe: 12 m³, 20 €…');
+  });
+
+  it('spells out arrows and other symbols the font lacks', () => {
+    expect(pdfText('tilted window → fully open')).toBe('tilted window -> fully open');
+    expect(pdfText('CO₂ ≤ 800 ppm')).toBe('CO2 <= 800 ppm');
+  });
+
+  it('drops accents the font lacks and replaces what is left', () => {
+    expect(pdfText('Łódź, Kraków, ő')).toBe('Lódz, Kraków, o');
+    expect(pdfText('ventilated 🙂 Ω')).toBe('ventilated ? ?');
+  });
+});
@@ -0,0 +1,79 @@
+// Registry of the rooms being monitored, persisted in localStorage.
+// Each room keeps the colour it is drawn in when rooms are compared.
+
+import { readList, writeList, writeItem, generateId } from './storage';
+import { adoptRoomlessSessions, deleteRoomSessions } from './sessionStore';
+
+const ROOMS_KEY = 'co2-monitor.rooms';
+const ACTIVE_ROOM_KEY = 'co2-monitor.activeRoomId';
+
+export const ROOM_COLORS = ['#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#f87171', '#22d3ee', '#fb923c'];
+
+const readRooms = () => readList(ROOMS_KEY);
+
+const writeRooms = (rooms) => writeList(ROOMS_KEY, rooms);
+
+// The first colour no other room uses, cycling once all are taken
+const nextColor = (rooms) =>
+  ROOM_COLORS.find(color => !rooms.some(room => room.color === color)) ??
+  ROOM_COLORS[rooms.length % ROOM_COLORS.length];
+
+// Returns an error message, or null when the room can be saved
+export const validateRoom = ({ name, volume }) => {
+  if (!name.trim()) return 'Please enter a room name';
+  if (volume !== null && !(volume > 0)) return 'Room volume must be a positive number of m³';
+  return null;
+};
+
+// Alphabetical, as shown in the room switcher
+export const listRooms = () =>
+  readRooms().sort((a, b) => a.name.localeCompare(b.name));
+
+export const loadRoom = (id) =>
+  readRooms().find(room => room.id === id) || null;
+
+// Adds a room; `volume` is in m³ and may be null when unknown
+export const addRoom = ({ name, volume = null, notes = '' }) => {
+  const rooms = readRooms();
+  const room = {
+    id: generateId(),
+    name: name.trim(),
+    volume,
+    notes,
+    color: nextColor(rooms),
+    createdAt: new Date().toISOString()
+  };
+  writeRooms([...rooms, room]);
+  return room;
+};
+
+export const updateRoom = (id, changes) => {
+  writeRooms(readRooms().map(room => (room.id === id ? { ...room, ...changes } : room)));
+};
+
+// Deletes the room together with its sessions
+export const deleteRoom = (id) => {
+  writeRooms(readRooms().filter(room => room.id !== id));
+  deleteRoomSessions(id);
+  if (localStorage.getItem(ACTIVE_ROOM_KEY) === id) {
+    localStorage.removeItem(ACTIVE_ROOM_KEY);
+  }
+};
+
+export const setActiveRoomId = (id) => {
+  writeItem(ACTIVE_ROOM_KEY, id);
+};
+
+// The room that was selected when the page was last open. On first use a
+// default room is created, and sessions recorded before rooms existed are
+// filed under it, named `defaultName` in the user's language.
+export const restoreActiveRoom = (defaultName = 'My room') => {
+  const rooms = readRooms();
+  if (rooms.length === 0) {
+    const room = addRoom({ name: defaultName });
+    adoptRoomlessSessions(room.id);
+    setActiveRoomId(room.id);
+    return room;
+  }
+  return loadRoom(localStorage.getItem(ACTIVE_ROOM_KEY)) || listRooms()[0];
+};
@@ -0,0 +1,130 @@
+// Persists ventilation sessions in localStorage so a refresh or closed tab
+// doesn't lose a session in progress, and finished sessions stay browsable.
+// Every session belongs to a room, and each room has its own session in
+// progress.
+
+import { createSession as createCoreSession, upgradeClockReadings, toDateString } from './co2-core';
+import { readList, writeList, writeItem, generateId } from './storage';
+
+const SESSIONS_KEY = 'co2-monitor.sessions';
+const ACTIVE_SESSIONS_KEY = 'co2-monitor.activeSessionIds';
+// Before rooms there was a single session in progress
+const LEGACY_ACTIVE_SESSION_KEY = 'co2-monitor.activeSessionId';
+
+// Sessions saved before readings carried a date only stored clock times;
+// they're taken to have started on the day the session was created. Those
+// saved before events could be logged get an empty list. Projection
+// histories stored as full curves rather than fits are dropped to free the
+// space; they're rebuilt from the readings when the session is opened.
+export const withTimestamps = (session) => ({
+  ...session,
+  measuredPoints: upgradeClockReadings(session.measuredPoints, toDateString(new Date(session.createdAt))),
+  events: session.events ?? [],
+  projectionHistory: session.projectionHistory?.every(entry => 'curve' in entry) ? session.projectionHistory : undefined
+});
+
+const readSessions = () => readList(SESSIONS_KEY).map(withTimestamps);
+
+const writeSessions = (sessions) => writeList(SESSIONS_KEY, sessions);
+
+// Room id → id of the session being recorded there
+const readActiveIds = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ACTIVE_SESSIONS_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+const writeActiveIds = (activeIds) => {
+  writeItem(ACTIVE_SESSIONS_KEY, JSON.stringify(activeIds));
+};
+
+// A co2-core session plus what the history panel needs to list it
+export const createSession = (roomId) => {
+  const now = new Date().toISOString();
+  return {
+    ...createCoreSession(),
+    id: generateId(),
+    roomId,
+    name: '',
+    createdAt: now,
+    updatedAt: now,
+    projectionHistory: []
+  };
+};
+
+// Newest sessions first, optionally only those of one room
+export const listSessions = (roomId) =>
+  readSessions()
+    .filter(session => !roomId || session.roomId === roomId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+export const loadSession = (id) =>
+  readSessions().find(session => session.id === id) || null;
+
+// Returns the stored session, or null when it didn't fit into storage
+export const saveSession = (session) => {
+  const updated = { ...session, updatedAt: new Date().toISOString() };
+  const others = readSessions().filter(s => s.id !== session.id);
+  return writeSessions([...others, updated]) ? updated : null;
+};
+
+export const renameSession = (id, name) => {
+  writeSessions(readSessions().map(s => (s.id === id ? { ...s, name } : s)));
+};
+
+export const deleteSession = (id) => {
+  writeSessions(readSessions().filter(s => s.id !== id));
+  writeActiveIds(Object.fromEntries(
+    Object.entries(readActiveIds()).filter(([, activeId]) => activeId !== id)
+  ));
+};
+
+// Removes every session recorded in a room, for when the room is deleted
+export const deleteRoomSessions = (roomId) => {
+  writeSessions(readSessions().filter(s => s.roomId !== roomId));
+  const { [roomId]: _removed, ...activeIds } = readActiveIds();
+  writeActiveIds(activeIds);
+};
+
+export const setActiveSessionId = (roomId, id) => {
+  writeActiveIds({ ...readActiveIds(), [roomId]: id });
+};
+
+// The session that was being recorded in the room when the page was last
+// open, or a fresh one if there is none
+export const restoreActiveSession = (roomId) => {
+  const activeId = readActiveIds()[roomId];
+  const session = activeId && loadSession(activeId);
+  return session && session.roomId === roomId ? session : createSession(roomId);
+};
+
+// Files sessions saved before rooms existed under `roomId`, keeping the
+// session that was in progress
+export const adoptRoomlessSessions = (roomId) => {
+  writeSessions(readSessions().map(s => (s.roomId ? s : { ...s, roomId })));
+
+  const legacyActiveId = localStorage.getItem(LEGACY_ACTIVE_SESSION_KEY);
+  if (legacyActiveId) {
+    setActiveSessionId(roomId, legacyActiveId);
+    localStorage.removeItem(LEGACY_ACTIVE_SESSION_KEY);
+  }
+};
+
+// Summary values shown in the history panel
+export const summarizeSession = (session) => {
+  const points = session.measuredPoints;
+  // Sessions saved before metrics were recorded have none
+  const airChangesPerHour = session.metrics?.ventilation?.airChangesPerHour ?? null;
+  if (points.length === 0) {
+    return { startCO2: null, endCO2: null, duration: 0, airChangesPerHour };
+  }
+  return {
+    startCO2: points[0].co2,
+    endCO2: points[points.length - 1].co2,
+    duration: points[points.length - 1].minutes,
+    airChangesPerHour
+  };
+};
@@ -0,0 +1,145 @@
+// Exporting sessions to CSV / JSON files and importing readings back
+
+import { toCSV } from './csv';
+import { sessionFromReadings, validateReading, validateClimate, validateEvent, validateSimulation, readTimestamp, isTimestamp, toDateString } from './co2-core';
+import { withTimestamps } from './sessionStore';
+import { getCO2Status } from './zones';
+
+const JSON_FORMAT = 'co2-monitor-session';
+// Version 2 stores readings with full timestamps instead of clock times
+const JSON_VERSION = 2;
+
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// File name stem such as "co2-session-2025-07-26"
+export const exportFileName = (session) =>
+  `co2-session-${session.createdAt.slice(0, 10)}`;
+
+export const sessionToCSV = (measuredPoints, thresholds) =>
+  toCSV([
+    ['timestamp', 'elapsed_minutes', 'co2_ppm', 'temperature_c', 'humidity_pct', 'status'],
+    ...measuredPoints.map(point => [
+      point.timestamp,
+      point.minutes,
+      point.co2,
+      point.temperature ?? '',
+      point.humidity ?? '',
+      getCO2Status(point.co2, thresholds).text
+    ])
+  ]);
+
+// Everything needed to restore the session exactly as it was
+export const sessionToJSON = (session, settings) =>
+  JSON.stringify({
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    session,
+    thresholds: settings.thresholds,
+    targetCO2: settings.targetCO2
+  }, null, 2);
+
+// A simulation that can't be run is left out rather than failing the import
+const importedSimulation = (simulation) => {
+  if (!simulation || validateSimulation(simulation)) return {};
+  const { startCO2, outdoorCO2, airChangesPerHour, ventilation, volume, startedAt } = simulation;
+  return {
+    simulation: {
+      startCO2: Number(startCO2),
+      outdoorCO2: Number(outdoorCO2),
+      airChangesPerHour: Number(airChangesPerHour),
+      ventilation: typeof ventilation === 'string' ? ventilation : 'custom',
+      volume: Number(volume) > 0 ? Number(volume) : null,
+      startedAt: isTimestamp(startedAt) ? startedAt : null
+    }
+  };
+};
+
+// Returns { session } without its id, so it can be stored as a new
+// session next to the original, or { error }. Only the name, creation
+// date, readings, events and simulation are read from the file; elapsed
+// minutes, the projection history and the metrics are rebuilt rather than
+// trusted.
+export const parseSessionJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: 'File is not valid JSON' };
+  }
+
+  if (data?.format !== JSON_FORMAT || !Array.isArray(data.session?.measuredPoints)) {
+    return { error: 'File is not an exported CO2 session' };
+  }
+  if (data.version > JSON_VERSION) {
+    return { error: 'File was exported by a newer version of the app' };
+  }
+
+  const { name, createdAt, measuredPoints, events, simulation } = data.session;
+  const hasDate = typeof createdAt === 'string' && !Number.isNaN(Date.parse(createdAt));
+  const stored = {
+    ...(typeof name === 'string' && { name }),
+    ...(hasDate && { createdAt }),
+    measuredPoints,
+    events: events ?? []
+  };
+  const session = data.version < 2 ? withTimestamps({ createdAt: new Date().toISOString(), ...stored }) : stored;
+
+  const invalid = session.measuredPoints.find(p =>
+    !p || typeof p !== 'object' || validateReading(p.timestamp, p.co2) || validateClimate(p));
+  if (invalid !== undefined) {
+    return { error: `Invalid reading in file: ${invalid?.timestamp} / ${invalid?.co2}` };
+  }
+  if (!Array.isArray(session.events)) {
+    return { error: 'Invalid event in file' };
+  }
+  const invalidEvent = session.events.find(event => !event || validateEvent(event.timestamp, event.type));
+  if (invalidEvent !== undefined) {
+    return { error: `Invalid event in file: ${invalidEvent?.timestamp} / ${invalidEvent?.type}` };
+  }
+
+  return {
+    session: {
+      ...session,
+      measuredPoints: sessionFromReadings(session.measuredPoints).measuredPoints,
+      ...importedSimulation(simulation)
+    }
+  };
+};
+
+// Runs mapped CSV rows through the same validation as manual entries.
+// Rows with only a clock time are placed on `date`, moving on to the next
+// day whenever the clock goes backwards, as it does in an overnight log.
+// Returns { measuredPoints, rows } where each row records whether it was
+// accepted, for the import preview. The accepted readings are sorted once
+// at the end, so files with thousands of rows import quickly.
+export const readingsFromRows = (rows, { timeColumn, co2Column, date }) => {
+  const accepted = [];
+  const day = new Date(`${date}T00:00:00`);
+  let previous = null;
+
+  const checked = rows.map(row => {
+    const value = row[timeColumn] ?? '';
+    let timestamp = readTimestamp(value, toDateString(day));
+    if (timestamp && previous && !/\d{4}[-/]/.test(value) && timestamp < previous) {
+      day.setDate(day.getDate() + 1);
+      timestamp = readTimestamp(value, toDateString(day));
+    }
+
+    const co2 = (row[co2Column] ?? '').trim();
+    const error = timestamp ? validateReading(timestamp, co2) : `Unrecognised time: ${value}`;
+    if (!error) {
+      accepted.push({ timestamp, co2 });
+      previous = timestamp;
+    }
+    return { timestamp, co2, error };
+  });
+  return { measuredPoints: sessionFromReadings(accepted).measuredPoints, rows: checked };
+};
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { parseSessionJSON, readingsFromRows } from './sessionTransfer';
+
+const exported = (session, version = 2) =>
+  JSON.stringify({ format: 'co2-monitor-session', version, session });
+
+const READINGS = [
+  { timestamp: '2025-07-26T14:00:00+02:00', co2: 1200 },
+  { timestamp: '2025-07-26T14:10:00+02:00', co2: 900 }
+];
+
+describe('parseSessionJSON', () => {
+  it('reads an exported session without its id', () => {
+    const { session } = parseSessionJSON(exported({
+      id: 'abc',
+      name: 'Office',
+      createdAt: '2025-07-26T12:00:00.000Z',
+      measuredPoints: READINGS,
+      events: [{ timestamp: '2025-07-26T14:05:00+02:00', type: 'window', note: '' }]
+    }));
+    expect(session.id).toBeUndefined();
+    expect(session.name).toBe('Office');
+    expect(session.measuredPoints.map(p => p.minutes)).toEqual([0, 10]);
+    expect(session.events).toHaveLength(1);
+  });
+
+  it('rebuilds elapsed minutes, the projection history and metrics instead of trusting the file', () => {
+    const { session } = parseSessionJSON(exported({
+      measuredPoints: READINGS.map(reading => ({ ...reading, minutes: 'later' })),
+      projectionHistory: [{}],
+      metrics: 'broken',
+      updatedAt: 42
+    }));
+    expect(session.measuredPoints.map(p => p.minutes)).toEqual([0, 10]);
+    expect(session).not.toHaveProperty('projectionHistory');
+    expect(session).not.toHaveProperty('metrics');
+    expect(session).not.toHaveProperty('updatedAt');
+  });
+
+  it('rejects invalid readings, including their climate values', () => {
+    expect(parseSessionJSON(exported({ measuredPoints: [{ ...READINGS[0], co2: 'high' }] })).error)
+      .toMatch(/^Invalid reading in file/);
+    expect(parseSessionJSON(exported({ measuredPoints: [{ ...READINGS[0], temperature: 'warm' }] })).error)
+      .toMatch(/^Invalid reading in file/);
+    expect(parseSessionJSON(exported({ measuredPoints: [null] })).error).toMatch(/^Invalid reading in file/);
+  });
+
+  it('rejects events that are not a list of valid events', () => {
+    expect(parseSessionJSON(exported({ measuredPoints: READINGS, events: 'window' })).error).toBe('Invalid event in file');
+    expect(parseSessionJSON(exported({ measuredPoints: READINGS, events: [{ timestamp: READINGS[0].timestamp, type: 'party' }] })).error)
+      .toMatch(/^Invalid event in file: /);
+  });
+
+  it('leaves out a simulation that cannot be run', () => {
+    const simulation = { startCO2: 1200, outdoorCO2: 420, airChangesPerHour: 6, ventilation: 'open', volume: 40, startedAt: READINGS[1].timestamp };
+    expect(parseSessionJSON(exported({ measuredPoints: READINGS, simulation })).session.simulation).toEqual(simulation);
+    expect(parseSessionJSON(exported({ measuredPoints: READINGS, simulation: { ...simulation, airChangesPerHour: 0 } })).session)
+      .not.toHaveProperty('simulation');
+  });
+
+  it('rejects other files and newer versions', () => {
+    expect(parseSessionJSON('{').error).toBe('File is not valid JSON');
+    expect(parseSessionJSON('{"format":"other"}').error).toBe('File is not an exported CO2 session');
+    expect(parseSessionJSON(exported({ measuredPoints: [] }, 3)).error).toBe('File was exported by a newer version of the app');
+  });
+});
+
+describe('readingsFromRows', () => {
+  const MAPPING = { timeColumn: 0, co2Column: 1, date: '2025-07-26' };
+
+  it('places clock times on the chosen date and rolls over to the next day past midnight', () => {
+    const { measuredPoints, rows } = readingsFromRows(
+      [['23:50', '1200'], ['23:58', '1100'], ['00:10', '950'], ['01:00', '800']],
+      MAPPING
+    );
+    expect(rows.map(row => row.timestamp.slice(0, 16))).toEqual([
+      '2025-07-26T23:50', '2025-07-26T23:58', '2025-07-27T00:10', '2025-07-27T01:00'
+    ]);
+    expect(measuredPoints.map(p => p.minutes)).toEqual([0, 8, 20, 70]);
+  });
+
+  it('keeps the date of full timestamps instead of rolling over', () => {
+    const { rows } = readingsFromRows(
+      [['2025-07-26 14:00', '1200'], ['2025-07-25 13:00', '1100']],
+      MAPPING
+    );
+    expect(rows.map(row => row.timestamp.slice(0, 10))).toEqual(['2025-07-26', '2025-07-25']);
+  });
+
+  it('skips rows that fail validation and reports why', () => {
+    const { measuredPoints, rows } = readingsFromRows(
+      [['14:00', '1200'], ['soon', '1100'], ['14:10', 'high'], ['14:20', ' 900 ']],
+      MAPPING
+    );
+    expect(rows.map(row => Boolean(row.error))).toEqual([false, true, true, false]);
+    expect(rows[1].error).toBe('Unrecognised time: soon');
+    expect(measuredPoints.map(p => [p.minutes, p.co2])).toEqual([[0, 1200], [20, 900]]);
+  });
+});
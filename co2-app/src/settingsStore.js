@@ -0,0 +1,46 @@
+// User preferences, remembered in localStorage across visits
+
+import { DEFAULT_THRESHOLDS, DEFAULT_CLIMATE_LIMITS } from './co2-core';
+import { writeItem } from './storage';
+
+const SETTINGS_KEY = 'co2-monitor.settings';
+
+export const DEFAULT_SETTINGS = {
+  // 'auto' follows the browser; otherwise a language code from ./i18n
+  language: 'auto',
+  projectionModel: 'exponential',
+  outdoorCO2: 420,
+  trendWindowMode: 'all',
+  trendWindowReadings: 5,
+  trendWindowMinutes: 15,
+  showGhostProjections: true,
+  chartClockAxis: false,
+  showTemperature: true,
+  showHumidity: true,
+  thresholds: DEFAULT_THRESHOLDS,
+  targetCO2: 550,
+  ...DEFAULT_CLIMATE_LIMITS,
+  liveSourceUrl: '',
+  liveMinIntervalMinutes: 1,
+  alertsEnabled: false,
+  alertNotification: true,
+  alertSound: true,
+  alertRules: { projectedTarget: true, targetReached: true, aboveLevel: true, rising: false, climate: true },
+  alertAboveLevel: 1000,
+  reminderEnabled: false,
+  reminderMinutes: 5,
+  reminderChime: true,
+  reminderNotification: false
+};
+
+export const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSettings = (settings) => {
+  writeItem(SETTINGS_KEY, JSON.stringify(settings));
+};
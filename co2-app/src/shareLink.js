@@ -0,0 +1,156 @@
+// Sharing a session as a link. The readings, events, zones and room name
+// are compressed into the URL fragment, which browsers never send to a
+// server, so the session only ever travels inside the link itself.
+// Opening the link shows the session read-only.
+
+import { useEffect, useRef } from 'react';
+import { sessionFromReadings, addEvent, validateThresholds } from './co2-core';
+
+// "#share=<version>.<compressed JSON, base64url>"
+const FRAGMENT_PATTERN = /^#share=(\d+)\.([\w-]+)$/;
+// Links carry the version of the format they were made with, so links made
+// by older versions of the app keep working
+const SHARE_VERSION = 1;
+
+const DAMAGED = 'This link is damaged or incomplete';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+const pipeThrough = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// Readings as [timestamp, ppm, temperature, humidity] with unrecorded
+// trailing values left off, events as [timestamp, type, note]. Readings
+// left out of the projection are listed by position; links made before
+// readings could be excluded have none.
+const toVersion1 = ({ session, measuredPoints, events, room, thresholds, targetCO2 }) => ({
+  room: { name: room.name, volume: room.volume },
+  thresholds,
+  targetCO2,
+  name: session.name,
+  createdAt: session.createdAt,
+  readings: measuredPoints.map(point => {
+    const reading = [point.timestamp, point.co2, point.temperature ?? null, point.humidity ?? null];
+    while (reading.length > 2 && reading[reading.length - 1] === null) reading.pop();
+    return reading;
+  }),
+  events: events.map(event => [event.timestamp, event.type, event.note]),
+  excluded: measuredPoints.flatMap((point, index) => (point.excluded ? [index] : []))
+});
+
+const isListOf = (value, isItem) => Array.isArray(value) && value.every(isItem);
+
+// Whether version 1 data has the shape toVersion1 gives it; the values
+// themselves are validated when the session is rebuilt
+const isVersion1 = ({ readings, events, excluded }) =>
+  isListOf(readings, Array.isArray) &&
+  (events === undefined || isListOf(events, Array.isArray)) &&
+  (excluded === undefined ||
+    isListOf(excluded, index => Number.isInteger(index) && index >= 0 && index < readings.length));
+
+// Rebuilt through the same validation as manual entries; throws on
+// anything that doesn't pass
+const fromVersion1 = (data) => {
+  if (data === null || typeof data !== 'object' || !isVersion1(data)) throw new Error(DAMAGED);
+  const { room, thresholds, targetCO2, name, createdAt, readings, events = [], excluded = [] } = data;
+  if (readings.length === 0) throw new Error('it contains no readings');
+  const thresholdError = validateThresholds(thresholds ?? {});
+  if (thresholdError) throw new Error(thresholdError);
+  if (!(Number(targetCO2) > 0)) throw new Error('its target level is invalid');
+
+  const excludedIndices = new Set(excluded);
+  const withReadings = sessionFromReadings(readings.map(([timestamp, co2, temperature, humidity], index) => ({
+    timestamp, co2, temperature, humidity, excluded: excludedIndices.has(index)
+  })));
+  const session = events.reduce(
+    (current, [timestamp, type, note]) => addEvent(current, timestamp, type, String(note ?? '')),
+    withReadings
+  );
+
+  return {
+    session: {
+      ...session,
+      name: String(name ?? ''),
+      createdAt: Number.isNaN(Date.parse(createdAt)) ? new Date().toISOString() : createdAt
+    },
+    room: { name: String(room?.name ?? ''), volume: Number(room?.volume) > 0 ? Number(room.volume) : null },
+    thresholds,
+    targetCO2: Number(targetCO2)
+  };
+};
+
+const DECODERS = { 1: fromVersion1 };
+
+// Link to the current page that opens the given session read-only
+export const createShareLink = async (shared) => {
+  const json = JSON.stringify(toVersion1(shared));
+  const compressed = await pipeThrough(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#share=${SHARE_VERSION}.${toBase64Url(compressed)}`;
+};
+
+// Returns null when `hash` isn't a shared link, otherwise
+// { shared: { session, room, thresholds, targetCO2 } } or { error }
+export const readShareLink = async (hash) => {
+  const match = hash.match(FRAGMENT_PATTERN);
+  if (!match) return null;
+
+  const decode = DECODERS[match[1]];
+  if (!decode) return { error: 'This link was made by a newer version of the app' };
+
+  let data;
+  try {
+    const bytes = await pipeThrough(fromBase64Url(match[2]), new DecompressionStream('deflate-raw'));
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return { error: DAMAGED };
+  }
+
+  try {
+    return { shared: decode(data) };
+  } catch (err) {
+    return { error: err.message === DAMAGED ? DAMAGED : `This link can't be opened: ${err.message}` };
+  }
+};
+
+// Removes an opened link from the address bar, so a reload shows the
+// session being recorded again
+export const clearShareLink = () => {
+  if (FRAGMENT_PATTERN.test(window.location.hash)) {
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, '', `${pathname}${search}`);
+  }
+};
+
+// Opens shared links: the one the app was loaded with and any pasted into
+// the address bar later. `onOpen` receives what readShareLink returned.
+export const useShareLink = (onOpen) => {
+  const onOpenRef = useRef(onOpen);
+
+  // Always call the latest callback so it sees the current settings
+  useEffect(() => {
+    onOpenRef.current = onOpen;
+  });
+
+  useEffect(() => {
+    let isActive = true;
+    const open = async () => {
+      const result = await readShareLink(window.location.hash);
+      if (result && isActive) onOpenRef.current(result);
+    };
+
+    open();
+    window.addEventListener('hashchange', open);
+    return () => {
+      isActive = false;
+      window.removeEventListener('hashchange', open);
+    };
+  }, []);
+};
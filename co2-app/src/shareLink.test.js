@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createShareLink, readShareLink } from './shareLink';
+
+const SHARED = {
+  session: { name: 'Office', createdAt: '2025-07-26T12:00:00.000Z' },
+  measuredPoints: [
+    { timestamp: '2025-07-26T14:00:00+02:00', co2: 1200, temperature: 22.5, humidity: 48 },
+    { timestamp: '2025-07-26T14:10:00+02:00', co2: 950, excluded: true },
+    { timestamp: '2025-07-26T14:20:00+02:00', co2: 800 }
+  ],
+  events: [{ timestamp: '2025-07-26T14:05:00+02:00', type: 'window', note: 'fully open' }],
+  room: { name: 'Office', volume: 40 },
+  thresholds: { ideal: 550, good: 800, concerning: 1000 },
+  targetCO2: 550
+};
+
+// SHARED as encoded by version 1 of the format. Later versions must keep
+// opening links made with it.
+const VERSION_1_HASH = '#share=1.bc2xTsMwFIXhV0Fn5ba6tmII3hAP0IWJKIMV36SRXBs5Tguq-u4ohSEU1qPv1zkjp3SAPSO6g8Bi1_djJyAcU5iXpeILoeyzTPsU_LTQ0YsLsMYwYUjJw9bMhC7FTnIc4wCrmK-dy4OUl53-0bcnXRZXxD8XWGjWZsOPG_3wqrRltsxbZn4DIYvzYxwm2Kb55apvd89LAFKambTeGqrqlm6pWtMnw3-FXouauW0JcpRY_n02K4zTGH06gdDPIXzepXeJuOYfXZi9eNhGtZcv';
+
+const hashOf = (link) => link.slice(link.indexOf('#'));
+
+// Version 1 fragment for arbitrary data, as a damaged or tampered link
+// could carry it
+const hashFor = async (data) => {
+  const stream = new Blob([JSON.stringify(data)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  const base64 = btoa(String.fromCharCode(...bytes));
+  return `#share=1.${base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+};
+
+const VALID_DATA = {
+  room: { name: 'Office' },
+  thresholds: SHARED.thresholds,
+  targetCO2: 550,
+  readings: [['2025-07-26T14:00:00+02:00', 1200], ['2025-07-26T14:10:00+02:00', 950]]
+};
+
+const expectShared = ({ shared }) => {
+  expect(shared.session.name).toBe('Office');
+  expect(shared.session.createdAt).toBe(SHARED.session.createdAt);
+  expect(shared.session.measuredPoints).toEqual([
+    { timestamp: SHARED.measuredPoints[0].timestamp, co2: 1200, temperature: 22.5, humidity: 48, minutes: 0, type: 'measured' },
+    { timestamp: SHARED.measuredPoints[1].timestamp, co2: 950, excluded: true, minutes: 10, type: 'measured' },
+    { timestamp: SHARED.measuredPoints[2].timestamp, co2: 800, minutes: 20, type: 'measured' }
+  ]);
+  expect(shared.session.events).toEqual(SHARED.events);
+  expect(shared.room).toEqual({ name: 'Office', volume: 40 });
+  expect(shared.thresholds).toEqual(SHARED.thresholds);
+  expect(shared.targetCO2).toBe(550);
+};
+
+describe('share links', () => {
+  beforeEach(() => {
+    vi.stubGlobal('window', { location: { origin: 'https://example.org', pathname: '/co2/', search: '?room=1' } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('links to the current page and reads back the session', async () => {
+    const link = await createShareLink(SHARED);
+    expect(link).toMatch(/^https:\/\/example\.org\/co2\/\?room=1#share=1\.[\w-]+$/);
+    expectShared(await readShareLink(hashOf(link)));
+  });
+
+  it('keeps opening links made with version 1', async () => {
+    expectShared(await readShareLink(VERSION_1_HASH));
+  });
+
+  it('ignores fragments that are not shared links', async () => {
+    expect(await readShareLink('')).toBeNull();
+    expect(await readShareLink('#settings')).toBeNull();
+    expect(await readShareLink('#share=1.not base64')).toBeNull();
+  });
+
+  it('asks for a newer app for unknown versions', async () => {
+    expect(await readShareLink(VERSION_1_HASH.replace('#share=1.', '#share=2.'))).toEqual({
+      error: 'This link was made by a newer version of the app'
+    });
+  });
+
+  it('reports truncated or corrupted links', async () => {
+    const damaged = { error: 'This link is damaged or incomplete' };
+    expect(await readShareLink(VERSION_1_HASH.slice(0, 60))).toEqual(damaged);
+    expect(await readShareLink('#share=1.AAAA')).toEqual(damaged);
+    expect(await readShareLink('#share=1.a')).toEqual(damaged);
+  });
+
+  it('reports links whose contents have the wrong shape as damaged', async () => {
+    const damaged = { error: 'This link is damaged or incomplete' };
+    expect(await readShareLink(await hashFor(VALID_DATA))).toHaveProperty('shared');
+    expect(await readShareLink(await hashFor(null))).toEqual(damaged);
+    expect(await readShareLink(await hashFor({ ...VALID_DATA, readings: [1200] }))).toEqual(damaged);
+    expect(await readShareLink(await hashFor({ ...VALID_DATA, events: 'window' }))).toEqual(damaged);
+    for (const excluded of ['1', [2], [-1], [0.5], ['0'], { 0: 0 }]) {
+      expect(await readShareLink(await hashFor({ ...VALID_DATA, excluded }))).toEqual(damaged);
+    }
+  });
+
+  it('rejects a link whose contents fail validation', async () => {
+    const link = await createShareLink({ ...SHARED, thresholds: { ideal: 900, good: 800, concerning: 1000 } });
+    const result = await readShareLink(hashOf(link));
+    expect(result.error).toMatch(/^This link can't be opened: /);
+  });
+});
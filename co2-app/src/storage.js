@@ -0,0 +1,27 @@
+// localStorage helpers shared by the session and room stores
+
+// A stored array, or an empty one when the key is missing or unreadable
+export const readList = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+// Stores a string, returning false instead of throwing when the browser
+// refuses it, e.g. because the storage quota is used up
+export const writeItem = (key, value) => {
+  try {
+    localStorage.setItem(key, value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const writeList = (key, list) => writeItem(key, JSON.stringify(list));
+
+export const generateId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
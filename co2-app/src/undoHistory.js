@@ -0,0 +1,100 @@
+// Undo and redo for the session being recorded. Every change records the
+// state it replaces – the session, its readings, projections and events,
+// and the settings – so undoing simply puts that state back.
+
+import { useEffect, useRef, useState } from 'react';
+
+// Older steps are dropped beyond this
+const MAX_STEPS = 100;
+// Changes of the same kind in quick succession, like typing a threshold
+// or a URL key by key, are undone in one step
+const MERGE_WINDOW_MS = 1000;
+
+export const EMPTY_HISTORY = { past: [], future: [], lastKind: null, lastAt: 0 };
+
+// The steps below are pure, so they can be tested without rendering.
+
+// `previous` is the state before a change made at `now` (ms). Recording a
+// change drops whatever could be redone.
+export const recordStep = ({ past, lastKind, lastAt }, previous, kind, now) =>
+  kind && kind === lastKind && now - lastAt < MERGE_WINDOW_MS
+    ? { past, future: [], lastKind, lastAt: now }
+    : { past: [...past, previous].slice(-MAX_STEPS), future: [], lastKind: kind, lastAt: now };
+
+// Returns { history, state } with the state to go back to, or null when
+// there is nothing to undo; `current` becomes the redo step
+export const undoStep = ({ past, future }, current) =>
+  past.length === 0
+    ? null
+    : { history: { ...EMPTY_HISTORY, past: past.slice(0, -1), future: [current, ...future] }, state: past[past.length - 1] };
+
+export const redoStep = ({ past, future }, current) =>
+  future.length === 0
+    ? null
+    : { history: { ...EMPTY_HISTORY, past: [...past, current], future: future.slice(1) }, state: future[0] };
+
+export const useUndoHistory = () => {
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+
+  const record = (previous, kind = null) => {
+    const now = Date.now();
+    setHistory(current => recordStep(current, previous, kind, now));
+  };
+
+  // Return the state to restore, or null when there is none
+  const undo = (current) => {
+    const step = undoStep(history, current);
+    if (!step) return null;
+    setHistory(step.history);
+    return step.state;
+  };
+
+  const redo = (current) => {
+    const step = redoStep(history, current);
+    if (!step) return null;
+    setHistory(step.history);
+    return step.state;
+  };
+
+  // Another session or room was opened, so the steps no longer apply
+  const reset = () => setHistory(EMPTY_HISTORY);
+
+  return {
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    record,
+    undo,
+    redo,
+    reset
+  };
+};
+
+const NON_TEXT_INPUTS = ['checkbox', 'radio', 'button', 'submit', 'range', 'color'];
+
+const isTextField = (element) =>
+  element instanceof HTMLElement &&
+  (element.isContentEditable ||
+    element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(element.type)));
+
+// Ctrl+Z and Ctrl+Shift+Z (Cmd on a Mac). Inside a text field the keys
+// keep undoing typing there instead.
+export const useUndoShortcuts = ({ onUndo, onRedo }) => {
+  const handlersRef = useRef({ onUndo, onRedo });
+
+  useEffect(() => {
+    handlersRef.current = { onUndo, onRedo };
+  });
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key.toLowerCase() !== 'z') return;
+      if (isTextField(event.target)) return;
+      event.preventDefault();
+      if (event.shiftKey) handlersRef.current.onRedo();
+      else handlersRef.current.onUndo();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+};
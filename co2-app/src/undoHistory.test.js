@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { EMPTY_HISTORY, recordStep, undoStep, redoStep } from './undoHistory';
+
+// Records each [state, kind, at] change in turn
+const recorded = (...changes) =>
+  changes.reduce((history, [previous, kind, at]) => recordStep(history, previous, kind, at), EMPTY_HISTORY);
+
+describe('undo history', () => {
+  it('undoes changes in reverse order and redoes them forward', () => {
+    let history = recorded(['a', null, 0], ['b', null, 10]);
+
+    const first = undoStep(history, 'c');
+    expect(first.state).toBe('b');
+    const second = undoStep(first.history, 'b');
+    expect(second.state).toBe('a');
+    expect(undoStep(second.history, 'a')).toBeNull();
+
+    const again = redoStep(second.history, 'a');
+    expect(again.state).toBe('b');
+    history = redoStep(again.history, 'b').history;
+    expect(redoStep(history, 'c')).toBeNull();
+    expect(history.past).toEqual(['a', 'b']);
+  });
+
+  it('has nothing to undo or redo when empty', () => {
+    expect(undoStep(EMPTY_HISTORY, 'a')).toBeNull();
+    expect(redoStep(EMPTY_HISTORY, 'a')).toBeNull();
+  });
+
+  it('merges quick changes of the same kind into one step', () => {
+    const history = recorded(['1', 'settings:thresholds', 0], ['10', 'settings:thresholds', 400], ['100', 'settings:thresholds', 1200]);
+    expect(history.past).toEqual(['1']);
+  });
+
+  it('keeps changes apart when they are slow, of another kind, or have no kind', () => {
+    expect(recorded(['a', 'settings:targetCO2', 0], ['b', 'settings:targetCO2', 1000]).past).toEqual(['a', 'b']);
+    expect(recorded(['a', 'settings:targetCO2', 0], ['b', 'settings:thresholds', 100]).past).toEqual(['a', 'b']);
+    expect(recorded(['a', null, 0], ['b', null, 100]).past).toEqual(['a', 'b']);
+  });
+
+  it('does not merge a change into one made before an undo', () => {
+    const undone = undoStep(recorded(['a', 'settings:targetCO2', 0]), 'b').history;
+    expect(recordStep(undone, 'a', 'settings:targetCO2', 100).past).toEqual(['a']);
+  });
+
+  it('drops the redo steps when a new change is recorded', () => {
+    const { history } = undoStep(recorded(['a', null, 0], ['b', null, 10]), 'c');
+    expect(history.future).toEqual(['c']);
+    const changed = recordStep(history, 'b', null, 20);
+    expect(changed.future).toEqual([]);
+    expect(redoStep(changed, 'd')).toBeNull();
+  });
+
+  it('keeps at most 100 steps, dropping the oldest', () => {
+    const history = recorded(...Array.from({ length: 105 }, (_, index) => [index, null, index]));
+    expect(history.past).toHaveLength(100);
+    expect(history.past[0]).toBe(5);
+  });
+});
@@ -0,0 +1,17 @@
+// Display styles for the air-quality zones defined in co2-core. `text` is
+// the English name used in exports; the page shows the `zones.<id>`
+// catalog message instead.
+
+import { classify } from './co2-core';
+
+export const ZONES = {
+  ideal: { text: 'Ideal', color: 'text-green-400', bg: 'bg-green-900/50', fill: '#10b981' },
+  good: { text: 'Good', color: 'text-blue-400', bg: 'bg-blue-900/50', fill: '#3b82f6' },
+  concerning: { text: 'Concerning', color: 'text-yellow-400', bg: 'bg-yellow-900/50', fill: '#eab308' },
+  poor: { text: 'Poor', color: 'text-red-400', bg: 'bg-red-900/50', fill: '#ef4444' }
+};
+
+export const getCO2Status = (co2, thresholds) => {
+  const zone = classify(co2, thresholds);
+  return { zone, ...ZONES[zone] };
+};